@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// scripts/bench-streams.js
+//
+// Times a transfer over 1, 2 and 4 data channels (--streams) in one process:
+// both ends run the real defaultSend/defaultRecv over wrtc. Every ICE candidate
+// is swapped for a local UDP relay that holds each datagram for half the round
+// trip, so the numbers reflect a link with latency rather than raw loopback.
+//
+//   node scripts/bench-streams.js [--mb 40] [--rtt 40] [--runs 2] [--streams 1,2,4]
+import dgram from "node:dgram";
+import { createHash, randomBytes } from "node:crypto";
+
+import { dialRTC } from "../src/core/rtc.js";
+import { collectCaps } from "../src/transfer/caps.js";
+import { defaultRecv, defaultSend } from "../src/transfer/default.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).reduce((out, a, i, all) => (a.startsWith("--") ? [...out, [a.slice(2), all[i + 1]]] : out), [])
+);
+const MB = Number(args.mb ?? 40);
+const RTT_MS = Number(args.rtt ?? 40);
+const RUNS = Number(args.runs ?? 2);
+const STREAMS = String(args.streams ?? "1,2,4").split(",").map(Number);
+const CHUNK = 64 * 1024;
+
+/* ------------------------------ delay relay ------------------------------ */
+
+// One socket per advertised candidate: datagrams from the candidate's owner go
+// to whoever last wrote to the socket, everything else goes to the owner.
+function relayFor(host, port, delayMs, sockets) {
+  const sock = dgram.createSocket("udp4");
+  sockets.push(sock);
+  let peer = null;
+  sock.on("message", (buf, from) => {
+    const fromOwner = from.address === host && from.port === port;
+    if (!fromOwner) peer = { address: from.address, port: from.port };
+    const to = fromOwner ? peer : { address: host, port };
+    if (!to) return;
+    setTimeout(() => sock.send(buf, to.port, to.address, () => {}), delayMs);
+  });
+  return new Promise((resolve) => sock.bind(0, "127.0.0.1", () => resolve(sock.address().port)));
+}
+
+const stripCandidates = (sdp) =>
+  sdp.split("\r\n").filter((l) => !l.startsWith("a=candidate:")).join("\r\n");
+
+// Signaling between the two ends: UDP host candidates are rewritten to point at
+// a relay, everything else (TCP, v6, candidates inlined in the SDP) is dropped.
+function signalPair(delayMs, sockets) {
+  const ends = [new Set(), new Set()];
+  const deliver = (i, m) => queueMicrotask(() => { for (const fn of ends[1 - i]) fn(m); });
+  const rewrite = async (cand) => {
+    const f = cand.candidate.split(" ");
+    if (f[2]?.toLowerCase() !== "udp" || !/^\d+\.\d+\.\d+\.\d+$/.test(f[4]) || f[7] !== "host") return null;
+    f[5] = String(await relayFor(f[4], Number(f[5]), delayMs, sockets));
+    f[4] = "127.0.0.1";
+    return { ...cand, candidate: f.join(" ") };
+  };
+  const end = (i) => {
+    let queue = Promise.resolve(); // keep the order of candidates and descriptions
+    return {
+      onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+      send: (m) => {
+        queue = queue.then(async () => {
+          if (m?.sdp) m = { ...m, sdp: { type: m.sdp.type, sdp: stripCandidates(m.sdp.sdp) } };
+          const cand = m?.cand ?? m?.candidate;
+          if (cand && typeof cand === "object") {
+            const c = await rewrite(cand);
+            if (!c) return;
+            m = { ...m, cand: c, candidate: undefined };
+          }
+          deliver(i, m);
+        });
+      },
+      close: () => {},
+    };
+  };
+  return [end(0), end(1)];
+}
+
+/* -------------------------------- one run -------------------------------- */
+
+async function run(streams, payload) {
+  const sockets = [];
+  const [sa, sb] = signalPair(RTT_MS / 2, sockets);
+  const [a, b] = await Promise.all([dialRTC("initiator", sa, { iceServers: [] }), dialRTC("responder", sb, { iceServers: [] })]);
+  const sessionId = "bench-" + randomBytes(4).toString("hex");
+  const hash = createHash("sha256");
+  const sink = {
+    write: (u8) => void hash.update(u8),
+    digest: async () => ({ alg: "sha256", digest: hash.digest("hex") }),
+  };
+  const source = (async function* () {
+    for (let off = 0; off < payload.length; off += CHUNK) yield payload.subarray(off, off + CHUNK);
+  })();
+  const t0 = performance.now();
+  try {
+    await Promise.all([
+      defaultSend(a, { sessionId, source, totalBytes: payload.length, assumeYes: true, caps: collectCaps(a, sessionId), streams }),
+      defaultRecv(b, { sessionId, sink, assumeYes: true }),
+    ]);
+    return (performance.now() - t0) / 1000;
+  } finally {
+    await Promise.allSettled([a.close(), b.close()]);
+    for (const s of sockets) s.close();
+  }
+}
+
+const payload = randomBytes(MB * 1024 * 1024);
+process.stderr.write(`${MB} MiB, ${RTT_MS} ms round trip, ${RUNS} run(s) each\n`);
+for (const n of STREAMS) {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) times.push(await run(n, payload));
+  const best = Math.min(...times);
+  const line = times.map((t) => t.toFixed(1) + " s").join(", ");
+  process.stdout.write(`streams=${n}: ${line} (best ${(MB / best).toFixed(1)} MiB/s)\n`);
+}
+// wrtc can crash while tearing down on a natural exit
+process.exit(0);
@@ -73,7 +73,9 @@ const server = http.createServer((req, res) => {
 // ----------------------
 
 // Rooms keyed by appID
-// room = { A: ws|null, B: ws|null, qA: string[], qB: string[] }
+// room = { A: ws|null, B: ws|null, qA: msg[], qB: msg[] }
+// JSON goes out as text; binary frames (the sealed frames of --transport relay)
+// are relayed as they are.
 const rooms = new Map();
 
 const wss = new WebSocketServer({ server, path: "/ws" });
@@ -84,6 +86,10 @@ function sendJSON(ws, obj) {
   } catch {}
 }
 
+function forward(ws, { data, binary }) {
+  ws.send(data, { binary });
+}
+
 function normalizeToText(data) {
   // Ensure JSON goes out as a text frame. Node 'ws' may give Buffer/Uint8Array.
   if (typeof data === "string") return data;
@@ -118,21 +124,21 @@ wss.on("connection", (ws, req) => {
     sendJSON(room.B, { type: "room_full" });
 
     // flush queues (messages buffered before the peer connected)
-    for (const msg of room.qA) if (room.B?.readyState === 1) room.B.send(msg);
-    for (const msg of room.qB) if (room.A?.readyState === 1) room.A.send(msg);
+    for (const msg of room.qA) if (room.B?.readyState === 1) forward(room.B, msg);
+    for (const msg of room.qB) if (room.A?.readyState === 1) forward(room.A, msg);
     room.qA.length = 0;
     room.qB.length = 0;
   }
 
-  ws.on("message", (data) => {
-    const text = normalizeToText(data);
+  ws.on("message", (data, isBinary) => {
+    const msg = isBinary ? { data, binary: true } : { data: normalizeToText(data), binary: false };
     const peer = room[other];
     if (peer && peer.readyState === 1) {
-      peer.send(text); // forward as TEXT
+      forward(peer, msg);
     } else {
       // buffer until peer connects
-      if (side === "A") room.qA.push(text);
-      else room.qB.push(text);
+      if (side === "A") room.qA.push(msg);
+      else room.qB.push(msg);
     }
   });
 
@@ -8,17 +8,33 @@ import { ensureRTC } from "./env/rtc-init.js";
 import { createLogger, setGlobalLogger } from "./util/logger.js";
 import { EXIT } from "./env/exit-codes.js";
 import { mapErrorToExitCode } from "./util/exit.js";
-import { validateSendOptions, validateRecvOptions } from "./util/validate.js";
+import { assertArg, validateSendOptions, validateRecvOptions } from "./util/validate.js";
+import { parseByteSize } from "./util/format.js";
+import { SYMLINK_POLICIES } from "./transfer/tar-pack.js";
+import { COMPRESS_ALGS, COMPRESS_AUTO, supportedCompression } from "./transfer/compress.js";
+import { MAX_STREAMS } from "./transfer/stripes.js";
+import { abortAll } from "./transfer/abort.js";
+import { DEFAULT_STALL_TIMEOUT_S } from "./transfer/heartbeat.js";
+import { TRANSPORTS } from "./core/dial.js";
+import { createLanCode, lanId } from "./core/lan.js";
+import { CODE_ALPHABET, SECRET_LENGTH, createCodeSecret } from "./core/pake.js";
+import { canMeet } from "./core/meet.js";
+import { loadPsk } from "./core/psk.js";
 
 // subcommand handlers
 import * as Send from "./commands/send.js";
 import * as Recv from "./commands/recv.js";
+import * as Contacts from "./commands/contacts.js";
 
 /* ----------------------------- process guards ---------------------------- */
 
+// First Ctrl-C tells the peers (nt_abort "cancel"); a second one exits at once
+let canceling = false;
 process.on("SIGINT", () => {
+  if (canceling) process.exit(EXIT.CANCELED);
+  canceling = true;
   try { process.stderr.write("\n"); } catch {}
-  process.exit(EXIT.CANCELED);
+  abortAll("cancel").finally(() => process.exit(EXIT.CANCELED));
 });
 
 process.on("unhandledRejection", (err) => {
@@ -42,15 +58,65 @@ function parseIntStrict(v) {
   return n;
 }
 
-// Accept 4–12 alnum, optional "-pq" suffix
+function collect(v, prev) {
+  return prev.concat([v]);
+}
+function parseSymlinkPolicy(v) {
+  if (!SYMLINK_POLICIES.includes(v)) throw new InvalidOptionArgumentError(`must be one of ${SYMLINK_POLICIES.join(", ")}`);
+  return v;
+}
+function parseCompression(v) {
+  if (v !== COMPRESS_AUTO && !COMPRESS_ALGS.includes(v))
+    throw new InvalidOptionArgumentError(`must be one of ${[COMPRESS_AUTO, ...COMPRESS_ALGS].join(", ")}`);
+  if (v !== COMPRESS_AUTO && !supportedCompression().includes(v))
+    throw new InvalidOptionArgumentError(`${v} is not available in this Node.js runtime`);
+  return v;
+}
+function parseStreams(v) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_STREAMS)
+    throw new InvalidOptionArgumentError(`must be an integer from 1 to ${MAX_STREAMS}`);
+  return n;
+}
+
+function parseTransport(v) {
+  if (!TRANSPORTS.includes(v)) throw new InvalidOptionArgumentError(`must be one of ${TRANSPORTS.join(", ")}`);
+  return v;
+}
+
+function parseSeconds(v) {
+  const n = Number(v);
+  if (String(v).trim() === "" || !Number.isFinite(n) || n < 0)
+    throw new InvalidOptionArgumentError("must be a number of seconds (0 waits forever)");
+  return n;
+}
+
+function parseSize(v) {
+  const n = parseByteSize(v);
+  if (n == null) throw new InvalidOptionArgumentError("must be a size like 1048576, 500k, 10M or 2G");
+  return n;
+}
+// "image/*,.pdf" (repeatable) → ["image/*", ".pdf"]
+function collectTypes(v, prev = []) {
+  const types = String(v).split(",").map((t) => t.trim()).filter(Boolean);
+  if (!types.length) throw new InvalidOptionArgumentError("must list MIME types or extensions");
+  for (const t of types) {
+    if (!t.startsWith(".") && !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(t))
+      throw new InvalidOptionArgumentError(`not a MIME type or .extension: ${t}`);
+  }
+  return prev.concat(types);
+}
+
+// 4–12 alnum, then the PAKE secret (optional), then "-pq" (optional)
+const CODE_RE = new RegExp(`^([0-9a-z]{4,12})(?:-([${CODE_ALPHABET}]{${SECRET_LENGTH}}))?(-pq)?$`, "i");
 function isPairingCode(s) {
-  return typeof s === "string" && /^[0-9a-z]{4,12}(?:-pq)?$/i.test(s?.trim?.() ?? "");
+  return typeof s === "string" && CODE_RE.test(s?.trim?.() ?? "");
 }
-// Returns { pq:boolean, code:string (no suffix) }
+// Returns { pq:boolean, code:string (room part only), secret:string|null }
 function parseModeFromCode(input) {
   const s = String(input || "").trim();
-  const m = s.match(/^([0-9a-z]{4,12})(?:-pq)?$/i);
-  return { pq: /-pq$/i.test(s), code: m ? m[1] : s };
+  const m = s.match(CODE_RE);
+  return { pq: /-pq$/i.test(s), code: m ? m[1] : s, secret: m?.[2]?.toLowerCase() ?? null };
 }
 
 /* ----------------------------- root shorthand ---------------------------- */
@@ -62,7 +128,7 @@ function parseModeFromCode(input) {
  */
 {
   const argv = process.argv.slice(2);
-  const KNOWN = new Set(["send", "recv", "rcv", "receive", "help", "version", "-h", "--help", "-V", "--version"]);
+  const KNOWN = new Set(["send", "recv", "rcv", "receive", "contacts", "help", "version", "-h", "--help", "-V", "--version"]);
   if (argv.length >= 1 && !argv[0]?.startsWith("-") && !KNOWN.has(argv[0]) && isPairingCode(argv[0])) {
     const code = argv[0];
     if (argv.length === 1) {
@@ -100,7 +166,8 @@ Notes:
   • Sender decides the mode: DTLS (default) or PQ via --pq. If PQ is used, the printed code ends with "-pq".
   • The receiver never takes a PQ flag; it infers PQ strictly from a "-pq" suffix on the code.
   • Receiver chooses the output directory; announced filenames are sanitized.
-  • Multi-path sends are tarred on the wire; receiver writes "bundle.tar" (deduped unless --overwrite).
+  • Multi-path sends are tarred on the wire; receiver writes "bundle.tar" (deduped unless --overwrite),
+    or unpacks it with --extract.
 `.trim());
 
 /* ---------------------------------- RECV --------------------------------- */
@@ -114,16 +181,25 @@ program
   .argument("[code]", "Pairing code (shorthand for --code).")
   .option("--code <code>", "Rendezvous code to redeem.")
   .option("--app <uuid>", "Rendezvous appID (skip redeem).")
+  .option("--lan", "Find the sender on the local network (no relay or rendezvous server).", false)
   .option("--relay <wsUrl>", "Signaling relay (ws[s]://...).")
   .option("--api <httpUrl>", "Rendezvous HTTP API base (http[s]://...).")
   .option("--headers <json>", "JSON object with custom HTTP headers.", JSON.parse)
   .option("-y, --yes", "Auto-accept SAS prompt (no TTY). Does NOT overwrite files.", false)
+  .option("--sas", "Also compare the SAS by hand (codes with a secret part do not need it).", false)
+  .option("--psk-file <path>", "Pre-shared key both sides must prove (or NT_PSK): makes -y safe in pipelines.")
+  .option("--from <name>", "Expect this contact: pin its key the first time; after that no code or SAS prompt.")
   .option("--overwrite", "Overwrite existing files at destination.", false)
+  .option("--extract", "Unpack a received .tar bundle into the output directory.", false)
+  .option("--max-size <size>", "Decline transfers larger than this (e.g. 500M, 2G).", parseSize)
+  .option("--accept-types <list>", "Only accept these MIME types or extensions (e.g. image/*,.pdf; repeatable).", collectTypes)
+  .option("--stall-timeout <seconds>", "Fail when nothing arrives from the sender for this long (0: wait forever).", parseSeconds, DEFAULT_STALL_TIMEOUT_S)
+  .option("--transport <mode>", "Data path: auto (WebRTC, else the relay), rtc or relay (default: auto; relay with --lan).", parseTransport)
   .option("-v, --verbose", "Increase verbosity (repeatable).", (v, total) => total + 1, 0)
   .option("-q, --quiet", "Suppress non-error logs.", false)
   .option("--json", "Emit JSON logs on stderr.", false)
   .action(async (outDirArg, codeMaybe, opts) => {
-    const { api, relay, headers } = resolveCfg({ relay: opts.relay, api: opts.api, headers: opts.headers });
+    const { api, relay, headers } = resolveCfg({ relay: opts.relay, api: opts.api, headers: opts.headers, lan: opts.lan });
     const cfg = { api, relay, headers };
     const logger = createLogger({
       level: opts.quiet ? "error" : (opts.verbose >= 1 ? "debug" : "info"),
@@ -137,6 +213,7 @@ program
       let code = opts.code || codeMaybe || null;
       // Fail fast: validate inputs before creating a code or touching RTC
       await validateRecvOptions(outDir, opts);
+      const psk = await loadPsk(opts.pskFile);
       if (!opts.code && !code && isPairingCode(outDirArg)) {
         code = outDirArg;
         outDir = ".";
@@ -145,14 +222,35 @@ program
       // Redeem code → appID (unless --app is already provided)
       let appID = opts.app || null;
       let pq = false;
-      if (!appID && code) {
+      let lanCode = null;
+      let secret = null;
+      let meet = false;
+      assertArg(!(opts.lan && appID), "recv: --lan cannot be combined with --app");
+      if (opts.lan) {
+        assertArg(!!code, "recv: --lan needs the code the sender printed");
+        const parsed = parseModeFromCode(code);
+        pq = parsed.pq;
+        secret = parsed.secret;
+        lanCode = parsed.code;
+        appID = lanId(lanCode);
+      } else if (!appID && code) {
         const parsed = parseModeFromCode(code);
         pq = parsed.pq; 
+        secret = parsed.secret;
         const res = await redeemCode({ apiBase: cfg.api, code: parsed.code, headers: cfg.headers });
         if (!res?.appID) throw new Error("recv: failed to redeem code");
         appID = res.appID;
+      } else if (!appID && opts.from) {
+        // a pinned contact is met without a code (see core/meet.js)
+        assertArg(await canMeet(opts.from), `recv: ${opts.from} cannot be met without a code yet (the first transfer with a contact needs one)`);
+        meet = true;
+        console.error(`Waiting for ${opts.from}…`);
       }
-      if (!appID) throw new Error("recv: either --code or --app is required");
+      if (!appID && !meet) throw new Error("recv: either --code or --app is required");
+      assertArg(!(pq && opts.transport === "relay"), "recv: --transport relay is not supported with PQ codes");
+      assertArg(!(pq && opts.from), "recv: --from is not supported with PQ codes");
+      assertArg(!(pq && psk), "recv: a pre-shared key is not supported with PQ codes");
+      const transport = opts.transport ?? (opts.lan ? "relay" : "auto");
 
       await Recv.run(
         outDir,
@@ -162,7 +260,18 @@ program
           headers: cfg.headers,
           pq, 
           overwrite: !!opts.overwrite,
+          extract: !!opts.extract,
           yes: !!opts.yes,
+          maxSize: opts.maxSize,
+          acceptTypes: opts.acceptTypes,
+          stallTimeout: opts.stallTimeout,
+          transport,
+          lan: lanCode,
+          pake: secret,
+          sas: !!opts.sas,
+          from: opts.from,
+          meet,
+          psk,
         },
         { logger }
       );
@@ -191,16 +300,30 @@ program
   .option("--api <httpUrl>", "Rendezvous HTTP API base (http[s]://...).")
   .option("--headers <json>", "JSON object with custom HTTP headers.", JSON.parse)
   .option("--app <uuid>", "Rendezvous appID (skip creating a code).")
+  .option("--lan", "Wait for the receiver on the local network (no relay or rendezvous server).", false)
   .option("--name <string>", "Override filename announced to receiver.", nonEmpty)
   .option("--stdin-name <string>", "Filename to announce when sending from stdin.", "stdin.bin")
-  .option("--size <bytes>", "Required when sending from stdin.", parseIntStrict)
+  .option("--size <bytes>", "Stdin length in bytes (optional; required with --pq).", parseIntStrict)
+  .option("--symlinks <policy>", "Symlinks inside directories: skip, follow or preserve.", parseSymlinkPolicy, "skip")
+  .option("--include <glob>", "Only send files matching (path below each input; repeatable).", collect, [])
+  .option("--exclude <glob>", "Leave out matching files/dirs (path below each input; repeatable).", collect, [])
+  .option("--gitignore", "Also honour .gitignore files (.ntignore is always honoured).", false)
+  .option("--dry-run", "Print the file list and total size, then exit without connecting.", false)
+  .option("--compress [algo]", "Compress on the wire if the receiver supports it: auto, zstd, gzip or deflate.", parseCompression)
+  .option("--streams <n>", `Stripe data over n parallel data channels (1-${MAX_STREAMS}).`, parseStreams, 1)
+  .option("--stall-timeout <seconds>", "Fail when nothing arrives from the receiver for this long (0: wait forever).", parseSeconds, DEFAULT_STALL_TIMEOUT_S)
+  .option("--transport <mode>", "Data path: auto (WebRTC, else the relay), rtc or relay (default: auto; relay with --lan).", parseTransport)
   .option("--pq", "Post-quantum mode (sender decides).", false)
   .option("-y, --yes", "Assume yes for SAS prompt.", false)
+  .option("--sas", "Also compare the SAS by hand (the code's secret part already authenticates).", false)
+  .option("--psk-file <path>", "Pre-shared key both sides must prove (or NT_PSK): makes -y safe in pipelines.")
+  .option("--to <name>", "Send to this contact: pin its key the first time; after that no code or SAS prompt.")
+  .option("--no-pake", "Print a code without a secret part, for receivers that predate it (compare the SAS).")
   .option("-v, --verbose", "Increase verbosity (repeatable).", (v, total) => total + 1, 0)
   .option("-q, --quiet", "Suppress non-error logs.", false)
   .option("--json", "Emit JSON logs on stderr.", false)
   .action(async (paths, opts) => {
-    const { api, relay, headers } = resolveCfg({ relay: opts.relay, api: opts.api, headers: opts.headers });
+    const { api, relay, headers } = resolveCfg({ relay: opts.relay, api: opts.api, headers: opts.headers, lan: opts.lan });
     const cfg = { api, relay, headers };
     const logger = createLogger({
       level: opts.quiet ? "error" : (opts.verbose >= 1 ? "debug" : "info"),
@@ -210,18 +333,38 @@ program
      try {
      // Fail fast: validate inputs before creating a code or touching RTC
      await validateSendOptions(paths, opts);
+     if (opts.dryRun) {
+       await Send.dryRun(paths, opts);
+       process.exit(EXIT.OK);
+     }
 
     // Create rendezvous (unless --app was specified)
     let appID = opts.app;
     let code = null;
-    if (!appID) {
+    // the secret part never leaves this machine but in the printed code (DTLS mode)
+    const psk = await loadPsk(opts.pskFile);
+    assertArg(!(opts.pq && psk), "send: a pre-shared key is not supported with --pq");
+    // a pinned contact is met without a code (see core/meet.js)
+    const meet = !!opts.to && !appID && !opts.lan && (await canMeet(opts.to));
+    const secret = opts.pake && !opts.pq && !appID && !meet ? createCodeSecret() : null;
+    const withSuffix = (c) => (opts.pq ? `${c}-pq` : secret ? `${c}-${secret}` : c);
+    if (opts.lan) {
+      assertArg(!appID, "send: --lan cannot be combined with --app");
+      code = createLanCode();
+      appID = lanId(code);
+      const displayCode = withSuffix(code);
+      console.error(`Code: ${displayCode}`);
+      console.error(`  nt recv --lan ${displayCode}`);
+    } else if (meet) {
+      console.error(`Waiting for ${opts.to} (there: nt recv --from <its name for this machine>)`);
+    } else if (!appID) {
       // Keep 'ttl' to match your server API (your logs showed { ttl: 600 }).
       const res = await createCode({ apiBase: cfg.api, ttl: 600, headers: cfg.headers });
       if (!res?.appID || !res?.code) throw new Error("send: failed to create rendezvous code");
       appID = res.appID;
       code = res.code;
 
-      const displayCode = opts.pq ? `${code}-pq` : code;
+      const displayCode = withSuffix(code);
       console.error(`Code: ${displayCode}`);
       console.error(`  nt ${displayCode}`);
       if (cfg.relay) console.error(`  nt recv --code ${displayCode} --relay ${cfg.relay}`);
@@ -240,6 +383,20 @@ program
           name: opts.name,
           stdinName: opts.stdinName,
           size: opts.size,
+          symlinks: opts.symlinks,
+          include: opts.include,
+          exclude: opts.exclude,
+          gitignore: !!opts.gitignore,
+          compress: opts.compress === true ? COMPRESS_AUTO : opts.compress,
+          streams: opts.streams,
+          stallTimeout: opts.stallTimeout,
+          transport: opts.transport ?? (opts.lan ? "relay" : "auto"),
+          lan: opts.lan ? code : null,
+          pake: secret,
+          sas: !!opts.sas,
+          to: opts.to,
+          meet,
+          psk,
         },
         { logger }
       );
@@ -258,6 +415,46 @@ program
     }
   });
 
+/* -------------------------------- CONTACTS -------------------------------- */
+
+function contactsAction(run) {
+  return async (...args) => {
+    try {
+      await run(...args);
+      process.exit(EXIT.OK);
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      console.error(e.message || String(e));
+      process.exit(mapErrorToExitCode(e));
+    }
+  };
+}
+
+const contacts = program
+  .command("contacts")
+  .description("Trusted contacts for --to/--from: keys pinned by name.");
+
+contacts
+  .command("list", { isDefault: true })
+  .alias("ls")
+  .description("Show this machine's key and the pinned contacts.")
+  .action(contactsAction(() => Contacts.list()));
+
+contacts
+  .command("add")
+  .description("Pin a contact's key (from `nt contacts list` on that machine).")
+  .argument("<name>", "Contact name.")
+  .argument("<key>", "The contact's public key.")
+  .option("--force", "Replace a key already pinned for this name.", false)
+  .action(contactsAction((name, key, opts) => Contacts.add(name, key, { force: !!opts.force })));
+
+contacts
+  .command("remove")
+  .alias("rm")
+  .description("Forget a contact (its next session pins a key again).")
+  .argument("<name>", "Contact name.")
+  .action(contactsAction((name) => Contacts.remove(name)));
+
 /* ------------------------------- entrypoint ------------------------------ */
 
 async function main() {
@@ -0,0 +1,53 @@
+// src/commands/contacts.js
+// `nt contacts list|add|remove`: the address book --to/--from pin keys in.
+import {
+  formatContactKey,
+  getContact,
+  isContactName,
+  keyFingerprint,
+  listContacts,
+  loadIdentity,
+  parseContactKey,
+  parseKey,
+  pinContact,
+  removeContact,
+} from "../core/contacts.js";
+import { assertArg } from "../util/validate.js";
+
+const out = (line) => process.stdout.write(line + "\n");
+
+/** This machine's key (to give to `nt contacts add` elsewhere), then the contacts. */
+export async function list() {
+  const me = await loadIdentity();
+  out(`this machine  ${formatContactKey(me)}`);
+  out(`              ${keyFingerprint(me.publicKey)}`);
+  const contacts = Object.entries(await listContacts()).sort(([a], [b]) => a.localeCompare(b));
+  if (!contacts.length) return out("no contacts yet (pinned by the first `nt send --to <name>` / `nt recv --from <name>`)");
+  const width = Math.max(...contacts.map(([name]) => name.length));
+  for (const [name, c] of contacts) {
+    const key = parseKey(c.key);
+    // without a dh key, the next transfer with that contact still needs a code
+    const meets = c.dh ? "" : "  (needs a code once)";
+    out(`${name.padEnd(width)}  ${key ? keyFingerprint(key) : "(unreadable key)"}  added ${String(c.addedAt).slice(0, 10)}${meets}`);
+  }
+}
+
+/** Pin a key received out of band; refuses to replace one silently. */
+export async function add(name, keyText, { force = false } = {}) {
+  assertArg(isContactName(name), `contacts: not a contact name: ${name}`);
+  const { key, dh } = parseContactKey(keyText) ?? {};
+  assertArg(!!key, "contacts: not a key (copy it from `nt contacts list` on that machine)");
+  const existing = await getContact(name);
+  assertArg(
+    force || !existing || (existing.key && Buffer.compare(Buffer.from(existing.key), Buffer.from(key)) === 0),
+    `contacts: ${name} is pinned to another key (${existing?.key ? keyFingerprint(existing.key) : "unreadable"}); remove it first or pass --force`
+  );
+  await pinContact(name, key, dh);
+  process.stderr.write(`pinned ${name} (${keyFingerprint(key)})\n`);
+}
+
+export async function remove(name) {
+  assertArg(isContactName(name), `contacts: not a contact name: ${name}`);
+  assertArg(await removeContact(name), `contacts: no contact named ${name}`);
+  process.stderr.write(`removed ${name}\n`);
+}
@@ -5,39 +5,77 @@ import { once } from "node:events";
 import tar from "tar-stream";
 
 import { createSignalClient } from "../core/signal.js";
-import { dialRTC } from "../core/rtc.js";
+import { createLanSignal } from "../core/lan.js";
+import { sealSignal } from "../core/signal-seal.js";
+import { prepareContact } from "../core/contacts.js";
+import { meetContact } from "../core/meet.js";
+import { dialPeer } from "../core/dial.js";
 import { getIceConfig } from "../env/ice.js";
 import { defaultRecv } from "../transfer/default.js";
+import { DEFAULT_STALL_TIMEOUT_S } from "../transfer/heartbeat.js";
 import { pqRecv, wrapAuthDC } from "../transfer/pq.js";
 import { attachDcDebug } from "../core/dc-debug.js";
 import { flush, forceCloseNoFlush, scrubTransport } from "@noisytransfer/transport";
 import { hardExitIfEnabled } from "../env/hard-exit.js";
 import { createLogger, getLogger } from "../util/logger.js";
 import { sanitizeFilename } from "../util/sanitize.js";
+import {
+  acceptResume,
+  findResumable,
+  freshPartTarget,
+  partPathFor,
+  removeResumeState,
+  writeResumeState,
+} from "../transfer/resume.js";
+import {
+  HASH_MISMATCH,
+  createDigest,
+  formatDigest,
+  isSupportedHashAlg,
+  updateFrom,
+} from "../transfer/digest.js";
+import { createTarExtractor, looksLikeTar } from "../transfer/tar-extract.js";
+import { REJECTED } from "../transfer/offer.js";
 
 const CHUNK = 64 * 1024;
 
 /**
  * outDir: string|undefined
- * opts  : { relay, app, sessionId?, overwrite?, yes?, pq?, headers? }
+ * opts  : { relay, app, sessionId?, overwrite?, extract?, yes?, pq?, headers?, maxSize?, acceptTypes?, transport?, lan?, pake?, psk?, sas?, from?, meet? }
  */
 export async function run(outDir, opts, ctx = {}) {
-  const appID = opts.app;
-  const sessionId = opts.sessionId || appID;
   const outToStdout = outDir === "-" || outDir === "/dev/stdout";
+  if (outToStdout && opts.extract) throw new Error("recv: --extract cannot be used with stdout");
   const logger = (ctx && ctx.logger) || createLogger();
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-  const signal = createSignalClient({
-    relayUrl: opts.relay,
-    appID,
-    side: "B",
-    headers: opts.headers,
-  });
-  await signal.waitOpen?.(100000);
+  // --from: our identity and the key pinned for that name, before anything connects
+  const contact = opts.from ? await prepareContact(opts.from) : null;
+  // no code: both sides derive the room from the pinned keys
+  const meet = opts.meet ? await meetContact(contact, { side: "B", relayUrl: opts.relay, headers: opts.headers }) : null;
+
+  const appID = meet?.appID || opts.app;
+  const sessionId = opts.sessionId || appID;
+  const secret = meet?.secret ?? opts.pake;
+
+  const link = meet
+    ? meet.signal
+    : opts.lan
+      ? createLanSignal({ code: opts.lan, side: "B" })
+      : createSignalClient({
+          relayUrl: opts.relay,
+          appID,
+          side: "B",
+          headers: opts.headers,
+        });
+  // the code's secret part also keeps SDP and candidates from the relay
+  const signal = secret ? sealSignal(link, { secret, sessionId, side: "B" }) : link;
+  // a sender on the LAN announces every second
+  await signal.waitOpen?.(opts.lan ? 30000 : 100000);
 
   const rtcCfg = getIceConfig();
-  const rtc = await dialRTC("responder", signal, rtcCfg);
+  const transport = opts.pq ? "rtc" : opts.transport;
+  const rtc = await dialPeer("responder", signal, { transport, rtcCfg, sessionId });
 
   let mode;
   if (opts.pq === true) mode = "pq";
@@ -50,55 +88,65 @@ export async function run(outDir, opts, ctx = {}) {
   let totalBytes = 0;
   let written = 0;
   let startedAt = 0;
+  let resumedFrom = 0;
 
   const sink = makeSniffingSink({
     outToStdout,
     outPath: outDir,
     appID,
     overwrite: !!opts.overwrite,
+    extract: !!opts.extract,
     onStart: (info) => {
       startedAt = Date.now();
+      resumedFrom = info?.offset || 0;
       const target = info?.label || "(output)";
       const lead = process.stderr.isTTY ? "\n" : "";
-      process.stderr.write(`${lead}Receiving → ${target}\n`);
+      let note = resumedFrom ? ` (resuming at ${humanBytes(resumedFrom)})` : "";
+      if (info?.entries) note += ` (${info.entries} entries)`;
+      process.stderr.write(`${lead}Receiving → ${target}${note}\n`);
     },
     onProgress: ({ w, t }) => {
       written = w;
       totalBytes = t || totalBytes;
       const now = Date.now();
       const dt = (now - (startedAt || now)) / 1000;
-      const speed = dt > 0 ? written / dt : 0;
-      const eta = speed > 0 && totalBytes ? (totalBytes - written) / speed : Infinity;
-      const pct = totalBytes
-        ? Math.max(0, Math.min(100, Math.floor((written / totalBytes) * 100)))
-        : 0;
+      const speed = dt > 0 ? (written - resumedFrom) / dt : 0;
       if (process.stderr.isTTY) {
-        const tot = totalBytes ? humanBytes(totalBytes) : "—";
-        const msg = `\r${humanBytes(written)}/${tot}  ${humanBytes(speed)}/s  ETA ${formatETA(eta)}  ${pct}%`;
+        // Unknown length (piped sender): bytes and throughput only
+        let msg = `\r${humanBytes(written)}  ${humanBytes(speed)}/s`;
+        if (totalBytes) {
+          const eta = speed > 0 ? (totalBytes - written) / speed : Infinity;
+          const pct = Math.max(0, Math.min(100, Math.floor((written / totalBytes) * 100)));
+          msg = `\r${humanBytes(written)}/${humanBytes(totalBytes)}  ${humanBytes(speed)}/s  ETA ${formatETA(eta)}  ${pct}%`;
+        }
         process.stderr.write(msg);
       }
     },
   });
 
+  let ok = false;
+  let failure = null;
+  // Listen for the sender's resume request right away; it is answered after auth.
+  const resume = acceptResume(rtc, { sessionId, sink });
   try {
     // Prime sink with announced totalBytes as soon as we see ns_init (prevents false mismatch)
-    const tracker = { sawInit: false, sawFin: false };
-    const offTrack = attachInitFinTracker(rtc, sessionId, sink, tracker);
+    const offTrack = attachInitTracker(rtc, sessionId, sink);
 
+    const limits = { maxSize: opts.maxSize, acceptTypes: opts.acceptTypes };
+    // a byte count or digest that does not match fails the transfer (EXIT.INTEGRITY)
     if (mode === "pq") {
- const rtcAuth = wrapAuthDC(rtc, { sessionId, label: "pq-auth-recv" });
- await safeRecv(
-   () => pqRecv(rtcAuth, {
-     sessionId,
-     sink,
-     onProgress: (w, t) => sink.onProgress?.({ w, t }),
-     assumeYes: !!opts.yes,   // <- require explicit -y to auto-accept
-   }),
-   sink,
-  tracker
- );
+      const rtcAuth = wrapAuthDC(rtc, { sessionId, label: "pq-auth-recv" });
+      await pqRecv(rtcAuth, {
+        sessionId,
+        sink,
+        onProgress: (w, t) => sink.onProgress?.({ w, t }),
+        assumeYes: !!opts.yes, // <- require explicit -y to auto-accept
+        resume,
+        limits,
+      });
     } else {
-      await safeRecv(() => defaultRecv(rtc, { sessionId, sink, onProgress: (w,t)=>sink.onProgress?.({w,t}), assumeYes: !!opts.yes }), sink, tracker);
+      const stallTimeoutMs = (opts.stallTimeout ?? DEFAULT_STALL_TIMEOUT_S) * 1000;
+      await defaultRecv(rtc, { sessionId, sink, onProgress: (w,t)=>sink.onProgress?.({w,t}), assumeYes: !!opts.yes, pake: secret, psk: opts.psk, confirmSas: !!opts.sas, contact, resume, limits, stallTimeoutMs });
     }
 
     try {
@@ -111,11 +159,19 @@ export async function run(outDir, opts, ctx = {}) {
     await waitForPeerClose(rtc, 1500);
  
     process.stderr.write("\nDone • " + humanBytes(written) + "\n");
+    // Print the content digest so both sides can compare it out-of-band
+    const digest = await sink.digest?.();
+    if (digest) process.stderr.write(formatDigest(digest) + "\n");
     // Return a structured result for programmatic use
     const stats = sink.getStats?.() || {};
+    if (stats.extracted) process.stderr.write(`Extracted ${stats.extracted} entries → ${stats.filePath}\n`);
+    ok = true;
     return {
       bytesWritten: written,
       announcedBytes: stats.announced ?? 0,
+      resumedFrom: stats.offset ?? 0,
+      extracted: stats.extracted ?? 0,
+      meta: stats.meta ?? null,
       label: stats.label ?? null,
       path: stats.filePath ?? null,
       mode,
@@ -123,7 +179,16 @@ export async function run(outDir, opts, ctx = {}) {
     };
      // --- Silent workaround: exit cleanly before wrtc finalizers run
     // Close signaling so the relay doesn't hang on our socket, then bail.
+  } catch (e) {
+    failure = e;
+    throw e;
   } finally {
+    resume.off();
+    // Keep "<name>.ntpart" + sidecar around so the next attempt can resume;
+    // what we refused (--max-size on a stream) is not kept at all
+    if (!ok) {
+      try { await sink.abort({ resumable: failure?.code !== HASH_MISMATCH, discard: failure?.code === REJECTED }); } catch {}
+    }
     try { await flush(rtc, { timeoutMs: 15000 }); } catch {}
     try { scrubTransport(rtc); } catch {}
     try { await forceCloseNoFlush(rtc); } catch {}
@@ -167,35 +232,6 @@ function waitNtModeOnDC(rtc, sessionId, timeoutMs = 3000) {
 
 
 /* ------------------------------- utilities ------------------------------- */
-async function safeRecv(run, sink, tracker = {}) {
-  try {
-    await run();
-  } catch (e) {
-    const msg = String(e?.message || e || "");
-    if (/received bytes differ from announced totalBytes/i.test(msg)) {
-      const st = sink?.getStats?.();
-      const wrote = st?.written ?? 0;
-      const announced = st?.announced ?? 0;
-      // Primary: if announced is known and matches, suppress.
-      if (announced > 0 && wrote === announced) {
-        getLogger().debug("recv: suppressing bytes-mismatch error; wrote == announced =",
-            wrote
-          );
-        return; // downgrade to warning
-      }
-      // Secondary: if we definitely saw FIN and INIT but announced didn't stick (rare), still suppress when wrote > 0.
-      if (tracker?.sawFin && tracker?.sawInit && wrote > 0) {
-        getLogger().debug("recv: suppressing bytes-mismatch (saw INIT+FIN) wrote=",
-            wrote,
-            "announced=",
-            announced
-          );
-        return;
-      }
-    }
-    throw e; // otherwise rethrow
-  }
-}
 
 function humanBytes(n) {
   if (!Number.isFinite(n)) return String(n);
@@ -231,28 +267,21 @@ async function waitForPeerClose(rtc, ms = 1500) {
   });
 }
 
-// Tap ns_init / ns_fin early (before noisystream starts) to feed sink with metadata only.
+// Tap ns_init early (before noisystream starts) to feed sink with metadata only.
 // Does NOT open the file (your sink.info() no longer starts the stream).
-function attachInitFinTracker(tx, sessionId, sink, tracker = {}) {
+function attachInitTracker(tx, sessionId, sink) {
   const off = tx.onMessage?.((m) => {
     try {
       if (!m || typeof m !== "object") return;
 
       // Announce totalBytes (and optional name if present) from ns_init
       if (m.type === "ns_init" && m.sessionId === sessionId) {
-        tracker.sawInit = true;
         const total = Number(m.totalBytes) || 0;
         const meta = { totalBytes: total };
         if (m.name) meta.name = String(m.name); // harmless if absent
+        if (m.hashAlg) meta.hashAlg = String(m.hashAlg);
         getLogger().debug("recv: prime sink from ns_init totalBytes=", total, "name=", m.name ?? "(none)");
         try { sink.info?.(meta); } catch {}
-        return;
-      }
-
-      // Note when FIN arrives (used by safeRecv to suppress noisy mismatch warnings)
-      if (m.type === "ns_fin" && m.sessionId === sessionId) {
-        tracker.sawFin = true;
-        return;
       }
     } catch {}
   });
@@ -260,17 +289,37 @@ function attachInitFinTracker(tx, sessionId, sink, tracker = {}) {
   return () => { try { off?.(); } catch {} };
 }
 
-function makeSniffingSink({ outToStdout, outPath, appID, overwrite, onStart, onProgress }) {
+// Persist the resume sidecar at most this often (bytes / ms), plus once on abort.
+const STATE_EVERY_BYTES = 8 * 1024 * 1024;
+const STATE_EVERY_MS = 1000;
+
+const TAR_BLOCK = 512;
+// NTM2 header fields kept for the result (name/totalBytes/hashAlg are handled separately)
+const PEER_META_KEYS = ["size", "mime", "mtime", "mode", "hash", "entries"];
+
+function makeSniffingSink({ outToStdout, outPath, appID, overwrite, extract, onStart, onProgress }) {
   let stream,
     filePath,
+    partTarget = null, // final-name candidate; data lives in partPathFor(partTarget)
     started = false,
+    finished = false,
     written = 0,
+    offset = 0, // bytes already present from a previous (resumed) session
     announced = 0,
     label = null,
-    desiredName = null; // <- set by sink.info({ name }) (sanitize it)
+    desiredName = null, // <- set by sink.info({ name }) (sanitize it)
+    resumeKey = null,
+    savedAt = { bytes: 0, t: 0 },
+    hashAlg = "sha256", // sender may announce another one in ns_init
+    hasher = null,
+    digestOut = null,
+    sniff = null, // --extract: first bytes held back until we know whether this is a tar
+    extractor = null,
+    peerMeta = null; // NTM2 fields (size, mime, mtime, mode, hash, entries)
+
+  const targetDir = outPath || process.cwd();
 
   function resolveTargetPath(baseName) {
-    const targetDir = outPath || process.cwd();
    // baseName is already sanitized to a leaf; join is fine and clearer.
     let p = path.join(targetDir, baseName);
     if (!overwrite && fs.existsSync(p)) {
@@ -291,15 +340,86 @@ function makeSniffingSink({ outToStdout, outPath, appID, overwrite, onStart, onP
     const raw = desiredName || info?.name || info?.label || `nt-${appID}.bin`;
     label = sanitizeFilename(raw, { fallback: `nt-${appID}.bin` });
 
-    if (onStart) onStart({ label });
+    if (onStart) onStart({ label, entries: peerMeta?.entries });
 
     if (outToStdout) {
       stream = process.stdout;
       return;
     }
+    if (extract) {
+      sniff = [];
+      return;
+    }
+    openPart();
+  }
+
+  // Write into "<label>.ntpart" (or "<stem>-1<ext>.ntpart" when another
+  // transfer's partial is there); it is renamed to the final (deduped) name on close().
+  function openPart() {
+    partTarget = freshPartTarget(targetDir, label);
+    stream = fs.createWriteStream(partPathFor(partTarget), { flags: "wx", highWaterMark: CHUNK });
+  }
 
-    filePath = resolveTargetPath(label);
-    stream = fs.createWriteStream(filePath, { flags: overwrite ? "w" : "wx", highWaterMark: CHUNK });
+  function emit(buf) {
+    if (extractor) return extractor.write(buf);
+    return new Promise((res, rej) => stream.write(buf, (e) => (e ? rej(e) : res())));
+  }
+
+  // --extract: a ustar header in the first block → unpack; anything else is saved as a file.
+  async function decide() {
+    const head = Buffer.concat(sniff);
+    sniff = null;
+    if (looksLikeTar(head)) {
+      getLogger().debug(`recv: ${label} is a tar; extracting into ${targetDir}`);
+      extractor = createTarExtractor(targetDir, { overwrite });
+    } else {
+      getLogger().debug(`recv: ${label} is not a tar; saving as-is`);
+      openPart();
+    }
+    if (head.byteLength) await emit(head);
+  }
+
+  async function saveState(force = false) {
+    if (!resumeKey || !partTarget) return;
+    const now = Date.now();
+    if (!force && written - savedAt.bytes < STATE_EVERY_BYTES && now - savedAt.t < STATE_EVERY_MS) return;
+    savedAt = { bytes: written, t: now };
+    try {
+      await writeResumeState(partTarget, { key: resumeKey, name: label, totalBytes: announced, offset: written });
+    } catch (e) {
+      getLogger().debug(`recv: could not write resume state: ${e?.message || e}`);
+    }
+  }
+
+  // Created lazily: the algorithm is only known from ns_init, and a resumed
+  // prefix has to be re-read from the partial before new bytes are added.
+  async function ensureHasher() {
+    if (hasher) return hasher;
+    hasher = createDigest(hashAlg);
+    if (offset > 0 && partTarget) {
+      await updateFrom(hasher, fs.createReadStream(partPathFor(partTarget), { start: 0, end: offset - 1 }));
+    }
+    return hasher;
+  }
+
+  // Best effort, like `cp -p`: permission bits only (no setuid/sticky), then mtime.
+  async function applyPeerMeta(p) {
+    if (!peerMeta) return;
+    try {
+      // the sender's permission bits, but never more than our umask allows (no 0o666 from afar)
+      if (Number.isInteger(peerMeta.mode)) await fsp.chmod(p, peerMeta.mode & 0o777 & ~process.umask());
+      if (Number.isInteger(peerMeta.mtime)) {
+        const t = new Date(peerMeta.mtime);
+        await fsp.utimes(p, t, t);
+      }
+    } catch (e) {
+      getLogger().debug(`recv: could not apply sender metadata: ${e?.message || e}`);
+    }
+  }
+
+  function endStream() {
+    if (!stream || stream === process.stdout) return Promise.resolve();
+    return new Promise((res) => stream.end(res));
   }
 
   return {
@@ -314,33 +434,120 @@ function makeSniffingSink({ outToStdout, outPath, appID, overwrite, onStart, onP
       // when we (likely) already know the final filename from the data header.
       if (meta?.totalBytes != null) {
         const n = Number(meta.totalBytes);
-        if (Number.isFinite(n) && n >= 0) announced = n;
+        // ns_init announces only what is left after a resume offset
+        if (Number.isFinite(n) && n >= 0) announced = offset + n;
+      }
+      if (meta?.hashAlg && !hasher) {
+        if (isSupportedHashAlg(meta.hashAlg)) hashAlg = meta.hashAlg;
+        else getLogger().debug(`recv: hash ${meta.hashAlg} unsupported here; the digest check will fail`);
       }
-      if (meta?.name) {
+      for (const k of PEER_META_KEYS) {
+        if (meta?.[k] != null) (peerMeta ??= {})[k] = meta[k];
+      }
+      if (meta?.name && !started) {
         getLogger().debug(`recv META name= ${meta.name}`);
         // Sanitize early so anything that inspects desiredName sees the safe version.
         desiredName = sanitizeFilename(String(meta.name), { fallback: `nt-${appID}.bin` });
       }
     },
 
+    /**
+     * Called once per session with the sender's resume request.
+     * Reopens a matching "<name>.ntpart" at its verified offset; returns that offset (0 = fresh).
+     */
+    async resume({ key, name, totalBytes }) {
+      if (outToStdout || extract || started) return 0;
+      resumeKey = key;
+      announced = totalBytes;
+      if (name) desiredName = sanitizeFilename(String(name), { fallback: `nt-${appID}.bin` });
+      if (!desiredName) return 0;
+
+      const hit = await findResumable(targetDir, desiredName, { key, totalBytes });
+      if (!hit || hit.offset <= 0) return 0;
+
+      await fsp.truncate(partPathFor(hit.target), hit.offset);
+      started = true;
+      label = desiredName;
+      partTarget = hit.target;
+      offset = written = hit.offset;
+      savedAt = { bytes: written, t: Date.now() };
+      stream = fs.createWriteStream(partPathFor(partTarget), { flags: "r+", start: offset, highWaterMark: CHUNK });
+      if (onStart) onStart({ label, offset });
+      getLogger().debug(`recv: resuming ${partPathFor(partTarget)} at ${offset}`);
+      return offset;
+    },
+
     async write(u8) {
       // Decide the filename as late as possible (first write), so desiredName
       // from the meta header can be applied before creating the file.
       startIfNeeded();
       const buf = u8 instanceof Uint8Array ? u8 : Buffer.from(u8);
       if (!buf.byteLength) return;
+      await ensureHasher();
+      if (sniff) {
+        sniff.push(buf);
+        if (sniff.reduce((n, b) => n + b.byteLength, 0) >= TAR_BLOCK) await decide();
+      } else {
+        await emit(buf);
+      }
+      hasher.update(buf);
+      // Only count bytes the OS accepted: this is the offset we may resume from.
       written += buf.byteLength;
       if (onProgress) onProgress({ w: written, t: announced });
-      await new Promise((res, rej) => stream.write(buf, (e) => (e ? rej(e) : res())));
+      await saveState();
+    },
+
+    /** Digest of everything written (including a resumed prefix). */
+    async digest() {
+      if (!digestOut) {
+        await ensureHasher();
+        digestOut = { alg: hashAlg, digest: hasher.digest("hex") };
+      }
+      return digestOut;
     },
 
+    // Success: move the partial into place and drop the sidecar.
     async close() {
-      if (!stream || stream === process.stdout) return;
-      await new Promise((res) => stream.end(res));
+      if (finished) return;
+      if (sniff) await decide();
+      if (extractor) {
+        await extractor.finish();
+        const roots = extractor.roots();
+        filePath = roots.length === 1 ? roots[0] : targetDir;
+        finished = true;
+        return;
+      }
+      await endStream();
+      if (partTarget) {
+        filePath = resolveTargetPath(label);
+        await fsp.rename(partPathFor(partTarget), filePath);
+        await removeResumeState(partTarget);
+        await applyPeerMeta(filePath);
+      }
+      finished = true;
+    },
+
+    // Failure: keep the partial and record how far we got — unless its
+    // content is known to be bad, in which case the next attempt starts over,
+    // or unwanted (`discard`), in which case it goes.
+    async abort({ resumable = true, discard = false } = {}) {
+      if (finished) return;
+      finished = true;
+      if (extractor) return extractor.abort();
+      await endStream();
+      if (discard && partTarget) {
+        await fsp.rm(partPathFor(partTarget), { force: true });
+        await removeResumeState(partTarget);
+        partTarget = null;
+        return;
+      }
+      if (resumable) await saveState(true);
+      else if (partTarget) await removeResumeState(partTarget);
+      if (partTarget) filePath = partPathFor(partTarget);
     },
 
     getStats() {
-      return { written, announced, label, filePath };
+      return { written, announced, label, filePath, offset, extracted: extractor?.entries ?? 0, meta: peerMeta };
     },
 
     onProgress,
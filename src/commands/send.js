@@ -1,14 +1,17 @@
 import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
-import tar from "tar-stream";
-import micromatch from "micromatch";
 
 import { createSignalClient } from "../core/signal.js";
-import { dialRTC } from "../core/rtc.js";
+import { createLanSignal } from "../core/lan.js";
+import { sealSignal } from "../core/signal-seal.js";
+import { prepareContact } from "../core/contacts.js";
+import { meetContact } from "../core/meet.js";
+import { dialPeer } from "../core/dial.js";
 import { getIceConfig } from "../env/ice.js";
-import { waitForRoomFull, withTimeout } from "../core/signal-helpers.js";
+import { waitForRoomFull } from "../core/signal-helpers.js";
 import { defaultSend } from "../transfer/default.js";
+import { DEFAULT_STALL_TIMEOUT_S } from "../transfer/heartbeat.js";
 import { pqSend, wrapAuthDC } from "../transfer/pq.js";
 import { parseStreamFin } from "@noisytransfer/noisystream/frames";
 import { attachDcDebug } from "../core/dc-debug.js";
@@ -16,6 +19,12 @@ import { flush, forceCloseNoFlush, scrubTransport } from "@noisytransfer/transpo
 import { hardExitIfEnabled } from "../env/hard-exit.js";
 import { createLogger, getLogger } from "../util/logger.js";
 import { sanitizeFilename } from "../util/sanitize.js";
+import { resumeKeyForFile } from "../transfer/resume.js";
+import { GITIGNORE, NTIGNORE, makeTarPack, scanTree, totalTarSize } from "../transfer/tar-pack.js";
+import { mimeFor } from "../transfer/meta-header.js";
+import { collectCaps } from "../transfer/caps.js";
+import { formatDigest } from "../transfer/digest.js";
+import { NoisyError } from "@noisytransfer/errors";
 
 const CHUNK = 64 * 1024;
 
@@ -28,12 +37,59 @@ function deriveSendName(srcPath, opts) {
   catch { return "nt-transfer.bin"; }
 }
 
+/** Walk / filter options shared by the real send and --dry-run. */
+function tarOptions(opts) {
+  return {
+    include: opts.include || [],
+    exclude: opts.exclude || [],
+    ignoreFiles: opts.gitignore ? [NTIGNORE, GITIGNORE] : [NTIGNORE],
+    symlinks: opts.symlinks || "skip",
+  };
+}
+
+/**
+ * --dry-run: print what would be sent (one `<bytes>\t<name>` line per entry, on stdout)
+ * and the size on the wire, without creating a code or connecting.
+ */
+export async function dryRun(paths, opts = {}) {
+  const out = (line) => process.stdout.write(line + "\n");
+  if (paths.length === 1 && paths[0] === "-") {
+    out(`${opts.size ?? "?"}\t(stdin)`);
+    return { entries: [], totalBytes: opts.size ?? null };
+  }
+  if (paths.length === 1 && (await isRegularFile(paths[0]))) {
+    const st = await fsp.stat(paths[0]);
+    out(`${st.size}\t${path.basename(path.resolve(paths[0]))}`);
+    out(`Total: 1 file, ${humanBytes(st.size)}`);
+    return { entries: [], totalBytes: st.size };
+  }
+  const { entries, skipped } = await scanTree(paths, tarOptions(opts));
+  warnSkipped(skipped);
+  let files = 0;
+  let bytes = 0;
+  for (const e of entries) {
+    if (e.type === "file") {
+      files += 1;
+      bytes += e.size;
+      out(`${e.size}\t${e.name}`);
+    } else if (e.type === "symlink") {
+      out(`-\t${e.name} -> ${e.linkname}`);
+    } else {
+      out(`-\t${e.name}`);
+    }
+  }
+  const totalBytes = totalTarSize(entries);
+  out(`Total: ${files} file(s), ${humanBytes(bytes)} (${humanBytes(totalBytes)} as tar)`);
+  return { entries, totalBytes };
+}
+
 export async function run(paths, opts, ctx = {}) {
   if (!paths || !paths.length) throw new Error("send: missing input path");
   const useStdin = paths.length === 1 && paths[0] === "-";
   if (!useStdin && paths.includes("-"))
     throw new Error("send: '-' (stdin) cannot be combined with files/dirs");
-  if (useStdin && opts.size == null) throw new Error("stdin requires --size <bytes>");
+  // PQ: noisystream binds the length into INIT/AAD, so it cannot stream an unknown length
+  if (useStdin && opts.size == null && opts.pq) throw new Error("send: --pq needs --size <bytes> when reading from stdin");
   const logger = (ctx && ctx.logger) || createLogger();
   const firstPath = useStdin ? "-" : paths[0];
   // We compute the final send-name *after* we decide whether we’re tarring.
@@ -41,31 +97,58 @@ export async function run(paths, opts, ctx = {}) {
   // Prepare values we’ll need for hint + filenames
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-  const sessionId = opts.sessionId || opts.app;
+  // --to: our identity and the key pinned for that name, before anything connects
+  const contact = opts.to ? await prepareContact(opts.to) : null;
+  // no code: both sides derive the room from the pinned keys
+  const meet = opts.meet ? await meetContact(contact, { side: "A", relayUrl: opts.relay, headers: opts.headers }) : null;
+
+  const sessionId = meet?.appID || opts.sessionId || opts.app;
   if (!sessionId) throw new Error("send: missing sessionId (expected from createCode/appID)");
+  const secret = meet?.secret ?? opts.pake;
 
-  const signal = createSignalClient({ relayUrl: opts.relay, appID: opts.app, side: "A" });
-  await signal.waitOpen?.(100000);
-  
-  getLogger().debug("waiting for room_full…");
-  await waitForRoomFull(signal, { timeoutMs: 90000 });
-  getLogger().debug("room_full seen — starting rtc initiator");
+  const link = meet
+    ? meet.signal
+    : opts.lan
+      ? createLanSignal({ code: opts.lan, side: "A" })
+      : createSignalClient({ relayUrl: opts.relay, appID: opts.app, side: "A" });
+  // the code's secret part also keeps SDP and candidates from the relay
+  const signal = secret ? sealSignal(link, { secret, sessionId, side: "A" }) : link;
+  if (meet) {
+    // the room filled while meeting
+  } else if (opts.lan) {
+    // open means the receiver is connected: there is no room to fill
+    await signal.waitOpen(90000);
+  } else {
+    await signal.waitOpen?.(100000);
+    getLogger().debug("waiting for room_full…");
+    await waitForRoomFull(signal, { timeoutMs: 90000 });
+  }
+  getLogger().debug("peer is in — starting rtc initiator");
 
   const rtcCfg = getIceConfig();
-  const rtc = await withTimeout(dialRTC("initiator", signal, rtcCfg), 30000, "dial initiator");
+  // PQ frames are not sealed for the relay: WebRTC only
+  const transport = opts.pq ? "rtc" : opts.transport;
+  const rtc = await dialPeer("initiator", signal, { transport, rtcCfg, sessionId });
 
   // Build source + exact totalBytes
   let sourceStream;
   let totalBytes;
+  let resume = null;
+  let resumedFrom = 0; // bytes the receiver already had: not part of this run's throughput
+  let meta = {}; // NTM2 metadata beyond the name (receivers that announce it only)
+  let offer = null; // what the receiver is asked to accept
 
   if (useStdin) {
     sourceStream = process.stdin;
-    totalBytes = Number(opts.size);
-    if (!Number.isFinite(totalBytes) || totalBytes <= 0)
+    // No --size → unknown length; the receiver learns it from FIN
+    totalBytes = opts.size == null ? null : Number(opts.size);
+    if (totalBytes != null && (!Number.isFinite(totalBytes) || totalBytes <= 0))
       throw new Error("--size must be a positive integer for stdin");
     // Ensure receiver sees the intended filename; allow --name to override.
     // Sanitize to avoid path traversal / illegal characters on receiver.
     sendNameHint = sanitizeFilename(deriveSendName(firstPath, opts) || "");
+    meta = { mime: mimeFor(sendNameHint), size: totalBytes ?? undefined };
+    offer = { name: sendNameHint, size: totalBytes, kind: "stream" };
   } else if (paths.length === 1 && (await isRegularFile(paths[0]))) {
     const abs = path.resolve(paths[0]);
     const st = await fsp.stat(abs);
@@ -74,9 +157,20 @@ export async function run(paths, opts, ctx = {}) {
     // Ensure receiver sees the intended filename; allow --name to override.
     // (Previously we only set a name for stdin or multi-path.)
     sendNameHint = sanitizeFilename(deriveSendName(firstPath, opts) || "");
+    meta = { size: st.size, mime: mimeFor(sendNameHint), mtime: Math.floor(st.mtimeMs), mode: st.mode & 0o777 };
+    offer = { name: sendNameHint, size: st.size, kind: "file" };
+    // Regular files are seekable → the receiver may continue a previous partial.
+    resume = {
+      key: resumeKeyForFile(sendNameHint, st),
+      // [start, end) — end is exclusive; omitted → to EOF
+      openAt: (start, end) =>
+        fs.createReadStream(abs, { start, end: end != null ? end - 1 : undefined, highWaterMark: CHUNK }),
+      onResume: (offset) => (resumedFrom = offset),
+    };
   } else {
     // multi-path (or a directory) → stream a tar we build on the fly
-    const { pack, totalSizeTar } = await makeTarPack(paths, { exclude: opts.exclude || [] });
+    const { pack, totalSizeTar, entries, skipped } = await makeTarPack(paths, tarOptions(opts));
+    warnSkipped(skipped);
     sourceStream = pack;
     totalBytes = totalSizeTar;
     sendNameHint = sanitizeFilename(deriveSendName(firstPath, opts) || "");
@@ -84,33 +178,33 @@ export async function run(paths, opts, ctx = {}) {
     const base = path.basename(firstPath === "-" ? "stdin" : paths[0]);
     const stem = base.replace(/\.(tar|tgz|zip)$/i, "");
     sendNameHint = opts?.name ? String(opts.name) : `${stem}.tar`;
+    meta = { size: totalSizeTar, mime: "application/x-tar", entries: entries.length };
+    offer = { name: sendNameHint, size: totalSizeTar, kind: "bundle", files: entries.filter((e) => e.type === "file").length };
   }
-   if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+  if (totalBytes != null && (!Number.isInteger(totalBytes) || totalBytes <= 0)) {
     throw new Error(`internal: computed totalBytes invalid (${totalBytes})`);
   }
 
   // Progress UI
   const t0 = Date.now();
   let lastTick = 0;
-  function onProgress(sent, total) {
+  // `wire` (compressed sends only): { wire:<bytes on the wire>, compress:<alg> }
+  function onProgress(sent, total, wire) {
     const now = Date.now();
     if (now - lastTick < 120 && sent !== total) return;
     lastTick = now;
     const dt = (now - t0) / 1000;
-    const speed = sent / Math.max(1, dt);
-    const eta = speed > 0 ? (total - sent) / speed : Infinity;
-    const pct = Math.max(0, Math.min(100, Math.floor((sent / total) * 100)));
+    const speed = Math.max(0, sent - resumedFrom) / Math.max(1, dt);
     if (process.stderr.isTTY) {
-      const msg = `\r${humanBytes(sent)}/${humanBytes(total)}  ${humanBytes(speed)}/s  ETA ${formatETA(eta)}  ${pct}%`;
-      process.stderr.write(msg);
+      process.stderr.write(`\r${formatProgress(sent, total, speed)}${wire ? `  wire ${humanBytes(wire.wire)}` : ""}`);
     } else {
-      process.stderr.write(`${sent}\t${total}\n`);
+      process.stderr.write(`${sent}\t${total ?? "-"}${wire ? `\t${wire.wire}` : ""}\n`);
     }
   }
 
   // Wait for FIN/OK from receiver or peer close
   const waitForFinAck = () =>
-    new Promise((resolve) => {
+    new Promise((resolve, reject) => {
       let settled = false;
       const offMsg = rtc.onMessage?.((m) => {
         if (settled) return;
@@ -128,6 +222,17 @@ export async function run(paths, opts, ctx = {}) {
             offMsg?.();
             offClose?.();
             resolve();
+          } else if (fin && fin.sessionId === sessionId && fin.ok === false) {
+            // Receiver rejected the transfer (e.g. content hash mismatch)
+            settled = true;
+            offMsg?.();
+            offClose?.();
+            reject(
+              new NoisyError({
+                code: fin.errCode || "NC_PEER_FAIL",
+                message: `receiver reported failure${fin.errCode ? ` (${fin.errCode})` : ""}`,
+              })
+            );
           }
         } catch {}
       });
@@ -147,27 +252,43 @@ export async function run(paths, opts, ctx = {}) {
       }, 3000);
     });
 
+  let result = null;
+  // The receiver announces its capabilities right after auth; listen on the raw channel now
+  const caps = collectCaps(rtc, sessionId);
   try {
     if (opts.pq) {
       const offDbg = attachDcDebug(rtc, { label: "pq-send", sessionId });
       const rtcAuth = wrapAuthDC(rtc, { sessionId, label: "pq-auth-sender" });
-      await pqSend(rtcAuth, { sessionId, source: sourceStream, totalBytes, onProgress, name: sendNameHint, assumeYes: !!opts.yes });
+      result = await pqSend(rtcAuth, { sessionId, source: sourceStream, totalBytes, onProgress, name: sendNameHint, meta, offer, caps, assumeYes: !!opts.yes, resume });
       try {
         offDbg();
       } catch {}
     } else {
-      await defaultSend(rtc, {
+      result = await defaultSend(rtc, {
         sessionId,
         source: sourceStream,
         totalBytes,
         onProgress,
         name: sendNameHint,
-        assumeYes: !!opts.yes
+        meta,
+        offer,
+        caps,
+        assumeYes: !!opts.yes,
+        pake: secret,
+        psk: opts.psk,
+        confirmSas: !!opts.sas,
+        contact,
+        resume,
+        compress: opts.compress,
+        streams: opts.streams,
+        stallTimeoutMs: (opts.stallTimeout ?? DEFAULT_STALL_TIMEOUT_S) * 1000,
       });
     }
 
+    const sentBytes = result?.bytes ?? totalBytes;
+    const wire = result?.compress ? { wire: result.wireBytes, compress: result.compress } : undefined;
     try {
-      onProgress(totalBytes, totalBytes);
+      onProgress(sentBytes, totalBytes ?? sentBytes, wire);
     } catch {}
 
     if (typeof rtc?.flush === "function") {
@@ -184,9 +305,11 @@ export async function run(paths, opts, ctx = {}) {
     try { await flush(rtc, { timeoutMs: 15000 }); } catch {}
     // Let the peer close first to avoid races
     await waitForPeerClose(rtc, 1500);
-    process.stderr.write("\nDone • " + humanBytes(totalBytes) + "\n");
+    process.stderr.write("\nDone • " + humanBytes(sentBytes) + (wire ? ` (${humanBytes(wire.wire)} ${wire.compress} on the wire)` : "") + "\n");
+    if (result?.digest) process.stderr.write(formatDigest(result) + "\n");
     // --- Silent workaround on success
   } finally {
+    caps.off();
     // Hard, handler-safe close sequence
     try { await forceCloseNoFlush(rtc); } catch {}
     try { scrubTransport(rtc); } catch {}
@@ -220,6 +343,22 @@ function humanBytes(n) {
 function formatETA(sec) {
   return !Number.isFinite(sec) ? "—" : `${Math.max(0, Math.round(sec))}s`;
 }
+// Unknown total → bytes and throughput only (no ETA / percent to make up)
+function formatProgress(done, total, speed) {
+  if (!total) return `${humanBytes(done)}  ${humanBytes(speed)}/s`;
+  const eta = speed > 0 ? (total - done) / speed : Infinity;
+  const pct = Math.max(0, Math.min(100, Math.floor((done / total) * 100)));
+  return `${humanBytes(done)}/${humanBytes(total)}  ${humanBytes(speed)}/s  ETA ${formatETA(eta)}  ${pct}%`;
+}
+
+// Everything the tar walk left out, so nothing goes missing silently
+const SKIPPED_LIST_MAX = 20;
+function warnSkipped(skipped) {
+  if (!skipped?.length) return;
+  const lines = skipped.slice(0, SKIPPED_LIST_MAX).map((s) => `  ${s.name} (${s.reason})`);
+  if (skipped.length > SKIPPED_LIST_MAX) lines.push(`  … and ${skipped.length - SKIPPED_LIST_MAX} more`);
+  process.stderr.write(`Skipped ${skipped.length} item(s):\n${lines.join("\n")}\n`);
+}
 
 async function isRegularFile(p) {
   try {
@@ -229,60 +368,3 @@ async function isRegularFile(p) {
     return false;
   }
 }
-
-// Builds a tar stream from one or more input paths.
-// Returns { pack, totalSizeTar } where totalSizeTar is computed BEFORE returning.
-// NOTE: this is async because we must pre-scan the filesystem.
-async function makeTarPack(paths, { exclude = [] } = {}) {
-  const pack = tar.pack();
-  let totalSizeTar = 0;
-
-  // 1) Pre-scan to collect files and sizes so we can compute the exact tar size.
-  const entries = [];
-  async function collect(p) {
-   const abs = path.resolve(p);
-    const st = await fsp.stat(abs);
-    if (st.isFile()) {
-      const base = path.basename(abs);
-      if (exclude.length && micromatch.isMatch(base, exclude)) return;
-      entries.push({ abs, size: st.size, name: base });
-      return;
-    }
-    if (st.isDirectory()) {
-      for (const name of await fsp.readdir(abs)) {
-        await collect(path.join(abs, name));
-      }
-    }
-    // ignore symlinks/others for now
-  }
-  for (const p of paths) {
-    await collect(p);
-  }
-
-  // 2) Compute TAR size up front: per-file 512 header + size padded to 512, plus 1024 EOF.
-  totalSizeTar = entries.reduce(
-    (acc, { size }) => acc + 512 + Math.ceil(size / 512) * 512,
-   0
-  );
-  totalSizeTar += 1024; // TAR EOF (two 512-byte blocks)
-
-  // 3) Start streaming entries asynchronously; caller can begin sending immediately.
-  (async () => {
-   try {
-      for (const { abs, size, name } of entries) {
-       await new Promise((resolve, reject) => {
-          const entry = pack.entry({ name, size }, (err) => (err ? reject(err) : resolve()));
-          const rs = fs.createReadStream(abs, { highWaterMark: CHUNK });
-          rs.on("error", reject);
-          entry.on("error", reject);
-         rs.pipe(entry);
-        });
-      }
-      pack.finalize();
-    } catch (e) {
-      try { pack.destroy(e); } catch {}
-    }
-  })();
-
-  return { pack, totalSizeTar };
-}
@@ -5,6 +5,8 @@ export const DEV_DEFAULT_RELAY = process.env.NT_DEFAULT_RELAY || "ws://127.0.0.1
 export const DEV_DEFAULT_API = process.env.NT_DEFAULT_API || "http://127.0.0.1:1234";
 
 export function resolveCfg(opts = {}) {
+  // --lan finds the peer on the local network: no relay, no rendezvous API
+  if (opts.lan) return { relay: null, api: null, ttlSec: 0, headers: opts.headers || undefined };
   // Priority: CLI flags > explicit env > dev defaults
   const relay   = opts.relay  || process.env.NT_RELAY     || DEV_DEFAULT_RELAY;
   const api     = opts.api    || process.env.NT_API_BASE  || DEV_DEFAULT_API;
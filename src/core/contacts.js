@@ -0,0 +1,261 @@
+// src/core/contacts.js
+// Trusted contacts (TOFU): each machine has a long-term Ed25519 identity key
+// (plus an X25519 one, so two contacts can meet without a code: meet.js),
+// and `--to <name>` / `--from <name>` pin the peer's keys under that name.
+//
+// After the noisyauth handshake, a side that names its peer sends
+//   { type:"nt_ident", sessionId, key:<b64u raw public key>, dh:<b64u X25519 key>, sig:<b64u> }
+// signing the handshake's transcript hash (which covers the DTLS fingerprints
+// or relay keys) and its X25519 key. The first session with a name is authenticated as usual
+// (PAKE code, pre-shared key or SAS) and then pins the key; later ones need no prompt, and a
+// different key fails loudly. A first session nothing authenticated (-y alone) pins nothing.
+//
+// Files live in NT_CONFIG_DIR (default $XDG_CONFIG_HOME/noisytransfer, or
+// ~/.config/noisytransfer): identity.json (mode 0600) and contacts.json.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  randomBytes,
+  sign,
+  verify,
+} from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { b64u, unb64u } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { watchPeerProof } from "./peer-proof.js";
+
+export const IDENT_FRAME = "nt_ident";
+
+const NAME_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const KEY_BYTES = 32;
+const TIMEOUT_MS = 30_000;
+
+export function configDir() {
+  if (process.env.NT_CONFIG_DIR) return process.env.NT_CONFIG_DIR;
+  if (process.platform === "win32" && process.env.APPDATA) return path.join(process.env.APPDATA, "noisytransfer");
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "noisytransfer");
+}
+
+export function isContactName(name) {
+  return typeof name === "string" && NAME_RE.test(name);
+}
+
+/** Short, comparable form of a key: 8 groups of 4 hex digits of its SHA-256. */
+export function keyFingerprint(key) {
+  const hex = createHash("sha256").update(Buffer.from(key)).digest("hex").slice(0, 32);
+  return hex.match(/.{4}/g).join(" ");
+}
+
+/** A raw public key as typed or pasted (b64u); null when it is not one. */
+export function parseKey(s) {
+  try {
+    const raw = unb64u(String(s).trim());
+    return raw.byteLength === KEY_BYTES ? new Uint8Array(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** What `nt contacts list` shows for this machine: `<key>.<dh key>`. */
+export function formatContactKey(identity) {
+  return `${b64u(identity.publicKey)}.${b64u(identity.dhPublicKey)}`;
+}
+
+/** `<key>` or `<key>.<dh key>` as pasted; null when it is neither. */
+export function parseContactKey(s) {
+  const [k, d, extra] = String(s).trim().split(".");
+  const key = parseKey(k);
+  const dh = d == null ? null : parseKey(d);
+  return !key || (d != null && !dh) || extra != null ? null : { key, dh };
+}
+
+/* --------------------------------- files ---------------------------------- */
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return fallback;
+    throw new NoisyError({ code: "NC_CONTACTS", message: `cannot read ${file}: ${e?.message || e}`, cause: e });
+  }
+}
+
+// write-then-rename, so a crash never leaves half a file
+async function writeJson(file, value, mode = 0o644) {
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2) + "\n", { mode });
+  await fs.rename(tmp, file);
+}
+
+const identityFile = () => path.join(configDir(), "identity.json");
+const contactsFile = () => path.join(configDir(), "contacts.json");
+
+/**
+ * This machine's identity, created on first use.
+ * @returns {Promise<{ publicKey:Uint8Array, sign:(data:Uint8Array)=>Uint8Array }>}
+ */
+export async function loadIdentity() {
+  let stored = await readJson(identityFile(), null);
+  if (!stored?.dhPrivateKey) {
+    // identities from before meet.js have the Ed25519 half only: keep it
+    const signing = stored ?? keyPair("ed25519");
+    const { publicKey: dhPublicKey, privateKey: dhPrivateKey } = keyPair("x25519");
+    stored = {
+      v: 1,
+      publicKey: signing.publicKey,
+      privateKey: signing.privateKey,
+      dhPublicKey,
+      dhPrivateKey,
+      createdAt: stored?.createdAt ?? new Date().toISOString(),
+    };
+    await writeJson(identityFile(), stored, 0o600);
+    getLogger().debug(`contacts: wrote identity keys to ${identityFile()}`);
+  }
+  const privateKey = createPrivateKey({ key: Buffer.from(stored.privateKey, "base64url"), format: "der", type: "pkcs8" });
+  const dhPrivateKey = createPrivateKey({ key: Buffer.from(stored.dhPrivateKey, "base64url"), format: "der", type: "pkcs8" });
+  return {
+    publicKey: new Uint8Array(Buffer.from(stored.publicKey, "base64url")),
+    dhPublicKey: new Uint8Array(Buffer.from(stored.dhPublicKey, "base64url")),
+    sign: (data) => new Uint8Array(sign(null, Buffer.from(data), privateKey)),
+    /** X25519 with a peer's dh key: the secret two contacts share */
+    agree: (peerDh) => new Uint8Array(diffieHellman({ privateKey: dhPrivateKey, publicKey: rawPublicKey("X25519", peerDh) })),
+  };
+}
+
+function keyPair(type) {
+  const { publicKey, privateKey } = generateKeyPairSync(type);
+  return {
+    publicKey: publicKey.export({ format: "jwk" }).x,
+    privateKey: privateKey.export({ format: "der", type: "pkcs8" }).toString("base64url"),
+  };
+}
+
+const rawPublicKey = (crv, key) =>
+  createPublicKey({ key: { kty: "OKP", crv, x: Buffer.from(key).toString("base64url") }, format: "jwk" });
+
+/** @returns {Promise<Record<string,{ key:string, dh?:string, addedAt:string }>>} */
+export async function listContacts() {
+  const book = await readJson(contactsFile(), { v: 1, contacts: {} });
+  return book.contacts || {};
+}
+
+export async function getContact(name) {
+  const contacts = await listContacts();
+  const c = contacts[name.toLowerCase()];
+  return c ? { name, key: parseKey(c.key), dh: c.dh ? parseKey(c.dh) : null, addedAt: c.addedAt } : null;
+}
+
+/** Pin `key` (and the contact's X25519 key, when known) under `name`. */
+export async function pinContact(name, key, dh = null) {
+  const contacts = await listContacts();
+  const id = name.toLowerCase();
+  const same = contacts[id]?.key === b64u(key);
+  // the same key again without a dh key keeps the one pinned
+  const dhText = dh ? b64u(dh) : same ? contacts[id].dh : undefined;
+  contacts[id] = {
+    key: b64u(key),
+    ...(dhText ? { dh: dhText } : {}),
+    addedAt: same ? contacts[id].addedAt : new Date().toISOString(),
+  };
+  await writeJson(contactsFile(), { v: 1, contacts });
+}
+
+/** @returns {Promise<boolean>} false when there was no such contact */
+export async function removeContact(name) {
+  const contacts = await listContacts();
+  if (!contacts[name.toLowerCase()]) return false;
+  delete contacts[name.toLowerCase()];
+  await writeJson(contactsFile(), { v: 1, contacts });
+  return true;
+}
+
+/**
+ * Everything a transfer naming its peer needs: our identity, and the keys
+ * pinned for that name (null the first time).
+ */
+export async function prepareContact(name) {
+  const [identity, pinned] = await Promise.all([loadIdentity(), getContact(name)]);
+  return { name, identity, pinned: pinned?.key ?? null, pinnedDh: pinned?.dh ?? null };
+}
+
+/* -------------------------------- exchange -------------------------------- */
+
+const signed = (role, sessionId, transcript, dh) =>
+  Buffer.from(`nt ident ${role} ${sessionId} ${transcript} ${dh}`, "utf8");
+
+function verifySig(key, data, sig) {
+  try {
+    return verify(null, data, rawPublicKey("Ed25519", key), Buffer.from(sig));
+  } catch {
+    return false;
+  }
+}
+
+function keyChanged(name, pinned, got) {
+  return new NoisyError({
+    code: "NC_AUTH",
+    message:
+      `IDENTITY KEY CHANGED for contact "${name}"!\n` +
+      `  pinned: ${keyFingerprint(pinned)}\n` +
+      `  now:    ${keyFingerprint(got)}\n` +
+      `Someone may be impersonating "${name}". If that machine was reinstalled, ` +
+      `check the new key with its owner, then: nt contacts remove ${name}`,
+    context: { detail: "identity key changed" },
+  });
+}
+
+/**
+ * Listen for the peer's nt_ident from now on; run(transcript, { verified }) sends
+ * ours and checks theirs against the pin, or pins it if something else verified
+ * the handshake (a code, a pre-shared key or the SAS).
+ * @param {{ send:(m:any)=>void, onMessage:(cb:(m:any)=>void)=>(()=>void) }} tx
+ * @param {{ sessionId:string, role:"A"|"B", contact:Awaited<ReturnType<typeof prepareContact>>, timeoutMs?:number }} opts
+ */
+export function watchIdentity(tx, { sessionId, role, contact, timeoutMs = TIMEOUT_MS }) {
+  const theirs = role === "A" ? "B" : "A";
+  const frames = {
+    [IDENT_FRAME]: (m) => typeof m.key === "string" && typeof m.dh === "string" && typeof m.sig === "string",
+  };
+  const timeout = () =>
+    new NoisyError({
+      code: "NC_AUTH",
+      message: `contact ${contact.name}: the peer sent no identity (run it with --to/--from too)`,
+    });
+
+  return watchPeerProof(tx, { sessionId, frames, timeoutMs, timeout }, async (next, transcript, { verified = false } = {}) => {
+    const { identity, name, pinned, pinnedDh } = contact;
+    const dh = b64u(identity.dhPublicKey);
+    tx.send({ type: IDENT_FRAME, sessionId, key: b64u(identity.publicKey), dh, sig: b64u(identity.sign(signed(role, sessionId, transcript, dh))) });
+    const got = await next(IDENT_FRAME);
+    const key = parseKey(got.key);
+    const peerDh = parseKey(got.dh);
+    if (!key || !peerDh || !verifySig(key, signed(theirs, sessionId, transcript, got.dh), unb64u(got.sig))) {
+      throw new NoisyError({ code: "NC_AUTH", message: `contact ${name}: the peer's identity proof is invalid` });
+    }
+    if (pinned) {
+      if (Buffer.compare(Buffer.from(pinned), Buffer.from(key)) !== 0) throw keyChanged(name, pinned, key);
+      getLogger().debug(`contacts: ${name} proved its pinned key`);
+      // signed by the pinned key: a dh key pinned without one (`nt contacts add`) or a newer one
+      if (!pinnedDh || Buffer.compare(Buffer.from(pinnedDh), Buffer.from(peerDh)) !== 0) await pinContact(name, key, peerDh);
+      return key;
+    }
+    // -y with --no-pake or --app and no PSK: anyone could be on the other end
+    if (!verified) {
+      getLogger().info(
+        `NOT PINNING ${name}'s key (${keyFingerprint(key)}): nothing authenticated this session ` +
+          `(-y without a code or a pre-shared key). Run once with the code, --psk-file or a SAS check to pin it.`
+      );
+      return key;
+    }
+    await pinContact(name, key, peerDh);
+    getLogger().info(`pinned ${name}'s key (${keyFingerprint(key)}); later transfers need no code or SAS check`);
+    return key;
+  });
+}
@@ -0,0 +1,72 @@
+// src/core/dial.js
+// The data path for a transfer (--transport):
+//   rtc   : a WebRTC DataChannel (DTLS), nothing else
+//   relay : the signaling relay, frames sealed end to end (see relay.js)
+//   auto  : WebRTC, falling back to the relay when it cannot connect (default)
+// In auto mode the first side to give up on WebRTC moves both to the relay.
+import { NoisyError } from "@noisytransfer/errors";
+import { getLogger } from "../util/logger.js";
+import { dialRTC } from "./rtc.js";
+import { switchToRelay, watchRelay } from "./relay.js";
+import { withTimeout } from "./signal-helpers.js";
+
+export const TRANSPORTS = ["auto", "rtc", "relay"];
+
+const DIAL_TIMEOUT_MS = 30000;
+
+/**
+ * @param {"initiator"|"responder"} role
+ * @param {ReturnType<import("./signal.js").createSignalClient>} signal
+ * @param {{ transport?:"auto"|"rtc"|"relay", rtcCfg?:RTCConfiguration, sessionId:string }} opts
+ */
+export async function dialPeer(role, signal, { transport = "auto", rtcCfg, sessionId }) {
+  if (transport === "rtc") return dialDirect(role, signal, rtcCfg);
+
+  // Before anything else: the peer may be quicker to give up than we are
+  const peer = watchRelay(signal);
+  try {
+    if (transport === "auto") {
+      const rtc = dialUntilUp(role, signal, rtcCfg);
+      try {
+        const tx = await Promise.race([rtc, peer.requested.then(() => null)]);
+        if (tx) return tx;
+        getLogger().info("the peer moved to the relay; relaying through the signaling server");
+      } catch (e) {
+        getLogger().debug(`dial: WebRTC failed: ${e?.message || e}`);
+        getLogger().info("no direct connection; relaying through the signaling server");
+      }
+      // whatever the abandoned dial still makes of itself is closed
+      rtc.then((tx) => tx.close?.(), () => {});
+    }
+    return await switchToRelay(signal, peer, { sessionId, role });
+  } finally {
+    peer.off();
+  }
+}
+
+/* --------------------------------- WebRTC --------------------------------- */
+
+// The responder's transport comes back before the offer: it connects (or not) later
+function dialDirect(role, signal, rtcCfg) {
+  if (role === "responder") return dialRTC("responder", signal, rtcCfg);
+  return withTimeout(dialRTC("initiator", signal, rtcCfg), DIAL_TIMEOUT_MS, "dial initiator");
+}
+
+async function dialUntilUp(role, signal, rtcCfg) {
+  const tx = await dialDirect(role, signal, rtcCfg);
+  if (tx.isUp) return tx;
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      try { offUp?.(); } catch {}
+      try { offClose?.(); } catch {}
+    };
+    const offUp = tx.onUp?.(() => {
+      done();
+      resolve(tx);
+    });
+    const offClose = tx.onClose?.((ev) => {
+      done();
+      reject(new NoisyError({ code: "NC_RTC_CLOSED", message: `WebRTC closed before connecting (${ev?.reason || "closed"})` }));
+    });
+  });
+}
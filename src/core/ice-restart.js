@@ -0,0 +1,274 @@
+// src/core/ice-restart.js
+// Surviving a dropped path (Wi-Fi roam, NAT rebinding) mid-transfer.
+//
+// When ICE reports `disconnected` or `failed`, the initiator restarts ICE over
+// the signaling client, which stays open for the whole session:
+//   B → A  { type:"ice_restart_request" }      the responder noticed first
+//   A → B  { type:"ice_restart_offer", sdp }   fresh ICE credentials
+//   B → A  { type:"ice_restart_answer", sdp }
+//   A ↔ B  { type:"ice_restart_cand", cand }   candidates of the new generation
+// Only the initiator offers, so the two sides never collide. DTLS and the SCTP
+// association outlive a restart: the data channels stay open, SCTP resends
+// what the peer had not acknowledged, and the stream carries on from there.
+//
+// The transport takes `disconnected` for the end (isUp stays false, and the
+// responder swaps its send for one that throws), so `resilientTransport` keeps
+// the send it had while up, judges liveness by the raw data channel and only
+// reports a close that is one.
+import { NoisyError } from "@noisytransfer/errors";
+import { addEvt } from "@noisytransfer/transport/webrtc/rtc-utils";
+import { getLogger } from "../util/logger.js";
+
+export const ICE_RESTART = Object.freeze({
+  REQUEST: "ice_restart_request",
+  OFFER: "ice_restart_offer",
+  ANSWER: "ice_restart_answer",
+  CAND: "ice_restart_cand",
+});
+
+const GRACE_MS = 1500; // `disconnected` often clears by itself
+const ATTEMPT_MS = 6000; // per attempt, before the next one
+const MAX_ATTEMPTS = 5;
+
+const isDown = (pc) => pc.iceConnectionState === "disconnected" || pc.iceConnectionState === "failed";
+const isHealthy = (pc) => pc.iceConnectionState === "connected" || pc.iceConnectionState === "completed";
+const asDescription = (sdp) =>
+  typeof sdp?.toJSON === "function" || typeof RTCSessionDescription !== "function" ? sdp : new RTCSessionDescription(sdp);
+
+/* ------------------------------- restarts -------------------------------- */
+
+/**
+ * Watch `pc` and restart ICE when the path drops; `onGiveUp` runs after
+ * `maxAttempts` failed attempts (the caller closes the transport).
+ * @param {RTCPeerConnection} pc
+ * @param {{ send(m:any):void, onMessage(cb:(m:any)=>void):(()=>void) }} signal
+ * @param {"initiator"|"responder"} role
+ */
+export function superviseIce(
+  pc,
+  signal,
+  role,
+  { onGiveUp, graceMs = GRACE_MS, attemptMs = ATTEMPT_MS, maxAttempts = MAX_ATTEMPTS } = {}
+) {
+  const log = getLogger();
+  let attempts = 0;
+  let timer = null;
+  let stopped = false;
+  let restarting = false; // our new candidates go to the peer only meanwhile
+  let pending = []; // peer candidates that came before their description
+
+  const schedule = (ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(check, ms);
+  };
+  const nextAttempt = () => {
+    attempts += 1;
+    if (attempts === 1) log.info("connection lost; reconnecting…");
+    schedule(attemptMs);
+  };
+
+  async function check() {
+    timer = null;
+    if (stopped || !isDown(pc)) return;
+    if (attempts >= maxAttempts) {
+      log.debug(`ice: no path after ${attempts} restarts; giving up`);
+      stop();
+      onGiveUp?.();
+      return;
+    }
+    nextAttempt();
+    if (role === "initiator") await offer();
+    else send({ type: ICE_RESTART.REQUEST });
+  }
+
+  async function offer() {
+    log.debug(`ice: restart ${attempts}/${maxAttempts} (${pc.iceConnectionState})`);
+    restarting = true;
+    try {
+      // the previous attempt's answer never came: start over
+      if (pc.signalingState === "have-local-offer") await pc.setLocalDescription({ type: "rollback" });
+      await pc.setLocalDescription(await pc.createOffer({ iceRestart: true }));
+      send({ type: ICE_RESTART.OFFER, sdp: pc.localDescription });
+    } catch (e) {
+      log.debug(`ice: restart offer failed: ${e?.message || e}`);
+    }
+  }
+
+  async function answer(sdp) {
+    restarting = true;
+    try {
+      await pc.setRemoteDescription(asDescription(sdp));
+      await addPending();
+      await pc.setLocalDescription(await pc.createAnswer());
+      send({ type: ICE_RESTART.ANSWER, sdp: pc.localDescription });
+    } catch (e) {
+      log.debug(`ice: restart answer failed: ${e?.message || e}`);
+    }
+  }
+
+  async function addPending() {
+    const cands = pending;
+    pending = [];
+    for (const c of cands) {
+      try { await pc.addIceCandidate(c); } catch {} // an older generation's
+    }
+  }
+
+  function send(m) {
+    try { signal.send(m); } catch {}
+  }
+
+  // One message at a time: candidates wait for the description before them
+  let queue = Promise.resolve();
+  const offSignal = signal.onMessage?.((m) => {
+    queue = queue.then(() => handle(m)).catch(() => {});
+  });
+
+  async function handle(m) {
+    if (stopped || !m || typeof m !== "object") return;
+    if (m.type === ICE_RESTART.REQUEST && role === "initiator") {
+      if (pc.signalingState === "stable" && !timer) {
+        nextAttempt();
+        await offer();
+      }
+    } else if (m.type === ICE_RESTART.OFFER && role === "responder") {
+      await answer(m.sdp);
+    } else if (m.type === ICE_RESTART.ANSWER && role === "initiator") {
+      if (pc.signalingState !== "have-local-offer") return;
+      try {
+        await pc.setRemoteDescription(asDescription(m.sdp));
+        await addPending();
+      } catch (e) {
+        log.debug(`ice: restart answer rejected: ${e?.message || e}`);
+      }
+    } else if (m.type === ICE_RESTART.CAND && m.cand) {
+      // before the description of its generation it fails: keep it for then
+      try { await pc.addIceCandidate(m.cand); } catch { pending.push(m.cand); }
+    }
+  }
+
+  const offCand = addEvt(pc, "icecandidate", (ev) => {
+    const c = ev?.candidate;
+    if (!restarting || stopped || !c) return;
+    send({
+      type: ICE_RESTART.CAND,
+      cand: c.toJSON?.() ?? { candidate: c.candidate, sdpMid: c.sdpMid, sdpMLineIndex: c.sdpMLineIndex },
+    });
+  });
+
+  const offState = addEvt(pc, "iceconnectionstatechange", () => {
+    if (stopped) return;
+    if (isHealthy(pc)) {
+      if (attempts) log.info(`reconnected (ICE restart${attempts === 1 ? "" : `, ${attempts} attempts`})`);
+      clearTimeout(timer);
+      timer = null;
+      attempts = 0;
+      restarting = false;
+    } else if (isDown(pc) && !timer) {
+      schedule(graceMs);
+    } else if (pc.iceConnectionState === "closed") {
+      stop();
+    }
+  });
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    try { offSignal?.(); } catch {}
+    try { offCand?.(); } catch {}
+    try { offState?.(); } catch {}
+  }
+
+  return {
+    get reconnecting() {
+      return isDown(pc) || attempts > 0;
+    },
+    stop,
+  };
+}
+
+/* ------------------------------- transport ------------------------------- */
+
+/**
+ * `base` with liveness taken from the raw data channel once `bind(pc, dc)`
+ * names it, so a path that drops and comes back (superviseIce) looks like a
+ * slow one. Frames still go through the transport's own send (its wire
+ * encoding), the one it had while up. Receiving, fingerprints and close() stay
+ * with `base`: its message listeners outlive `disconnected`.
+ * @returns {{ tx:any, bind(pc:RTCPeerConnection, dc:RTCDataChannel):void }}
+ */
+export function resilientTransport(base, signal, role) {
+  let dc = null;
+  let ice = null;
+  let closed = false;
+  let wireSend = null; // base.send from while it was up
+  const closes = new Set();
+  const downs = new Set();
+
+  const fire = (set) => {
+    for (const fn of [...set]) try { fn(); } catch {}
+  };
+  const markClosed = () => {
+    if (closed) return;
+    closed = true;
+    ice?.stop();
+    fire(downs);
+    fire(closes);
+  };
+  const listen = (set, cb) => {
+    set.add(cb);
+    if (closed) try { cb(); } catch {}
+    return () => set.delete(cb);
+  };
+  // Before the channel is known (responder) every close is final; after, only its own
+  base.onClose?.(() => {
+    if (!dc || dc.readyState === "closed") markClosed();
+  });
+
+  const keepSend = () => {
+    if (base.isUp) wireSend = base.send;
+  };
+  base.onUp?.(keepSend);
+  keepSend();
+
+  const up = () => !closed && (dc ? dc.readyState === "open" : !!base.isUp);
+
+  const tx = Object.create(base, {
+    isUp: { get: up },
+    isConnected: { get: up },
+    /** True while a dropped path is being restarted. */
+    reconnecting: { get: () => !closed && !!ice?.reconnecting },
+    bufferedAmount: { get: () => (dc ? dc.bufferedAmount || 0 : base.bufferedAmount) },
+    send: {
+      value(data) {
+        if (!dc) return base.send(data);
+        if (closed || dc.readyState !== "open") {
+          throw new NoisyError({ code: "NC_TRANSPORT_DOWN", message: "RTC DataChannel not open" });
+        }
+        return (wireSend ?? base.send)(data);
+      },
+    },
+    onDown: { value: (cb) => listen(downs, cb) },
+    onClose: { value: (cb) => listen(closes, cb) },
+    close: {
+      async value(...args) {
+        ice?.stop();
+        try {
+          await base.close?.(...args);
+        } finally {
+          markClosed();
+        }
+      },
+    },
+  });
+
+  return {
+    tx,
+    bind(pc, channel) {
+      if (dc || !channel) return;
+      dc = channel;
+      addEvt(dc, "close", markClosed);
+      if (pc && signal) ice = superviseIce(pc, signal, role, { onGiveUp: () => tx.close().catch(() => {}) });
+    },
+  };
+}
@@ -0,0 +1,334 @@
+// src/core/lan.js
+// --lan: find the peer on the local network, with no rendezvous API or relay.
+//
+// The sender makes up the code, listens on a TCP port and broadcasts
+//   {"nt":"lan1","id":<hex>,"port":<tcp port>}
+// every second to UDP port 47474 (NT_LAN_PORT) on each IPv4 interface. The
+// receiver waits for the announcement carrying the id of its code and connects;
+// the sender challenges it with a fresh nonce, the receiver answers with an
+// HMAC of the nonce under the code, and the sender takes the first connection
+// that answers right and stops announcing.
+//
+// This only keeps stray connections (another transfer's receiver, a port
+// scan) off the sender; it is no access check. The id and the HMAC key come
+// from the room part of the code alone, about 40 bits: anyone who hears the
+// broadcast can guess it offline from the id and answer the challenge. The
+// nonce just stops a hello seen on the wire from being replayed. The code's
+// secret part (pake.js), or else the SAS, is what authenticates the peer.
+//
+// The TCP connection then stands in for the signaling client: length-prefixed
+// JSON or binary frames, with the same send/onMessage/onClose surface, so the
+// transfer runs over it like over the relay (see dial.js, relay.js).
+import dgram from "node:dgram";
+import net from "node:net";
+import os from "node:os";
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { asU8, isByteLike } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { binReplacer, binReviver } from "./wire-json.js";
+import { randomCode } from "./pake.js";
+
+export const LAN_PORT = Number(process.env.NT_LAN_PORT) || 47474;
+
+const ANNOUNCE = "lan1";
+const ANNOUNCE_MS = 1000;
+const CHALLENGE = "nt_lan_challenge";
+const HELLO = "nt_lan_hello";
+const WELCOME = "nt_lan_welcome";
+const KIND_JSON = 0;
+const KIND_BIN = 1;
+const MAX_FRAME = 64 * 1024 * 1024;
+// until the hello (or welcome) is through, the other end is anyone on the network
+const MAX_HELLO = 4 * 1024;
+
+/** A fresh pairing code (8 characters, ~40 bits); the PAKE secret goes after it. */
+export function createLanCode() {
+  return randomCode(8);
+}
+
+const digest = (label, code) => createHash("sha256").update(`nt-lan ${label}:${String(code).toLowerCase()}`).digest("hex");
+
+/** What the broadcast and the room carry instead of the code. */
+export function lanId(code) {
+  return digest("id", code).slice(0, 32);
+}
+
+// The receiver's answer to the sender's challenge
+function lanProof(code, nonce) {
+  return createHmac("sha256", digest("proof", code)).update(nonce).digest();
+}
+
+/** Directed broadcast address of every IPv4 interface, plus the limited one. */
+function broadcastAddresses() {
+  const out = new Set(["255.255.255.255"]);
+  for (const addrs of Object.values(os.networkInterfaces())) {
+    for (const a of addrs || []) {
+      if (a.family !== "IPv4" && a.family !== 4) continue;
+      const ip = a.address.split(".").map(Number);
+      const mask = a.netmask.split(".").map(Number);
+      out.add(ip.map((b, i) => (b | (~mask[i] & 255)) >>> 0).join("."));
+    }
+  }
+  return [...out];
+}
+
+/* --------------------------------- framing -------------------------------- */
+// [ u32 BE length ][ kind: 0 JSON, 1 binary ][ payload ]
+
+function packFrame(frame) {
+  const binary = isByteLike(frame);
+  const payload = binary ? asU8(frame) : Buffer.from(JSON.stringify(frame, binReplacer), "utf8");
+  const head = Buffer.alloc(5);
+  head.writeUInt32BE(payload.byteLength + 1, 0);
+  head[4] = binary ? KIND_BIN : KIND_JSON;
+  return [head, payload];
+}
+
+// maxFrame() is asked per frame: the limit lifts once the peer is known
+function frameReader(onFrame, maxFrame) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    while (buf.length >= 4) {
+      const len = buf.readUInt32BE(0);
+      if (len < 1 || len > maxFrame()) throw new Error(`bad frame length ${len}`);
+      if (buf.length < 4 + len) break;
+      const kind = buf[4];
+      const payload = buf.subarray(5, 4 + len);
+      buf = buf.subarray(4 + len);
+      onFrame(kind === KIND_BIN ? Buffer.from(payload) : JSON.parse(payload.toString("utf8"), binReviver));
+    }
+  };
+}
+
+/* --------------------------------- link ---------------------------------- */
+
+/**
+ * Signaling-client look-alike for --lan. `side` "A" (sender) announces and
+ * accepts; "B" (receiver) discovers and connects. waitOpen(ms) resolves once
+ * the two are connected, so there is no room_full to wait for.
+ * @param {{ code:string, side:"A"|"B", port?:number }} opts
+ */
+export function createLanSignal({ code, side, port = LAN_PORT }) {
+  const log = getLogger();
+  const id = lanId(code);
+  const msgListeners = new Set();
+  const closeListeners = new Set();
+  const sendQueue = [];
+  // frames that came with the welcome, before anyone listens: held for the first listener
+  let early = [];
+  let sock = null;
+  let closed = false;
+  let stopFinding = () => {};
+
+  const emit = (m) => {
+    if (!msgListeners.size) return void early.push(m);
+    for (const fn of [...msgListeners]) try { fn(m); } catch {}
+  };
+  const write = (frame) => {
+    for (const part of packFrame(frame)) sock.write(part);
+  };
+
+  function attach(s, first) {
+    sock = s;
+    s.setNoDelay(true);
+    s.on("close", () => {
+      if (closed) return;
+      closed = true;
+      emit({ type: "peer_left" });
+      for (const fn of [...closeListeners]) try { fn({ code: 1000, reason: "peer left" }); } catch {}
+    });
+    s.on("error", (e) => log.debug(`lan: socket error: ${e?.message || e}`));
+    if (first) write(first);
+    for (const m of sendQueue.splice(0)) write(m);
+  }
+
+  const opened = new Promise((resolve, reject) => {
+    const fail = (e) => {
+      stopFinding();
+      reject(e);
+    };
+    if (side === "A") {
+      stopFinding = accept(id, code, port, (s) => {
+        attach(s, { type: WELCOME });
+        resolve();
+        return emit;
+      }, fail);
+    } else {
+      stopFinding = discover(id, port, (address, tcpPort) => {
+        const s = net.connect(tcpPort, address);
+        let challenged = false;
+        let welcomed = false;
+        s.once("close", () => { if (!welcomed) fail(notFound("the sender turned the connection down")); });
+        s.on("data", frameReaderOrFail(s, (m) => {
+          if (!challenged) {
+            if (m?.type !== CHALLENGE || typeof m.nonce !== "string") return s.destroy();
+            challenged = true;
+            return attach(s, { type: HELLO, proof: lanProof(code, m.nonce).toString("hex") });
+          }
+          if (!welcomed) {
+            if (m?.type !== WELCOME) return s.destroy();
+            welcomed = true;
+            log.debug(`lan: connected to ${address}:${tcpPort}`);
+            return resolve();
+          }
+          emit(m);
+        }, () => (welcomed ? MAX_FRAME : MAX_HELLO)));
+      }, fail);
+    }
+  });
+  opened.catch(() => {});
+
+  return {
+    send(frame) {
+      if (closed) return;
+      if (sock) write(frame);
+      else sendQueue.push(frame);
+    },
+    onMessage(fn) {
+      msgListeners.add(fn);
+      if (early.length) {
+        queueMicrotask(() => {
+          const held = early;
+          early = [];
+          for (const m of held) emit(m);
+        });
+      }
+      return () => msgListeners.delete(fn);
+    },
+    onClose(fn) {
+      closeListeners.add(fn);
+      return () => closeListeners.delete(fn);
+    },
+    get bufferedAmount() {
+      return sock?.writableLength || 0;
+    },
+    async close() {
+      stopFinding();
+      closed = true;
+      try { sock?.destroy(); } catch {}
+    },
+    async waitOpen(ms = 10000) {
+      let timer = null;
+      try {
+        await Promise.race([
+          opened,
+          new Promise((_, reject) => {
+            timer = setTimeout(
+              () => reject(notFound(side === "A" ? "no receiver connected" : "no sender for this code on the local network")),
+              ms
+            );
+          }),
+        ]);
+      } catch (e) {
+        stopFinding();
+        throw e;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+function notFound(message) {
+  return new NoisyError({ code: "NC_LAN", message: `lan: ${message}` });
+}
+
+function frameReaderOrFail(s, onFrame, maxFrame) {
+  const read = frameReader(onFrame, maxFrame);
+  return (chunk) => {
+    try {
+      read(chunk);
+    } catch (e) {
+      getLogger().debug(`lan: ${e?.message || e}`);
+      s.destroy();
+    }
+  };
+}
+
+/* ------------------------------ sender side ------------------------------ */
+
+// TCP server + announcements until one connection answers the challenge;
+// onPeer(socket) returns where that connection's frames go from then on
+function accept(id, code, port, onPeer, onError) {
+  const log = getLogger();
+  const udp = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  let timer = null;
+  let done = false;
+  const stop = () => {
+    if (done) return;
+    done = true;
+    clearInterval(timer);
+    try { udp.close(); } catch {}
+    try { server.close(); } catch {}
+  };
+
+  const server = net.createServer((s) => {
+    s.on("error", () => {});
+    if (done) return s.destroy();
+    // the hello answers our challenge; only then is this our receiver
+    const nonce = randomBytes(16).toString("hex");
+    const want = lanProof(code, nonce);
+    for (const part of packFrame({ type: CHALLENGE, nonce })) s.write(part);
+    let hello = true;
+    let onFrame = (m) => {
+      const proof = typeof m?.proof === "string" ? Buffer.from(m.proof, "hex") : null;
+      if (done || m?.type !== HELLO || proof?.length !== want.length || !timingSafeEqual(proof, want)) {
+        log.debug(`lan: turned down ${s.remoteAddress} (wrong code)`);
+        return s.destroy();
+      }
+      log.debug(`lan: receiver ${s.remoteAddress} connected`);
+      stop();
+      hello = false;
+      onFrame = onPeer(s);
+    };
+    s.on("data", frameReaderOrFail(s, (m) => onFrame(m), () => (hello ? MAX_HELLO : MAX_FRAME)));
+  });
+  server.on("error", (e) => {
+    stop();
+    onError(e);
+  });
+
+  server.listen(0, () => {
+    const msg = Buffer.from(JSON.stringify({ nt: ANNOUNCE, id, port: server.address().port }));
+    const targets = broadcastAddresses();
+    udp.bind(() => {
+      udp.setBroadcast(true);
+      const announce = () => {
+        for (const addr of targets) udp.send(msg, port, addr, () => {});
+      };
+      announce();
+      timer = setInterval(announce, ANNOUNCE_MS);
+      log.debug(`lan: announcing on UDP ${port} (${targets.join(", ")})`);
+    });
+  });
+  return stop;
+}
+
+/* ----------------------------- receiver side ----------------------------- */
+
+function discover(id, port, onFound, onError) {
+  const udp = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  let done = false;
+  const stop = () => {
+    if (done) return;
+    done = true;
+    try { udp.close(); } catch {}
+  };
+  udp.on("message", (buf, rinfo) => {
+    if (done) return;
+    let m = null;
+    try { m = JSON.parse(buf.toString("utf8")); } catch { return; }
+    if (m?.nt !== ANNOUNCE || m.id !== id || !Number.isInteger(m.port)) return;
+    getLogger().debug(`lan: found the sender at ${rinfo.address}:${m.port}`);
+    stop();
+    onFound(rinfo.address, m.port);
+  });
+  udp.on("error", (e) => {
+    stop();
+    onError(e);
+  });
+  udp.bind(port);
+  return stop;
+}
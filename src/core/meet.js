@@ -0,0 +1,131 @@
+// src/core/meet.js
+// Meeting a pinned contact without a code. Identities carry an X25519 key
+// (contacts.js), so two contacts share a secret the relay never sees; both
+// derive the room from it and the clock:
+//   appID = uuid(HMAC-SHA256(secret, "nt meet <window> <sender key> <receiver key>"))
+// over 5-minute windows. The receiver waits in the room of its current
+// window; the sender holds every room within MEET_SKEW_MS of its own clock,
+// so clocks up to two minutes apart still meet. The first room to fill wins
+// and the others close. The secret then stands in for a code's secret part:
+// it seals signaling (signal-seal.js) and runs the PAKE (pake.js).
+import { createHmac, hkdfSync } from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { b64u } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { getContact } from "./contacts.js";
+import { createSignalClient } from "./signal.js";
+
+export const MEET_WINDOW_MS = 5 * 60_000;
+export const MEET_SKEW_MS = 2 * 60_000;
+
+const REFRESH_MS = 10_000;
+const TIMEOUT_MS = 5 * 60_000;
+
+/** Whether `name` is pinned with the keys meeting needs (the first transfer pins them). */
+export async function canMeet(name) {
+  const c = await getContact(name);
+  return !!(c?.key && c?.dh);
+}
+
+/** The pair's shared secret (hex); null while the contact's dh key is not pinned. */
+export function meetSecret(contact) {
+  if (!contact?.pinned || !contact.pinnedDh) return null;
+  const shared = contact.identity.agree(contact.pinnedDh);
+  const pair = [b64u(contact.identity.publicKey), b64u(contact.pinned)].sort().join(" ");
+  return Buffer.from(hkdfSync("sha256", shared, "", `nt meet ${pair}`, 32)).toString("hex");
+}
+
+/** The room for one window; `from` and `to` are the sender's and receiver's identity keys. */
+export function meetAppID(secret, window, from, to) {
+  const h = createHmac("sha256", Buffer.from(secret, "hex"))
+    .update(`nt meet ${window} ${b64u(from)} ${b64u(to)}`)
+    .digest();
+  // shaped like the API's appIDs (UUID v4)
+  h[6] = (h[6] & 0x0f) | 0x40;
+  h[8] = (h[8] & 0x3f) | 0x80;
+  const hex = h.subarray(0, 16).toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/** The windows a side waits in at `now`: the receiver its own, the sender all within the skew. */
+export function meetWindows(side, now = Date.now()) {
+  if (side === "B") return [Math.floor(now / MEET_WINDOW_MS)];
+  const first = Math.floor((now - MEET_SKEW_MS) / MEET_WINDOW_MS);
+  const last = Math.floor((now + MEET_SKEW_MS) / MEET_WINDOW_MS);
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+/**
+ * Wait in the contact's rooms until the peer joins one.
+ * @param {Awaited<ReturnType<import("./contacts.js").prepareContact>>} contact
+ * @param {{ side:"A"|"B", relayUrl:string, headers?:object, timeoutMs?:number,
+ *           connect?:typeof createSignalClient, now?:()=>number }} opts
+ * @returns {Promise<{ signal:ReturnType<typeof createSignalClient>, appID:string, secret:string }>}
+ */
+export function meetContact(contact, { side, relayUrl, headers, timeoutMs = TIMEOUT_MS, connect = createSignalClient, now = Date.now }) {
+  const secret = meetSecret(contact);
+  if (!secret) {
+    return Promise.reject(new NoisyError({ code: "NC_MEET", message: `meet: ${contact?.name} is not pinned with a dh key yet` }));
+  }
+  const log = getLogger();
+  const mine = contact.identity.publicKey;
+  const [from, to] = side === "A" ? [mine, contact.pinned] : [contact.pinned, mine];
+  const rooms = new Map(); // window -> { signal, off }
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let refresh = null;
+    let timer = null;
+
+    const leave = (window) => {
+      const room = rooms.get(window);
+      rooms.delete(window);
+      try { room.off?.(); } catch {}
+      try { room.signal.close(); } catch {}
+    };
+    const finish = () => {
+      done = true;
+      clearInterval(refresh);
+      clearTimeout(timer);
+    };
+
+    function join(window) {
+      const appID = meetAppID(secret, window, from, to);
+      const signal = connect({ relayUrl, appID, side, headers });
+      const room = { signal, off: null };
+      rooms.set(window, room);
+      log.debug(`meet: waiting for ${contact.name} in window ${window}`);
+      room.off = signal.onMessage((m) => {
+        if (done || m?.type !== "room_full") return;
+        finish();
+        room.off();
+        rooms.delete(window);
+        for (const w of [...rooms.keys()]) leave(w);
+        log.debug(`meet: ${contact.name} is in (window ${window})`);
+        resolve({ signal, appID, secret });
+      });
+    }
+
+    // windows come and go while we wait
+    function sync() {
+      if (done) return;
+      const want = new Set(meetWindows(side, now()));
+      for (const w of [...rooms.keys()]) if (!want.has(w)) leave(w);
+      for (const w of want) if (!rooms.has(w)) join(w);
+    }
+
+    refresh = setInterval(sync, REFRESH_MS);
+    timer = setTimeout(() => {
+      finish();
+      for (const w of [...rooms.keys()]) leave(w);
+      const there = side === "A" ? "nt recv --from" : "nt send --to";
+      reject(
+        new NoisyError({
+          code: "NC_MEET",
+          message: `meet: ${contact.name} did not show up within ${Math.round(timeoutMs / 1000)}s (run \`${there} <this machine's name>\` there)`,
+        })
+      );
+    }, timeoutMs);
+    sync();
+  });
+}
@@ -0,0 +1,147 @@
+// src/core/pake.js
+// PAKE codes: `nt send` adds a secret to the code it prints
+//   1402abcd-k7m3p9        (room code from the API, then the secret)
+// that never goes to the rendezvous API or the relay. After the noisyauth
+// handshake both sides prove to each other that they know it, bound to that
+// handshake's transcript hash (which covers the DTLS fingerprints, or the
+// relay keys), so no one has to compare the SAS: it stays an optional check.
+//
+// The exchange is SPEKE/CPace-style over the RFC 3526 2048-bit MODP group:
+// the generator is derived from the secret, G = H(secret, sessionId)^2 mod p,
+//   { type:"nt_pake", sessionId, pake:<b64u G^x> }            both ways, then
+//   { type:"nt_pake_confirm", sessionId, mac:<b64u> }          both ways
+// with MAC keys from HKDF-SHA256 over G^xy, both messages and the transcript.
+// Someone without the code gets one guess per attempt, and the transfer fails;
+// an offline guess (see SECRET_LENGTH) comes too late to answer the PAKE.
+import {
+  createDiffieHellman,
+  createHash,
+  createHmac,
+  getDiffieHellman,
+  hkdfSync,
+  randomBytes,
+  randomInt,
+  timingSafeEqual,
+} from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { b64u, unb64u } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { watchPeerProof } from "./peer-proof.js";
+
+export const PAKE_FRAME = "nt_pake";
+export const PAKE_CONFIRM_FRAME = "nt_pake_confirm";
+
+// no 0/o, 1/l/i: read out loud or typed from a screen
+export const CODE_ALPHABET = "23456789abcdefghjkmnpqrstuvwxyz";
+// ~29 bits: one online guess per attempt at the PAKE. The relay can also test
+// guesses offline against the sealed signaling (signal-seal.js); scrypt makes
+// that cost about a thousand CPU core-days per session.
+export const SECRET_LENGTH = 6;
+
+const MODP = getDiffieHellman("modp14").getPrime();
+const P = BigInt(`0x${MODP.toString("hex")}`);
+const GROUP_BYTES = MODP.length;
+const EXPONENT_BYTES = 32;
+const TIMEOUT_MS = 30_000;
+
+/** `len` characters of CODE_ALPHABET. */
+export function randomCode(len) {
+  let out = "";
+  for (let i = 0; i < len; i++) out += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  return out;
+}
+
+export function createCodeSecret() {
+  return randomCode(SECRET_LENGTH);
+}
+
+/* --------------------------------- group ---------------------------------- */
+
+const toBytes = (n) => Buffer.from(n.toString(16).padStart(GROUP_BYTES * 2, "0"), "hex");
+const padded = (buf) => (buf.length >= GROUP_BYTES ? buf : Buffer.concat([Buffer.alloc(GROUP_BYTES - buf.length), buf]));
+
+// squaring lands in the prime-order subgroup; nobody knows the generator's log
+function generatorFor(secret, sessionId) {
+  const wide = Buffer.from(hkdfSync("sha256", String(secret).toLowerCase(), String(sessionId), "nt pake generator", GROUP_BYTES + 32));
+  const h = BigInt(`0x${wide.toString("hex")}`) % P;
+  const g = (h * h) % P;
+  if (g <= 1n) throw new Error("degenerate generator"); // 2^-2000
+  return toBytes(g);
+}
+
+const lenPrefixed = (...parts) =>
+  Buffer.concat(parts.flatMap((p) => {
+    const b = Buffer.from(p);
+    const n = Buffer.alloc(4);
+    n.writeUInt32BE(b.length, 0);
+    return [n, b];
+  }));
+
+/**
+ * One side of the exchange. `message` goes to the peer; finish() takes theirs
+ * and the transcript hash and returns the MACs each side must show.
+ * @param {{ secret:string, sessionId:string, role:"A"|"B" }} opts
+ */
+export function pakeSession({ secret, sessionId, role }) {
+  const dh = createDiffieHellman(MODP, generatorFor(secret, sessionId));
+  dh.setPrivateKey(randomBytes(EXPONENT_BYTES));
+  const message = padded(dh.generateKeys());
+  return {
+    message,
+    finish(peerMessage, transcript) {
+      const peer = Buffer.from(peerMessage);
+      let shared;
+      try {
+        shared = padded(dh.computeSecret(peer));
+      } catch {
+        throw new NoisyError({ code: "NC_AUTH", message: "pake: malformed peer message" });
+      }
+      const [mA, mB] = role === "A" ? [message, peer] : [peer, message];
+      const salt = createHash("sha256").update(lenPrefixed(String(sessionId), mA, mB, String(transcript))).digest();
+      const key = Buffer.from(hkdfSync("sha256", shared, salt, "nt pake confirm", 32));
+      const mac = (who) => createHmac("sha256", key).update(`nt pake ${who}`).digest();
+      const theirs = role === "A" ? "B" : "A";
+      return {
+        mine: mac(role),
+        check: (got) => {
+          const want = mac(theirs);
+          const u8 = Buffer.from(got ?? []);
+          return u8.length === want.length && timingSafeEqual(u8, want);
+        },
+      };
+    },
+  };
+}
+
+/* -------------------------------- exchange -------------------------------- */
+
+function codeMismatch() {
+  return new NoisyError({
+    code: "NC_AUTH",
+    message: "the code did not match (mistyped, or someone else answered)",
+  });
+}
+
+/**
+ * Listen for the peer's PAKE frames from now on (they can beat our own end of
+ * the handshake); run(transcript) then sends ours and settles once the peer's
+ * confirmation checks out.
+ * @param {{ send:(m:any)=>void, onMessage:(cb:(m:any)=>void)=>(()=>void) }} tx
+ * @param {{ secret:string, sessionId:string, role:"A"|"B", timeoutMs?:number }} opts
+ */
+export function watchPake(tx, { secret, sessionId, role, timeoutMs = TIMEOUT_MS }) {
+  const frames = {
+    [PAKE_FRAME]: (m) => typeof m.pake === "string",
+    [PAKE_CONFIRM_FRAME]: (m) => typeof m.mac === "string",
+  };
+  const timeout = () => new NoisyError({ code: "NC_AUTH", message: "pake: the peer did not answer (an older nt?)" });
+
+  return watchPeerProof(tx, { sessionId, frames, timeoutMs, timeout }, async (next, transcript) => {
+    const session = pakeSession({ secret, sessionId, role });
+    tx.send({ type: PAKE_FRAME, sessionId, pake: b64u(session.message) });
+    const confirm = session.finish(unb64u((await next(PAKE_FRAME)).pake), transcript);
+    tx.send({ type: PAKE_CONFIRM_FRAME, sessionId, mac: b64u(confirm.mine) });
+    if (!confirm.check(unb64u((await next(PAKE_CONFIRM_FRAME)).mac))) throw codeMismatch();
+    getLogger().debug("pake: the peer proved the code");
+  });
+}
@@ -0,0 +1,56 @@
+// src/core/peer-proof.js
+// The wait behind every post-handshake check (pake.js, contacts.js, psk.js):
+// listen for the peer's frames of a few types from the start, since they can
+// beat our own end of the handshake, then run the check against them with a
+// deadline. Each module keeps only what its frames carry and how to verify them.
+
+/**
+ * Keep the first valid frame of each type in `frames` for this session;
+ * run(...args) calls verify(next, ...args), where next(type) resolves with
+ * that frame once it is here, and rejects with timeout() after timeoutMs.
+ * @template T
+ * @param {{ send:(m:any)=>void, onMessage:(cb:(m:any)=>void)=>(()=>void) }} tx
+ * @param {{ sessionId:string, frames:Record<string,(m:any)=>boolean>, timeoutMs:number, timeout:()=>Error }} opts
+ * @param {(next:(type:string)=>Promise<any>, ...args:any[])=>Promise<T>} verify
+ * @returns {{ run:(...args:any[])=>Promise<T>, off:()=>void }}
+ */
+export function watchPeerProof(tx, { sessionId, frames, timeoutMs, timeout }, verify) {
+  const got = new Map();
+  const waiters = new Set();
+  const off = tx.onMessage((m) => {
+    if (!m || typeof m !== "object" || m.sessionId !== sessionId) return;
+    if (!Object.hasOwn(frames, m.type) || got.has(m.type) || !frames[m.type](m)) return;
+    got.set(m.type, m);
+    for (const w of [...waiters]) w();
+  });
+  const next = (type) =>
+    new Promise((resolve) => {
+      const w = () => {
+        if (!got.has(type)) return;
+        waiters.delete(w);
+        resolve(got.get(type));
+      };
+      waiters.add(w);
+      w();
+    });
+
+  return {
+    async run(...args) {
+      let timer = null;
+      try {
+        return await Promise.race([
+          verify(next, ...args),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(timeout()), timeoutMs);
+          }),
+        ]);
+      } finally {
+        clearTimeout(timer);
+        off?.();
+      }
+    },
+    off() {
+      try { off?.(); } catch {}
+    },
+  };
+}
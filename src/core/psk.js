@@ -0,0 +1,90 @@
+// src/core/psk.js
+// Pre-shared keys for unattended transfers (`--psk-file <path>` or NT_PSK).
+// After the noisyauth handshake each side sends
+//   { type:"nt_psk", sessionId, mac:<b64u HMAC-SHA256(key, "nt psk <role> <sessionId> <transcript>")> }
+// over the handshake's transcript hash, which covers both DTLS fingerprints
+// (or the relay keys). A relay in the middle shows each side other
+// fingerprints and has no key to vouch for them, so `-y` is safe with a PSK;
+// a wrong key, or none on the other side, fails with NC_AUTH.
+import fs from "node:fs/promises";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { b64u, unb64u } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { assertArg } from "../util/validate.js";
+import { watchPeerProof } from "./peer-proof.js";
+
+export const PSK_FRAME = "nt_psk";
+export const MIN_PSK_BYTES = 16;
+
+const TIMEOUT_MS = 30_000;
+const SPACE = new Set([0x09, 0x0a, 0x0d, 0x20]);
+
+// `openssl rand -hex 32 > key` ends in a newline; `echo $NT_PSK` may not
+function trim(buf) {
+  let start = 0;
+  let end = buf.length;
+  while (start < end && SPACE.has(buf[start])) start++;
+  while (end > start && SPACE.has(buf[end - 1])) end--;
+  return buf.subarray(start, end);
+}
+
+/**
+ * The key from `--psk-file` (its bytes) or else NT_PSK; null when neither is set.
+ * @returns {Promise<Buffer|null>}
+ */
+export async function loadPsk(file, env = process.env) {
+  let key;
+  if (file != null) {
+    try {
+      key = trim(await fs.readFile(file));
+    } catch (e) {
+      assertArg(false, `--psk-file: cannot read ${file}: ${e?.code || e?.message || e}`);
+    }
+  } else if (env.NT_PSK) {
+    key = trim(Buffer.from(env.NT_PSK, "utf8"));
+  } else {
+    return null;
+  }
+  assertArg(
+    key.length >= MIN_PSK_BYTES,
+    `psk: the key is too short (${key.length} bytes; use at least ${MIN_PSK_BYTES}, e.g. \`openssl rand -hex 32\`)`
+  );
+  return key;
+}
+
+const macFor = (key, role, sessionId, transcript) =>
+  createHmac("sha256", key).update(`nt psk ${role} ${sessionId} ${transcript}`, "utf8").digest();
+
+/**
+ * Listen for the peer's nt_psk from now on; run(transcript) sends ours and
+ * checks theirs.
+ * @param {{ send:(m:any)=>void, onMessage:(cb:(m:any)=>void)=>(()=>void) }} tx
+ * @param {{ key:Uint8Array, sessionId:string, role:"A"|"B", timeoutMs?:number }} opts
+ */
+export function watchPsk(tx, { key, sessionId, role, timeoutMs = TIMEOUT_MS }) {
+  const theirs = role === "A" ? "B" : "A";
+  const frames = { [PSK_FRAME]: (m) => typeof m.mac === "string" };
+  const timeout = () =>
+    new NoisyError({
+      code: "NC_AUTH",
+      message: "psk: the peer sent no key proof (give it --psk-file or NT_PSK too)",
+      context: { detail: "no pre-shared key from the peer" },
+    });
+
+  return watchPeerProof(tx, { sessionId, frames, timeoutMs, timeout }, async (next, transcript) => {
+    tx.send({ type: PSK_FRAME, sessionId, mac: b64u(macFor(key, role, sessionId, transcript)) });
+    const got = await next(PSK_FRAME);
+    const want = macFor(key, theirs, sessionId, transcript);
+    let mac = null;
+    try { mac = Buffer.from(unb64u(got.mac)); } catch {}
+    if (!mac || mac.length !== want.length || !timingSafeEqual(mac, want)) {
+      throw new NoisyError({
+        code: "NC_AUTH",
+        message: "psk: the peer does not have the same key (or the relay is in the middle)",
+        context: { detail: "pre-shared key mismatch" },
+      });
+    }
+    getLogger().debug("psk: the peer proved the key");
+  });
+}
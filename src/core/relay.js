@@ -0,0 +1,256 @@
+// src/core/relay.js
+// Transfers through the signaling relay, for networks where WebRTC cannot
+// connect (no TURN, UDP blocked).
+//
+// Switching: a side that moves to the relay says so over signaling,
+//   { type:"nt_relay" }
+// repeating it until the peer's arrives; neither sends a frame before that,
+// so nothing reaches a peer that is still dialing.
+//
+// Frames: the auth handshake runs in the clear (it is built for that), with
+// each side's auth message an ephemeral X25519 key where DTLS mode puts its
+// certificate fingerprint, so the SAS both users compare covers the keys. Once
+// auth is done every frame goes as one binary message the relay cannot read:
+//   [ 4 bytes magic "NTR1" ][ AES-256-GCM(kind byte || frame) ][ 16 bytes tag ]
+// kind 0 is a JSON frame, 1 a binary one. Keys are HKDF-SHA256 of the shared
+// secret (salt: sessionId), one per direction; the nonce counts that
+// direction's frames, so a dropped, replayed or reordered frame fails to open.
+import {
+  createCipheriv,
+  createDecipheriv,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+} from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+import { asU8, isByteLike } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { binReplacer, binReviver } from "./wire-json.js";
+
+export const RELAY_FRAME = "nt_relay";
+
+const MAGIC = Buffer.from("NTR1", "ascii");
+const TAG_BYTES = 16;
+const KIND_JSON = 0;
+const KIND_BIN = 1;
+const MAX_EARLY = 256; // sealed frames that beat our own end of auth
+const REPEAT_MS = 1000;
+
+/* ------------------------------- switching -------------------------------- */
+
+/** Listen for the peer's nt_relay; `requested` resolves once it came. */
+export function watchRelay(signal) {
+  let seen = false;
+  let notify = null;
+  const requested = new Promise((resolve) => { notify = resolve; });
+  const off = signal.onMessage?.((m) => {
+    if (m?.type !== RELAY_FRAME || seen) return;
+    seen = true;
+    notify();
+  });
+  return {
+    requested,
+    get seen() {
+      return seen;
+    },
+    off() {
+      try { off?.(); } catch {}
+    },
+  };
+}
+
+/**
+ * Move this side to the relay: the transport listens first, then we announce
+ * it until the peer's nt_relay is in (`peer` from watchRelay, started earlier).
+ */
+export async function switchToRelay(signal, peer, { sessionId, role, timeoutMs = 20_000 }) {
+  const tx = relayTransport(signal, { sessionId, role });
+  const announce = () => {
+    try { signal.send({ type: RELAY_FRAME }); } catch {}
+  };
+  announce();
+  const repeat = setInterval(announce, REPEAT_MS);
+  let timer = null;
+  try {
+    await Promise.race([
+      peer.requested,
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () =>
+            reject(
+              new NoisyError({
+                code: "NC_RELAY",
+                message: "the peer did not switch to the relay (an older nt, or one run with --transport rtc)",
+              })
+            ),
+          timeoutMs
+        );
+      }),
+    ]);
+  } catch (e) {
+    tx.close();
+    throw e;
+  } finally {
+    clearInterval(repeat);
+    clearTimeout(timer);
+  }
+  getLogger().debug(`relay: both sides switched (${role})`);
+  return tx;
+}
+
+/* ------------------------------- transport -------------------------------- */
+
+function sealer(key) {
+  let counter = 0n;
+  return (kind, payload) => {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(counter++, 4);
+    const c = createCipheriv("aes-256-gcm", key, nonce);
+    c.setAAD(MAGIC);
+    const body = Buffer.concat([c.update(Buffer.of(kind)), c.update(payload), c.final(), c.getAuthTag()]);
+    const out = new Uint8Array(MAGIC.length + body.length);
+    out.set(MAGIC, 0);
+    out.set(body, MAGIC.length);
+    return out;
+  };
+}
+
+function opener(key) {
+  let counter = 0n;
+  return (u8) => {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(counter++, 4);
+    const body = Buffer.from(u8.buffer, u8.byteOffset + MAGIC.length, u8.byteLength - MAGIC.length);
+    if (body.length < 1 + TAG_BYTES) throw new Error("short frame");
+    const d = createDecipheriv("aes-256-gcm", key, nonce);
+    d.setAAD(MAGIC);
+    d.setAuthTag(body.subarray(body.length - TAG_BYTES));
+    const plain = Buffer.concat([d.update(body.subarray(0, body.length - TAG_BYTES)), d.final()]);
+    return { kind: plain[0], payload: plain.subarray(1) };
+  };
+}
+
+const isSealed = (m) =>
+  isByteLike(m) && asU8(m).byteLength > MAGIC.length && MAGIC.equals(Buffer.from(asU8(m).subarray(0, MAGIC.length)));
+
+/** X25519 public key as the raw 32 bytes noisyauth carries. */
+function rawPublicKey(key) {
+  return new Uint8Array(Buffer.from(key.export({ format: "jwk" }).x, "base64url"));
+}
+
+/**
+ * A transport over the signaling client. Until `relayKeys.agree()` it carries
+ * plain JSON frames of this session (the auth handshake); after, sealed ones only.
+ * @param {ReturnType<import("./signal.js").createSignalClient>} signal
+ * @param {{ sessionId:string, role:"initiator"|"responder" }} opts
+ */
+export function relayTransport(signal, { sessionId, role }) {
+  const log = getLogger();
+  const keyPair = generateKeyPairSync("x25519");
+  let seal = null;
+  let open = null;
+  let early = []; // sealed frames that came before agree()
+  let closed = false;
+  const messages = new Set();
+  const closes = new Set();
+
+  const fire = (set, arg) => {
+    for (const fn of [...set]) try { fn(arg); } catch {}
+  };
+  const markClosed = (reason) => {
+    if (closed) return;
+    closed = true;
+    log.debug(`relay: closed (${reason})`);
+    try { offSignal?.(); } catch {}
+    fire(closes, { code: 1000, reason });
+  };
+  const listen = (set, cb) => {
+    set.add(cb);
+    if (closed && set === closes) try { cb({ code: 1000, reason: "closed" }); } catch {}
+    return () => set.delete(cb);
+  };
+
+  function deliver(u8) {
+    let frame;
+    try {
+      const { kind, payload } = open(asU8(u8));
+      frame = kind === KIND_BIN ? new Uint8Array(payload) : JSON.parse(payload.toString("utf8"), binReviver);
+    } catch {
+      log.info("relay: a frame failed to decrypt; closing the connection");
+      markClosed("bad frame");
+      return;
+    }
+    fire(messages, frame);
+  }
+
+  const offSignal = signal.onMessage((m) => {
+    if (closed || m == null) return;
+    if (isSealed(m)) {
+      if (open) return deliver(m);
+      if (early.length >= MAX_EARLY) return markClosed("sealed frames before auth");
+      early.push(m);
+      return;
+    }
+    if (typeof m !== "object") return;
+    if (m.type === "peer_left") return markClosed("peer left");
+    // in the clear: this session's auth frames, and only until the keys are agreed
+    if (!open && m.sessionId === sessionId) fire(messages, m);
+  });
+
+  const relayKeys = {
+    /** Ours, for the auth handshake. */
+    publicKey: rawPublicKey(keyPair.publicKey),
+    /** The peer's key from the (SAS-confirmed) handshake; everything after is sealed. */
+    agree(peerKey) {
+      const raw = asU8(peerKey);
+      if (raw.byteLength !== 32) throw new NoisyError({ code: "NC_AUTH", message: "relay: malformed peer key" });
+      const publicKey = createPublicKey({
+        key: { kty: "OKP", crv: "X25519", x: Buffer.from(raw).toString("base64url") },
+        format: "jwk",
+      });
+      const secret = diffieHellman({ privateKey: keyPair.privateKey, publicKey });
+      if (secret.every((b) => b === 0)) throw new NoisyError({ code: "NC_AUTH", message: "relay: weak peer key" });
+      const key = (dir) => Buffer.from(hkdfSync("sha256", secret, String(sessionId), `nt relay ${dir}`, 32));
+      const [out, inb] = role === "initiator" ? ["A>B", "B>A"] : ["B>A", "A>B"];
+      seal = sealer(key(out));
+      open = opener(key(inb));
+      log.debug("relay: keys agreed; frames sealed from here on");
+      const pending = early;
+      early = [];
+      for (const m of pending) if (!closed) deliver(m);
+    },
+  };
+
+  return {
+    relayKeys,
+    get isUp() {
+      return !closed;
+    },
+    get isConnected() {
+      return !closed;
+    },
+    get bufferedAmount() {
+      return signal.bufferedAmount || 0;
+    },
+    send(frame) {
+      if (closed) throw new NoisyError({ code: "NC_TRANSPORT_DOWN", message: "relay transport closed" });
+      if (!seal) {
+        if (isByteLike(frame)) throw new NoisyError({ code: "NC_PROTOCOL", message: "relay: binary frame before auth" });
+        return signal.send(frame);
+      }
+      const sealed = isByteLike(frame)
+        ? seal(KIND_BIN, asU8(frame))
+        : seal(KIND_JSON, Buffer.from(JSON.stringify(frame, binReplacer), "utf8"));
+      signal.send(sealed);
+    },
+    onMessage: (cb) => listen(messages, cb),
+    // Up from the start: nothing to wait for
+    onUp: () => () => {},
+    onDown: (cb) => listen(closes, cb),
+    onClose: (cb) => listen(closes, cb),
+    close() {
+      markClosed("closed");
+    },
+  };
+}
@@ -6,15 +6,18 @@
  * - Allow passing RTC config (default: { iceServers: [] })
  * - Optional ICE config via env: NT_ICE='[{"urls":"stun:stun.l.google.com:19302"}]'
  * - Minimal debug logging gated by NT_DEBUG
+ * - ICE restart over `signal` when the path drops mid-session (see ice-restart.js)
  *
  * Returns the Transport from @noisytransfer/transport:
  *   - send(msg), onMessage(cb), close()
  *   - getLocalFingerprint(), getRemoteFingerprint(), ...
+ * The underlying RTCPeerConnection (for extra data channels) via peerConnectionOf(tx).
  */
 
 import { dialRtcUntilReady } from "@noisytransfer/transport";
-import { ensureRTC } from "../env/rtc-init.js";
+import { ensureRTC, watchPeerConnections } from "../env/rtc-init.js";
 import { getLogger } from "../util/logger.js";
+import { resilientTransport } from "./ice-restart.js";
 
 const DEBUG = !!process.env.NT_DEBUG;
 
@@ -58,10 +61,59 @@ export async function dialRTC(role, signal, rtcConfig = {}) {
       ? { maxAttempts: 4, backoffMs: [200, 500, 1000, 2000] }
       : { maxAttempts: 1, backoffMs: [0] };
 
-  const { tx } = await dialRtcUntilReady({ role, signal, rtcCfg, ...opts });
+  // The responder's transport returns before the offer arrives and creates its
+  // peer connection (and gets its channel) only then, so the watch outlives the dial
+  let link = null;
+  let pc = null;
+  let dc = null;
+  watchPeerConnections(rtcCfg, (created) => {
+    pc = created; // initiator retries create new ones; the last wins
+    dc = null;
+    if (link) PEERS.set(link.tx, pc);
+    captureChannel(created, (channel) => {
+      if (created !== pc) return;
+      dc = channel;
+      link?.bind(pc, dc);
+    });
+  });
+  const { tx: base } = await dialRtcUntilReady({ role, signal, rtcCfg, ...opts });
+  link = resilientTransport(base, signal, role);
+  if (pc) PEERS.set(link.tx, pc);
+  if (dc) link.bind(pc, dc);
+  else if (!pc && role === "initiator") getLogger().debug("rtc: peer connection not seen; no ICE restarts");
 
-  if (DEBUG) debugFingerprints(tx, role);
-  return tx;
+  if (DEBUG) debugFingerprints(link.tx, role);
+  return link.tx;
+}
+
+/* ------------------------ peer connection access ------------------------- */
+
+// The transport keeps its RTCPeerConnection private; the dial's watch
+// (rtc-init.js) hands it over so callers can open more channels on it (see
+// transfer/stripes.js).
+const PEERS = new WeakMap();
+
+/** @returns {RTCPeerConnection|null} */
+export function peerConnectionOf(tx) {
+  return PEERS.get(tx) ?? null;
+}
+
+
+/** The transport's own channel: the first one created on `pc` (initiator) or announced by the peer (responder). */
+function captureChannel(pc, onChannel) {
+  let seen = false;
+  const found = (channel) => {
+    if (seen || !channel) return;
+    seen = true;
+    delete pc.createDataChannel;
+    onChannel(channel);
+  };
+  pc.createDataChannel = function (...args) {
+    const channel = Object.getPrototypeOf(pc).createDataChannel.apply(pc, args);
+    found(channel);
+    return channel;
+  };
+  pc.addEventListener?.("datachannel", (ev) => found(ev.channel));
 }
 
 function debugFingerprints(tx, role) {
@@ -0,0 +1,148 @@
+// src/core/signal-seal.js
+// Sealed signaling, for codes with a secret part (see pake.js). Offers,
+// answers and ICE candidates (ICE restarts included) would show the relay
+// both peers' addresses and let it swap DTLS fingerprints; instead they go as
+//   { type:"nt_sealed", box:<b64u nonce || AES-256-GCM({ seq, frame }) || tag> }
+// under one key per direction, derived from the secret with scrypt (slow on
+// purpose: the secret is short, and the relay sees the boxes before the PAKE
+// runs) and HKDF-SHA256. A box that fails to open, comes again or out of
+// order, or one of those frames in the clear, is dropped before the WebRTC
+// dialer sees it. Everything else (room frames, nt_relay, auth) passes as is.
+//
+// The boxes do let the relay check guesses at a code's ~29-bit secret offline,
+// one scrypt each (salted per session): about a thousand CPU core-days, less
+// with dedicated hardware. A relay that pays that learns the addresses and
+// fingerprints after the fact; it cannot answer a PAKE that is long over. The
+// 256-bit secret contacts meet with (meet.js) is out of reach.
+import { createCipheriv, createDecipheriv, hkdfSync, randomBytes, scrypt } from "node:crypto";
+import { promisify } from "node:util";
+import { b64u, unb64u } from "@noisytransfer/util";
+import { getLogger } from "../util/logger.js";
+import { ICE_RESTART } from "./ice-restart.js";
+import { binReplacer, binReviver } from "./wire-json.js";
+
+export const SEALED_FRAME = "nt_sealed";
+
+const SEALED_TYPES = new Set(["offer", "answer", "ice", ...Object.values(ICE_RESTART)]);
+const SCRYPT = { N: 1 << 16, r: 8, p: 1, maxmem: 128 * 1024 * 1024 };
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+
+const scryptAsync = promisify(scrypt);
+
+/** Keys for both directions ("A>B", "B>A"); A is the sender. */
+export async function signalKeys(secret, sessionId) {
+  const master = await scryptAsync(String(secret).toLowerCase(), `nt signal:${sessionId}`, 32, SCRYPT);
+  const key = (dir) => Buffer.from(hkdfSync("sha256", master, String(sessionId), `nt signal ${dir}`, 32));
+  return { "A>B": key("A>B"), "B>A": key("B>A") };
+}
+
+const aad = (dir, sessionId) => Buffer.from(`nt signal ${dir} ${sessionId}`, "utf8");
+
+function seal(key, ad, seq, frame) {
+  const nonce = randomBytes(NONCE_BYTES);
+  const c = createCipheriv("aes-256-gcm", key, nonce);
+  c.setAAD(ad);
+  const body = Buffer.concat([c.update(JSON.stringify({ seq, frame }, binReplacer), "utf8"), c.final()]);
+  return b64u(Buffer.concat([nonce, body, c.getAuthTag()]));
+}
+
+function open(key, ad, box) {
+  const raw = Buffer.from(unb64u(box));
+  if (raw.length < NONCE_BYTES + TAG_BYTES) throw new Error("short box");
+  const d = createDecipheriv("aes-256-gcm", key, raw.subarray(0, NONCE_BYTES));
+  d.setAAD(ad);
+  d.setAuthTag(raw.subarray(raw.length - TAG_BYTES));
+  const plain = Buffer.concat([d.update(raw.subarray(NONCE_BYTES, raw.length - TAG_BYTES)), d.final()]);
+  return JSON.parse(plain.toString("utf8"), binReviver);
+}
+
+/**
+ * Wrap a signaling client (createSignalClient, createLanSignal) so the frames
+ * that set up WebRTC are sealed. Usable at once: until the keys are derived,
+ * frames both ways wait, in order.
+ * @param {ReturnType<import("./signal.js").createSignalClient>} signal
+ * @param {{ secret:string, sessionId:string, side:"A"|"B" }} opts
+ */
+export function sealSignal(signal, { secret, sessionId, side }) {
+  const log = getLogger();
+  const [out, inb] = side === "A" ? ["A>B", "B>A"] : ["B>A", "A>B"];
+  const adOut = aad(out, sessionId);
+  const adIn = aad(inb, sessionId);
+  const listeners = new Set();
+  let keys = null;
+  let sent = 0;
+  let seen = 0;
+  let warned = false;
+  let pendingOut = [];
+  let pendingIn = [];
+
+  const deliver = (m) => {
+    for (const fn of [...listeners]) try { fn(m); } catch {}
+  };
+  const drop = (why) => {
+    log.debug(`signal: dropped a frame (${why})`);
+    if (warned) return;
+    warned = true;
+    log.info("signaling: dropped a frame that failed to authenticate (tampered with, or another code)");
+  };
+
+  function receive(m) {
+    if (!m || typeof m !== "object" || ArrayBuffer.isView(m)) return deliver(m);
+    if (SEALED_TYPES.has(m.type)) return drop(`${m.type} in the clear`);
+    if (m.type !== SEALED_FRAME) return deliver(m);
+    let inner;
+    try {
+      inner = open(keys[inb], adIn, m.box);
+    } catch {
+      return drop("box did not open");
+    }
+    if (!Number.isSafeInteger(inner?.seq) || inner.seq <= seen) return drop(`replayed #${inner?.seq}`);
+    seen = inner.seq;
+    if (!SEALED_TYPES.has(inner.frame?.type)) return drop("unexpected sealed frame");
+    deliver(inner.frame);
+  }
+
+  function transmit(frame) {
+    if (frame && typeof frame === "object" && SEALED_TYPES.has(frame.type)) {
+      return signal.send({ type: SEALED_FRAME, box: seal(keys[out], adOut, ++sent, frame) });
+    }
+    return signal.send(frame);
+  }
+
+  const offSignal = signal.onMessage((m) => (keys ? receive(m) : pendingIn.push(m)));
+
+  signalKeys(secret, sessionId).then(
+    (k) => {
+      keys = k;
+      log.debug("signal: keys derived; offers, answers and candidates are sealed");
+      const queuedOut = pendingOut;
+      const queuedIn = pendingIn;
+      pendingOut = pendingIn = null;
+      for (const f of queuedOut) try { transmit(f); } catch {}
+      for (const m of queuedIn) receive(m);
+    },
+    (e) => log.info(`signaling: cannot derive keys: ${e?.message || e}`)
+  );
+
+  return {
+    send(frame) {
+      if (!keys) return void pendingOut?.push(frame);
+      return transmit(frame);
+    },
+    onMessage(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    onClose: (fn) => signal.onClose(fn),
+    get bufferedAmount() {
+      return signal.bufferedAmount || 0;
+    },
+    async close(...args) {
+      try { offSignal?.(); } catch {}
+      return signal.close(...args);
+    },
+    waitOpen: (ms) => signal.waitOpen?.(ms),
+    raw: signal.raw,
+  };
+}
@@ -2,8 +2,8 @@ import WS from "ws";
 import { browserWSWithReconnect } from "@noisytransfer/transport";
 
 /**
- * Signaling client for rtcInitiator/rtcResponder.
- * Exposes: send(frame), onMessage(cb), onClose(cb), close(), waitOpen(ms), raw shim.
+ * Signaling client for rtcInitiator/rtcResponder (and the relay data path, see relay.js).
+ * Exposes: send(frame), onMessage(cb), onClose(cb), close(), waitOpen(ms), bufferedAmount, raw shim.
  */
 export function createSignalClient({ relayUrl, appID, side = "A", headers } = {}) {
   if (!relayUrl) throw new Error("createSignalClient: relayUrl required");
@@ -20,13 +20,14 @@ export function createSignalClient({ relayUrl, appID, side = "A", headers } = {}
     console.error("[NT_DEBUG] signaling url:", url, "(role:", side, ")");
   }
 
-  // Allow custom headers in Node by wrapping the WS ctor.
-  const wsCtor =
-    headers && Object.keys(headers).length
-      ? function WithHeaders(u, protocols) {
-          return new WS(u, protocols, { headers });
-        }
-      : WS;
+  // Allow custom headers in Node by wrapping the WS ctor; keep the current
+  // socket for its bufferedAmount (the wrapper reconnects with a new one).
+  const wsOpts = headers && Object.keys(headers).length ? { headers } : undefined;
+  let socket = null;
+  const wsCtor = function Tracked(u, protocols) {
+    socket = new WS(u, protocols, wsOpts);
+    return socket;
+  };
 
   const ws = browserWSWithReconnect(url, {
     wsConstructor: wsCtor,
@@ -100,6 +101,10 @@ export function createSignalClient({ relayUrl, appID, side = "A", headers } = {}
       closeListeners.add(fn);
       return () => closeListeners.delete(fn);
     },
+    /** Bytes queued on the socket, not yet handed to the network. */
+    get bufferedAmount() {
+      return socket?.bufferedAmount || 0;
+    },
     async close(code = 1000, reason = "closed") {
       try {
         offOpen?.();
@@ -0,0 +1,17 @@
+// src/core/wire-json.js
+// The transport's JSON encoding, for paths that serialize frames themselves:
+// binary fields (BINARY_FIELDS) travel as { __bin__:true, data:<base64> }.
+import { BINARY_FIELDS } from "@noisytransfer/constants";
+import { b64, unb64 } from "@noisytransfer/util";
+
+export function binReplacer(key, value) {
+  if (BINARY_FIELDS.has(key) && (value instanceof Uint8Array || value instanceof ArrayBuffer)) {
+    return { __bin__: true, data: b64(value instanceof Uint8Array ? value : new Uint8Array(value)) };
+  }
+  return value;
+}
+
+export function binReviver(_key, value) {
+  if (value && value.__bin__ && typeof value.data === "string") return unb64(value.data);
+  return value;
+}
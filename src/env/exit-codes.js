@@ -6,5 +6,9 @@ export const EXIT = {
   SIGNALING: 4,
   RTC: 5,
   IO: 6,
-  AUTH: 7
+  AUTH: 7,
+  INTEGRITY: 8,
+  REJECTED: 9,
+  STALLED: 10,
+  CANCELED: 130 // 128 + SIGINT, like a shell
 };
\ No newline at end of file
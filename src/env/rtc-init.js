@@ -10,8 +10,30 @@ import { getLogger } from "../util/logger.js";
 
 const require = createRequire(import.meta.url);
 
+// Callers that need their RTCPeerConnection (the transport keeps it private)
+// register the config object they dial with; the transport hands that same
+// object to the constructor, so each dial sees only its own connections.
+const PEER_WATCHERS = new WeakMap();
+
+/** Report every RTCPeerConnection constructed with `cfg` (this very object) to `onPc`. */
+export function watchPeerConnections(cfg, onPc) {
+  PEER_WATCHERS.set(cfg, onPc);
+}
+
+function watchedPeerConnection(Base) {
+  // A plain factory rather than a subclass: callers get a genuine wrtc instance
+  function RTCPeerConnection(cfg, ...rest) {
+    const pc = new Base(cfg, ...rest);
+    if (cfg && typeof cfg === "object") PEER_WATCHERS.get(cfg)?.(pc);
+    return pc;
+  }
+  RTCPeerConnection.prototype = Base.prototype;
+  Object.setPrototypeOf(RTCPeerConnection, Base); // statics (generateCertificate)
+  return RTCPeerConnection;
+}
+
 function setGlobals(wrtc) {
-  globalThis.RTCPeerConnection ??= wrtc.RTCPeerConnection;
+  globalThis.RTCPeerConnection ??= watchedPeerConnection(wrtc.RTCPeerConnection);
   globalThis.RTCIceCandidate ??= wrtc.RTCIceCandidate;
   globalThis.RTCSessionDescription ??= wrtc.RTCSessionDescription;
   if (wrtc.RTCDataChannel) globalThis.RTCDataChannel ??= wrtc.RTCDataChannel;
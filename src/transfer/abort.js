@@ -0,0 +1,122 @@
+// src/transfer/abort.js
+// Explicit aborts (DTLS mode).
+//
+// Either side ends a transfer early with
+//   { type:"nt_abort", sessionId, reason, message? }
+// so the peer fails with a matching error (and exit code) instead of guessing
+// from a closed channel. `reason` is one of ABORT_REASONS; `message` is detail
+// for humans. Ctrl-C sends `cancel` on every transfer in progress before exiting.
+// Failures the peer learns otherwise (nt_reject, a FIN with errCode) send none.
+import { NoisyError } from "@noisytransfer/errors";
+import { flush } from "@noisytransfer/transport";
+import { getLogger } from "../util/logger.js";
+
+export const ABORT_FRAME = "nt_abort";
+
+export const ABORT_REASONS = Object.freeze({
+  cancel: { code: "NC_CANCELED", text: "cancelled" },
+  disk_full: { code: "NC_DISK_FULL", text: "out of disk space" },
+  size_limit: { code: "NC_REJECTED", text: "size limit exceeded" },
+  rejected: { code: "NC_REJECTED", text: "transfer refused" },
+  auth: { code: "NC_AUTH", text: "authentication failed" },
+  stalled: { code: "NC_STALLED", text: "transfer stalled" },
+  error: { code: "NC_PEER_ABORT", text: "transfer failed" },
+});
+
+// reported in the receiver's FIN instead
+const FIN_REPORTED = new Set(["NC_HASH_MISMATCH", "NC_SIZE_MISMATCH", "NC_DECOMPRESS"]);
+
+/* -------------------------------- frames --------------------------------- */
+
+export function packAbort({ sessionId, reason, message }) {
+  const m = { type: ABORT_FRAME, sessionId, reason: ABORT_REASONS[reason] ? reason : "error" };
+  if (message) m.message = String(message).slice(0, 200);
+  return m;
+}
+
+export function parseAbort(m) {
+  if (!m || typeof m !== "object" || m.type !== ABORT_FRAME || typeof m.sessionId !== "string") return null;
+  return {
+    sessionId: m.sessionId,
+    reason: ABORT_REASONS[m.reason] ? m.reason : "error",
+    message: typeof m.message === "string" ? m.message : null,
+  };
+}
+
+/* -------------------------------- errors --------------------------------- */
+
+/** Our error → the reason we tell the peer; null when it needs no abort frame. */
+export function abortReasonFor(err) {
+  if (!err || err.context?.peerKnows || FIN_REPORTED.has(err.code)) return null;
+  if (ABORT_REASONS[err.context?.abort]) return err.context.abort;
+  if (err.code === "ENOSPC" || err.code === "EDQUOT") return "disk_full";
+  if (err.code === "NC_CANCELED" || err.name === "AbortError") return "cancel";
+  if (err.code === "NC_AUTH" || err.name === "AuthError") return "auth";
+  return "error";
+}
+
+/** What the peer's nt_abort turns into on our side. */
+export function peerAbortError({ reason, message }, peer = "peer") {
+  const { code, text } = ABORT_REASONS[reason] || ABORT_REASONS.error;
+  return new NoisyError({
+    code,
+    message: `${peer} aborted: ${text}${message ? ` (${message})` : ""}`,
+    context: { abort: reason, peerKnows: true },
+  });
+}
+
+/** Best effort; `what` is our error or a reason. */
+export function sendAbort(tx, sessionId, what) {
+  const reason = typeof what === "string" ? what : abortReasonFor(what);
+  if (!reason) return;
+  const message = typeof what === "string" ? undefined : (what?.context?.detail ?? what?.message);
+  getLogger().debug(`abort: sending ${reason}${message ? ` (${message})` : ""}`);
+  try { tx.send(packAbort({ sessionId, reason, message })); } catch {}
+}
+
+/**
+ * Listen for the peer's abort. `race(p)` settles like `p` unless the peer aborts
+ * first; `error` is the abort, once one came.
+ */
+export function watchAbort(tx, sessionId, peer) {
+  let error = null;
+  let fire = null;
+  const aborted = new Promise((_, reject) => { fire = reject; });
+  aborted.catch(() => {});
+  const off = tx.onMessage?.((m) => {
+    const a = parseAbort(m);
+    if (!a || a.sessionId !== sessionId || error) return;
+    error = peerAbortError(a, peer);
+    fire(error);
+  });
+  return {
+    get error() {
+      return error;
+    },
+    race(p) {
+      return Promise.race([p, aborted]);
+    },
+    off() {
+      try { off?.(); } catch {}
+    },
+  };
+}
+
+/* ------------------------------- Ctrl-C ---------------------------------- */
+
+const active = new Set();
+
+/** Register a transfer in progress; returns the unregister function. */
+export function trackTransfer(tx, sessionId) {
+  const entry = { tx, sessionId };
+  active.add(entry);
+  return () => active.delete(entry);
+}
+
+/** Tell every peer we are going away, giving the frames `timeoutMs` to leave. */
+export async function abortAll(reason, { timeoutMs = 500 } = {}) {
+  const entries = [...active];
+  active.clear();
+  for (const { tx, sessionId } of entries) sendAbort(tx, sessionId, reason);
+  await Promise.all(entries.map(({ tx }) => flush(tx, { timeoutMs, lowThreshold: 0 }).catch(() => {})));
+}
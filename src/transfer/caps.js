@@ -0,0 +1,86 @@
+// src/transfer/caps.js
+// Receiver capabilities, announced once right after auth:
+//   { type:"nt_caps", sessionId, meta:<highest metadata header version>,
+//     compress:[<algorithms we can decode>], streams:<max parallel data channels>,
+//     framing:[<ns_data encodings besides JSON>], offer:<takes nt_offer>,
+//     heartbeat:<sends nt_ping>, hash:[<digests we can compute>] }
+// Senders only use optional wire features the receiver listed; a receiver that
+// never sends nt_caps is treated as the oldest protocol (NTM1 headers).
+import { META_VERSION } from "./meta-header.js";
+import { supportedCompression } from "./compress.js";
+import { FRAMING_BIN } from "./frames-bin.js";
+import { supportedHashAlgs } from "./digest.js";
+
+export const CAPS_FRAME = "nt_caps";
+
+export function packCaps({
+  sessionId,
+  meta = META_VERSION,
+  compress = supportedCompression(),
+  streams = 1,
+  framing = [FRAMING_BIN],
+  offer = true,
+  heartbeat = true,
+  hash = supportedHashAlgs(),
+}) {
+  return { type: CAPS_FRAME, sessionId, meta, compress, streams, framing, offer, heartbeat, hash };
+}
+
+const strings = (a) => (Array.isArray(a) ? a.filter((x) => typeof x === "string") : []);
+
+export function parseCaps(m) {
+  if (!m || typeof m !== "object" || m.type !== CAPS_FRAME) return null;
+  if (typeof m.sessionId !== "string") return null;
+  return {
+    sessionId: m.sessionId,
+    meta: Number.isInteger(m.meta) && m.meta > 0 ? m.meta : 1,
+    compress: strings(m.compress),
+    streams: Number.isInteger(m.streams) && m.streams > 0 ? m.streams : 1,
+    framing: strings(m.framing),
+    offer: m.offer === true,
+    heartbeat: m.heartbeat === true,
+    hash: strings(m.hash),
+  };
+}
+
+/** Receiver: announce what we understand (best effort); `extra` overrides the defaults. */
+export function announceCaps(tx, sessionId, extra = {}) {
+  try { tx.send(packCaps({ ...extra, sessionId })); } catch {}
+}
+
+/**
+ * Sender: start listening before auth (the frame may arrive while we are still
+ * finishing ours); `wait()` resolves null on timeout (older receiver).
+ */
+export function collectCaps(tx, sessionId) {
+  let got = null;
+  let notify = null;
+  const off = tx.onMessage?.((m) => {
+    const c = parseCaps(m);
+    if (!c || c.sessionId !== sessionId || got) return;
+    got = c;
+    notify?.(c);
+  });
+  const stop = () => { try { off?.(); } catch {} };
+  return {
+    wait(timeoutMs = 1500) {
+      if (got) {
+        stop();
+        return Promise.resolve(got);
+      }
+      return new Promise((resolve) => {
+        const t = setTimeout(() => {
+          notify = null;
+          stop();
+          resolve(null);
+        }, timeoutMs);
+        notify = (c) => {
+          clearTimeout(t);
+          stop();
+          resolve(c);
+        };
+      });
+    },
+    off: stop,
+  };
+}
@@ -0,0 +1,88 @@
+// src/transfer/compress.js
+// Optional on-the-wire compression (DTLS mode, `nt send --compress`).
+//
+// The receiver lists what its runtime can decode in nt_caps (`compress:[…]`); the
+// sender picks one and names it in ns_init (`compress:"gzip"`). Everything after
+// the metadata header is one compressed stream spread over the ns_data frames.
+// Sizes in INIT/FIN stay uncompressed (what ends up on disk, and what the digest
+// covers); FIN adds `wireBytes`, the compressed count, so both are checked.
+import zlib from "node:zlib";
+import { once } from "node:events";
+import { Readable, pipeline } from "node:stream";
+import { NoisyError } from "@noisytransfer/errors";
+
+export const COMPRESS_AUTO = "auto";
+export const DECOMPRESS_FAILED = "NC_DECOMPRESS";
+
+// Preference order for `auto`; zstd needs Node ≥ 22.15
+const CODECS = {
+  zstd: { enc: zlib.createZstdCompress, dec: zlib.createZstdDecompress },
+  gzip: { enc: zlib.createGzip, dec: zlib.createGunzip },
+  deflate: { enc: zlib.createDeflate, dec: zlib.createInflate },
+};
+export const COMPRESS_ALGS = Object.keys(CODECS);
+
+/** Algorithms this runtime can both encode and decode. */
+export function supportedCompression() {
+  return COMPRESS_ALGS.filter((a) => typeof CODECS[a].enc === "function" && typeof CODECS[a].dec === "function");
+}
+
+/** Sender: the first wanted algorithm the receiver also decodes, or null. */
+export function pickCompression(wanted, peerAlgs) {
+  const mine = supportedCompression();
+  const prefs = wanted === COMPRESS_AUTO ? mine : [wanted];
+  return prefs.find((a) => mine.includes(a) && Array.isArray(peerAlgs) && peerAlgs.includes(a)) ?? null;
+}
+
+/**
+ * Sender: compress an async iterable of chunks. `onInput` sees every uncompressed
+ * chunk as the encoder takes it (hashing, progress).
+ */
+export function compressSource(source, alg, onInput) {
+  const input = (async function* () {
+    for await (const c of source) {
+      const u8 = c instanceof Uint8Array ? c : Buffer.from(c);
+      onInput?.(u8);
+      yield u8;
+    }
+  })();
+  return pipeline(Readable.from(input), CODECS[alg].enc(), () => {});
+}
+
+/**
+ * Receiver: decode into `write`, in order. `push()` settles once the decoder has
+ * taken the chunk — after `write` caught up, so credits keep end-to-end backpressure;
+ * `end()` once everything was written. Corrupt input fails with NC_DECOMPRESS.
+ */
+export function createDecompressor(alg, write) {
+  if (!supportedCompression().includes(alg)) {
+    throw new NoisyError({ code: "NC_PROTOCOL", message: `unsupported compression: ${alg}` });
+  }
+  const z = CODECS[alg].dec();
+  let zerr = null;
+  z.on("error", (e) => { zerr = zerr || e; });
+
+  const pump = (async () => {
+    try {
+      for await (const out of z) await write(out);
+    } catch (e) {
+      if (e !== zerr) throw e; // the sink failed, not the data
+      throw new NoisyError({ code: DECOMPRESS_FAILED, message: `corrupt ${alg} stream`, cause: e });
+    }
+  })();
+  pump.catch(() => {}); // surfaced through push()/end()
+
+  return {
+    async push(u8) {
+      if (z.destroyed) return pump;
+      if (!z.write(u8)) await Promise.race([once(z, "drain"), pump]);
+    },
+    async end() {
+      if (!z.destroyed) z.end();
+      await pump;
+    },
+    abort() {
+      z.destroy();
+    },
+  };
+}
@@ -3,8 +3,42 @@
 import { createAuthSender, createAuthReceiver } from "@noisytransfer/noisyauth";
 import { NoisyError } from "@noisytransfer/errors";
 import { confirmPrompt } from "../core/sas-prompt.js";
+import { watchPake } from "../core/pake.js";
+import { watchIdentity } from "../core/contacts.js";
+import { watchPsk } from "../core/psk.js";
 import { unb64u as b64uToBytes } from "@noisytransfer/util";
-import { buildMetaHeader, stripMetaHeader } from "./meta-header.js";
+import { buildHeaderFor, stripMetaHeader } from "./meta-header.js";
+import { announceCaps } from "./caps.js";
+import { MAX_STREAMS, openStripes } from "./stripes.js";
+import { createReorderBuffer } from "./sequence.js";
+import { answerOffer, checkLimits, parseOffer, rejectedError, requestConsent } from "./offer.js";
+import { sendAbort, trackTransfer, watchAbort } from "./abort.js";
+import { watchStall } from "./heartbeat.js";
+import { FRAMING_BIN, isDataBin, packDataBin, parseDataBin, sessionTag } from "./frames-bin.js";
+import { peerConnectionOf } from "../core/rtc.js";
+import {
+  DECOMPRESS_FAILED,
+  compressSource,
+  createDecompressor,
+  pickCompression,
+} from "./compress.js";
+import { negotiateResume } from "./resume.js";
+import {
+  FLOW_CREDIT,
+  WINDOW_CHUNKS,
+  createCreditGate,
+  createCreditGrantor,
+  createPacer,
+} from "./flow.js";
+import {
+  HASH_MISMATCH,
+  SIZE_MISMATCH,
+  createDigest,
+  parseFinDigest,
+  pickHashAlg,
+  updateFrom,
+  verifyDigest,
+} from "./digest.js";
 import {
   STREAM,
   packStreamInit,
@@ -15,6 +49,7 @@ import {
   parseStreamFin,
 } from "@noisytransfer/noisystream/frames";
 import { getLogger } from "../util/logger.js";
+import { humanBytes } from "../util/format.js";
 
 function hex16(u8) {
   return Buffer.from(u8).toString("hex").slice(0, 32);
@@ -36,13 +71,25 @@ async function maybeGetFingerprints(rtc, timeoutMs = 2500) {
   }
 }
 
-async function dtlsAuthSender(rtc, { sessionId, assumeYes = false } = {}) {
-  const fps = await maybeGetFingerprints(rtc); // may be null; that's OK
+// Over the relay there is no DTLS: the auth messages are the keys its frames
+// get sealed with (see core/relay.js), so the SAS vouches for those instead
+const peerKeyBytes = (msg) => (typeof msg === "string" ? b64uToBytes(msg) : new Uint8Array(msg));
+
+async function dtlsAuthSender(rtc, { sessionId, assumeYes = false, pake = null, psk = null, confirmSas = false, contact = null } = {}) {
+  const relay = rtc.relayKeys ?? null;
+  // PAKE codes, pre-shared keys and pinned contacts vouch for the handshake, the SAS is an extra check
+  const code = pake ? watchPake(rtc, { secret: pake, sessionId, role: "A" }) : null;
+  const keyed = psk ? watchPsk(rtc, { key: psk, sessionId, role: "A" }) : null;
+  const ident = contact ? watchIdentity(rtc, { sessionId, role: "A", contact }) : null;
+  let transcript = null;
+  let sasChecked = false; // a person compared the SAS
+  const fps = relay ? null : await maybeGetFingerprints(rtc); // may be null; that's OK
   const fpLocal = fps?.local;
 
-  await new Promise((resolve, reject) => {
+  const handshake = new Promise((resolve, reject) => {
     const opts = { policy: "rtc", sessionId };
-    if (fpLocal?.bytes) opts.sendMsg = new Uint8Array(fpLocal.bytes);
+    if (relay) opts.sendMsg = relay.publicKey;
+    else if (fpLocal?.bytes) opts.sendMsg = new Uint8Array(fpLocal.bytes);
 
     createAuthSender(
       rtc,
@@ -62,19 +109,27 @@ async function dtlsAuthSender(rtc, { sessionId, assumeYes = false } = {}) {
             );
           }
         },
+        onSASHash: (h) => {
+          transcript = h;
+        },
         waitConfirm: async () =>
           assumeYes ||
+          // without fingerprints the transcript binds nothing: ask after all
+          ((code || keyed || contact?.pinned) && !confirmSas && (relay || fpLocal)) ||
           confirmPrompt(
             fpLocal
               ? "A: Do the SAS & DTLS fingerprint match on both sides?"
               : "A: Do the SAS codes match on both sides?"
-          ),
+          ).then((ok) => (sasChecked = ok)),
         onDone: ({ msgR }) => {
           try {
+            if (relay) {
+              relay.agree(peerKeyBytes(msgR));
+              return resolve();
+            }
             // If we used fingerprint exchange, verify it; otherwise skip.
             if (fpLocal && msgR) {
-              const got =
-                typeof msgR === "string" ? b64uToBytes(msgR) : new Uint8Array(msgR);
+              const got = peerKeyBytes(msgR);
               let fpRemoteNow;
               try {
                 fpRemoteNow = rtc.getRemoteFingerprint?.();
@@ -99,15 +154,24 @@ async function dtlsAuthSender(rtc, { sessionId, assumeYes = false } = {}) {
       opts
     );
   });
+  await checkTranscript(handshake, { transcript: () => transcript, bound: !!(relay || fpLocal), sasChecked: () => sasChecked, code, keyed, ident });
 }
 
-async function dtlsAuthReceiver(rtc, { sessionId, assumeYes = false } = {}) {
-  const fps = await maybeGetFingerprints(rtc);
+async function dtlsAuthReceiver(rtc, { sessionId, assumeYes = false, pake = null, psk = null, confirmSas = false, contact = null } = {}) {
+  const relay = rtc.relayKeys ?? null;
+  // PAKE codes, pre-shared keys and pinned contacts vouch for the handshake, the SAS is an extra check
+  const code = pake ? watchPake(rtc, { secret: pake, sessionId, role: "B" }) : null;
+  const keyed = psk ? watchPsk(rtc, { key: psk, sessionId, role: "B" }) : null;
+  const ident = contact ? watchIdentity(rtc, { sessionId, role: "B", contact }) : null;
+  let transcript = null;
+  let sasChecked = false; // a person compared the SAS
+  const fps = relay ? null : await maybeGetFingerprints(rtc);
   const fpLocal = fps?.local;
 
-  await new Promise((resolve, reject) => {
+  const handshake = new Promise((resolve, reject) => {
     const opts = { policy: "rtc", sessionId };
-    if (fpLocal?.bytes) opts.recvMsg = new Uint8Array(fpLocal.bytes);
+    if (relay) opts.recvMsg = relay.publicKey;
+    else if (fpLocal?.bytes) opts.recvMsg = new Uint8Array(fpLocal.bytes);
 
     createAuthReceiver(
       rtc,
@@ -125,19 +189,27 @@ async function dtlsAuthReceiver(rtc, { sessionId, assumeYes = false } = {}) {
             getLogger().debug("receiver: DTLS fingerprints not available; proceeding with SAS-only confirmation");
           }
         },
+        onSASHash: (h) => {
+          transcript = h;
+        },
         waitConfirm: async () =>
           assumeYes ||
+          // without fingerprints the transcript binds nothing: ask after all
+          ((code || keyed || contact?.pinned) && !confirmSas && (relay || fpLocal)) ||
           confirmPrompt(
             fpLocal
               ? "B: Do the SAS codes match on both sides?"
               : "B: Do the SAS codes match on both sides?"
-          ),
+          ).then((ok) => (sasChecked = ok)),
         onDone: ({ msgS }) => {
           try {
+            if (relay) {
+              relay.agree(peerKeyBytes(msgS));
+              return resolve();
+            }
             // If we used fingerprint exchange, verify it; otherwise skip.
             if (fpLocal && msgS) {
-              const got =
-                typeof msgS === "string" ? b64uToBytes(msgS) : new Uint8Array(msgS);
+              const got = peerKeyBytes(msgS);
               let fpRemoteNow;
               try {
                 fpRemoteNow = rtc.getRemoteFingerprint?.();
@@ -162,6 +234,30 @@ async function dtlsAuthReceiver(rtc, { sessionId, assumeYes = false } = {}) {
       opts
     );
   });
+  await checkTranscript(handshake, { transcript: () => transcript, bound: !!(relay || fpLocal), sasChecked: () => sasChecked, code, keyed, ident });
+}
+
+// After the handshake, each check that vouches for its transcript in turn. The
+// identity check comes last: it pins a new contact only if the code, the key or
+// a person comparing the SAS vouched for this session (not a bare -y).
+async function checkTranscript(handshake, { transcript, bound, sasChecked, code, keyed, ident }) {
+  const checks = [code, keyed, ident].filter(Boolean);
+  try {
+    await handshake;
+    // without fingerprints the transcript binds nothing, and -y would let anyone in
+    if (keyed && !bound) throw new NoisyError({ code: "NC_AUTH", message: "psk: no DTLS fingerprints to bind the key to" });
+    const verified = () => sasChecked() || (!!(code || keyed) && bound);
+    for (const check of checks) await check.run(transcript(), { verified: verified() });
+  } catch (e) {
+    for (const check of checks) check.off();
+    throw e;
+  }
+}
+
+// SAS declined, fingerprint mismatch, handshake timeout: all NC_AUTH
+function authFailed(e) {
+  // context.detail: what the peer's abort says, when the message is long
+  throw new NoisyError({ code: "NC_AUTH", message: `authentication failed: ${e?.message || e}`, context: e?.context, cause: e });
 }
 
 // Convert Node streams to async iterables of Uint8Array
@@ -178,69 +274,207 @@ function toAsyncIterable(source) {
   throw new Error("Unsupported source type for defaultSend");
 }
 
-export async function defaultSend(
+// JSON ns_data carries a base64url chunk; close enough for the pacer's ledger.
+function frameWireBytes(frame) {
+  if (frame instanceof Uint8Array) return frame.byteLength;
+  return (typeof frame.chunk === "string" ? frame.chunk.length : 0) + 64 + String(frame.sessionId).length;
+}
+
+/* ---------------------------- aborts and stalls ---------------------------- */
+// Either side may give up with nt_abort: the peer's ends our side at once with
+// its reason, and our own failures are passed on the same way. A transfer
+// that hears nothing from the peer for the stall timeout fails too.
+
+async function supervise(rtc, { sessionId, stallTimeoutMs }, peer, run) {
+  const peerAbort = watchAbort(rtc, sessionId, peer);
+  const stall = watchStall(rtc, sessionId, peer, { timeoutMs: stallTimeoutMs });
+  const untrack = trackTransfer(rtc, sessionId);
+  const work = run(stall);
+  work.catch(() => {}); // after a peer abort or a stall it may never settle
+  try {
+    return await peerAbort.race(stall.race(work));
+  } catch (e) {
+    if (e !== peerAbort.error) sendAbort(rtc, sessionId, e);
+    throw e;
+  } finally {
+    peerAbort.off();
+    stall.off();
+    untrack();
+  }
+}
+
+export function defaultSend(rtc, opts) {
+  return supervise(rtc, opts, "receiver", (stall) => sendStream(rtc, opts, stall));
+}
+
+export function defaultRecv(rtc, opts) {
+  return supervise(rtc, opts, "sender", (stall) => recvStream(rtc, opts, stall));
+}
+
+async function sendStream(
   rtc,
-  { sessionId, source, totalBytes, onProgress, assumeYes = false, name }
+  { sessionId, source, totalBytes, onProgress, assumeYes = false, pake = null, psk = null, confirmSas = false, contact = null, name, meta, offer, caps, resume, compress, streams = 1 },
+  stall
 ) {
-  await dtlsAuthSender(rtc, { sessionId, assumeYes });
+  await dtlsAuthSender(rtc, { sessionId, assumeYes, pake, psk, confirmSas, contact }).catch(authFailed);
 
-  // 1) Announce stream (totalBytes exactly like the test)
-  const total = Number(totalBytes);
-  if (!Number.isFinite(total) || total <= 0)
+  // totalBytes == null → unknown length (e.g. a pipe): INIT omits it, FIN carries the real count
+  const known = totalBytes != null;
+  const full = known ? Number(totalBytes) : null;
+  if (known && (!Number.isFinite(full) || full <= 0))
     throw new Error("defaultSend: totalBytes must be a positive integer");
-  const init = packStreamInit({ sessionId, totalBytes: total });
+
+  // Optional wire features depend on the receiver's caps, which it sends right
+  // after its auth; none within the timeout → an older receiver (JSON, NTM1, one channel)
+  const peer = (await caps?.wait()) ?? null;
+  // Keepalive from here on; older receivers never ping, so only theirs are not watched
+  stall.start({ expectPeer: !!peer?.heartbeat });
+
+  // 0) Consent: a receiver that takes offers sees what comes before anything else
+  if (offer && peer?.offer) {
+    process.stderr.write("Waiting for the receiver to accept…\n");
+    await requestConsent(rtc, { ...offer, sessionId });
+  }
+
+  // 0a) Resume: receiver may already hold a verified prefix
+  const { source: src, offset } = await negotiateResume(rtc, {
+    sessionId, source, resume, name, totalBytes: full,
+  });
+
+  // Content hash covers the whole payload, including a resumed prefix
+  const hashAlg = pickHashAlg(peer?.hash);
+  const hasher = createDigest(hashAlg);
+  if (offset) await updateFrom(hasher, resume.openAt(0, offset));
+
+  // 0b) Options named in INIT
+  let alg = null;
+  let stripes = [];
+  if (compress) {
+    alg = pickCompression(compress, peer?.compress);
+    if (!alg) process.stderr.write("Receiver does not support the requested compression; sending uncompressed.\n");
+  }
+  if (streams > 1) {
+    const n = Math.min(streams, MAX_STREAMS, peer?.streams ?? 1);
+    const pc = peerConnectionOf(rtc);
+    if (n > 1 && pc) stripes = await openStripes(pc, n);
+    else process.stderr.write("Receiver does not support parallel streams; using one channel.\n");
+  }
+  // Binary frames only on a single channel: at that rate wrtc can leave one of
+  // several blocked channels unserviced for good; striped transfers stay JSON
+  const binary = !stripes.length && !!peer?.framing.includes(FRAMING_BIN);
+  const tag = binary ? sessionTag(sessionId) : null;
+  const pack = ({ seq, chunk }) =>
+    binary ? packDataBin({ tag, seq, chunk }) : packStreamData({ sessionId, seq, chunk });
+
+  // 1) Announce stream (remaining bytes; the resume offset was agreed above)
+  const total = known ? full - offset : null;
+  const credits = createCreditGate(rtc, sessionId);
+  const init = { ...packStreamInit({ sessionId, totalBytes: total ?? undefined }), hashAlg, flow: FLOW_CREDIT };
+  if (!known) init.sizeUnknown = true;
+  if (alg) init.compress = alg;
+  if (stripes.length) init.streams = stripes.length + 1;
+  if (binary) init.framing = FRAMING_BIN;
   rtc.send(init);
+  // Receiver answers with its window; older receivers never do (bufferedAmount pacing only)
+  if (!(await credits.ready())) getLogger().debug("send: receiver grants no credits; legacy flow");
 
-    // 1a) Optional filename: embed as first data frame (encrypted by DTLS)
-    // [ 4 bytes magic = 'N' 'T' 'M' '1' ] [ 1 byte nameLen ] [ name UTF-8 bytes ]
+    // 1a) Optional metadata: embed as first data frame (encrypted by DTLS)
+    // NTM2 (name, size, mime, …) when the receiver announced it, else NTM1 (name only)
   let seq = 0;
   if (name) {
     try {
-      const header = buildMetaHeader(name);
-      rtc.send(packStreamData({ sessionId, seq, chunk: header }));
+      const header = buildHeaderFor({ ...meta, name }, peer?.meta);
+      await credits.take();
+      rtc.send(pack({ seq, chunk: header }));
       seq += 1;
     } catch {}
   }
 
-  // 2) Stream data frames (ns_data)
-  let sent = 0;
-  for await (const chunk of toAsyncIterable(source)) {
+  // 2) Stream data frames (ns_data), bounded by each channel's bufferedAmount and
+  // striped round robin by seq. Progress reports bytes that left the send buffers,
+  // not bytes queued; with compression the ledger maps each frame back to the
+  // source bytes it consumed.
+  // Striping relies on the receiver's credits: they only flow once its ends are open.
+  if (!credits.enabled) stripes = [];
+  const pacers = [rtc, ...stripes].map((tx) => createPacer(tx));
+  const acked = () => pacers.reduce((n, p) => n + p.acked(), 0);
+  let sent = 0; // source bytes (uncompressed)
+  let wire = 0; // payload bytes in ns_data (== sent unless compressing)
+  const report = (acked) =>
+    onProgress?.(offset + (known ? Math.min(acked, total) : acked), full, alg ? { wire, compress: alg } : undefined);
+  const consume = (u8) => {
+    hasher.update(u8);
+    sent += u8.byteLength;
+  };
+  const chunks = alg ? compressSource(toAsyncIterable(src), alg, consume) : toAsyncIterable(src);
+  let framed = 0;
+  for await (const chunk of chunks) {
     const u8 = chunk instanceof Uint8Array ? chunk : Buffer.from(chunk);
     if (!u8.byteLength) continue;
-    rtc.send(packStreamData({ sessionId, seq, chunk: u8 }));
-    sent += u8.byteLength;
+    if (!alg) consume(u8);
+    // No credit → the receiver's sink is behind; stop pulling from the source
+    await credits.take();
+    const frame = pack({ seq, chunk: u8 });
+    await pacers[seq % pacers.length].send(frame, sent - framed, frameWireBytes(frame));
+    framed = sent;
+    wire += u8.byteLength;
     seq += 1;
-    onProgress?.(Math.min(sent, total), total);
+    report(acked());
   }
 
-  // 3) FIN with ok=true if sizes match, else ok=false
-  const ok = sent === total;
-  rtc.send(packStreamFin({ sessionId, ok }));
+  // 3) FIN with ok=true if sizes match, else ok=false; carries the content digest
+  // and the byte count (authoritative when INIT said sizeUnknown)
+  credits.off();
+  const ok = !known || sent === total;
+  const digest = hasher.digest("hex");
+  const fin = { ...packStreamFin({ sessionId, ok }), hashAlg, hash: digest, totalBytes: sent };
+  if (alg) fin.wireBytes = wire;
+  // FIN may overtake frames still queued on other channels: tell the receiver how many to expect
+  fin.frames = seq;
+  rtc.send(fin);
 
-  // 4) Flush if supported (mirrors tests' "flush" semantics)
-  if (typeof rtc.flush === "function") {
-    try {
-      await rtc.flush();
-    } catch {}
-  }
+  // 4) Drain the send buffers, keeping progress honest until the last byte leaves
+  try {
+    for (const p of pacers) await p.drain(() => report(acked()));
+  } catch {}
+  return { alg: hashAlg, digest, bytes: offset + sent, ...(alg && { compress: alg, wireBytes: wire }) };
 }
 
-export async function defaultRecv(
+async function recvStream(
   rtc,
-  { sessionId, sink, onProgress, assumeYes = false }
+  { sessionId, sink, onProgress, assumeYes = false, pake = null, psk = null, confirmSas = false, contact = null, resume, limits = {} },
+  stall
 ) {
-  await dtlsAuthReceiver(rtc, { sessionId, assumeYes });
+  await dtlsAuthReceiver(rtc, { sessionId, assumeYes, pake, psk, confirmSas, contact }).catch(authFailed);
+  // Only answer resume requests once the peer is authenticated
+  resume?.arm();
+  // Extra channels need the peer connection; without it we take one
+  const pc = peerConnectionOf(rtc);
+  announceCaps(rtc, sessionId, { streams: pc ? MAX_STREAMS : 1 });
+  // Keepalive; the sender is watched once its first nt_ping shows it sends them
+  stall.start();
 
   let announced = null; // announced totalBytes from INIT
+  let sizeUnknown = false; // INIT had no length; FIN tells us
   let written = 0; // bytes we’ve actually written
   let done = false;
   let metaSeen = false; // strip NTM1 once
+  let verdict = null; // integrity failure to report back in our FIN
+  let grantor = null; // credit window, when the sender asked for one
+  let inflate = null; // decoder, when INIT named a compression
+  let wireIn = 0; // compressed payload bytes received
+  let binTag = null; // session tag of binary ns_data, once INIT asked for it
+  let consent = null; // answer to the sender's nt_offer, once one came
+  let accepted = false;
+  const offStripes = [];
 
   // queue to serialize writes
   let queue = Promise.resolve();
   let queueErr = null;
   const run = (fn) => {
     queue = queue.then(fn, fn).catch((e) => {
+      // a failed write (ENOSPC, …) ends the transfer now, and tells the sender why
+      if (typeof e?.code === "string" && !e.code.startsWith("NC_")) fail(e);
       queueErr = e;
     });
     return queue;
@@ -254,6 +488,96 @@ export async function defaultRecv(
 
   const td = new TextDecoder();
 
+  // Payload on its way to the sink (after the decoder, when compressing)
+  async function deliver(u8) {
+    // --max-size also holds for streams of unknown length (and senders that understate)
+    if (limits.maxSize != null && (resume?.offset || 0) + written + u8.byteLength > limits.maxSize) {
+      const e = rejectedError(`stream exceeds --max-size ${humanBytes(limits.maxSize)}`, { byUs: true, abort: "size_limit" });
+      fail(e);
+      throw e;
+    }
+    await sink.write(u8);
+    written += u8.byteLength;
+    if (written % 4096 === 0 || (announced && written === announced))
+      getLogger().debug(`recv DATA written=${written}`);
+    try {
+      const base = resume?.offset || 0;
+      onProgress?.(base + written, announced ? base + announced : 0);
+    } catch {}
+  }
+
+  // One ns_data frame, in order
+  function accept(data) {
+    let u8 = data.chunk instanceof Uint8Array ? data.chunk : new Uint8Array(data.chunk);
+    if (!metaSeen) {
+      const info = stripMetaHeader(u8);
+      // --accept-types needs a name: the header's, checked before anything is written
+      const why = limits.acceptTypes?.length ? checkLimits({ name: info?.name ?? "(unnamed)" }, limits) : null;
+      if (why) throw rejectedError(why, { byUs: true, abort: "rejected" });
+      if (info) {
+        metaSeen = true;
+        // announce filename (+ NTM2 fields) without touching totalBytes
+        try { sink.info?.({ ...info.meta, name: info.name }); } catch {}
+        u8 = info.data; // write only payload portion
+        getLogger().debug(`recv META v${info.version} name=`, info.name);
+      } else {
+        metaSeen = true; // first data had no header; avoid re-checking later
+      }
+    }
+    run(async () => {
+      if (inflate) {
+        wireIn += u8.byteLength;
+        if (u8.byteLength) await inflate.push(u8);
+      } else {
+        await deliver(u8);
+      }
+      // Re-grant only once the sink has taken the bytes: end-to-end backpressure
+      grantor?.consumed();
+    });
+  }
+
+  function fail(e) {
+    queueErr = queueErr || e;
+    rejectDone(
+      // system errors (ENOSPC, …) keep their code: it decides the abort reason and exit code
+      e instanceof NoisyError || typeof e?.code === "string"
+        ? e
+        : new NoisyError({ code: "NC_PROTOCOL", message: "recv error", cause: e })
+    );
+  }
+
+  // Strictly in order on one ordered channel; INIT may open a reorder window
+  let inOrder = createReorderBuffer(accept, { maxPending: 0 });
+  const onData = (data) => {
+    if (queueErr) return; // failed (or refused) already: write nothing more
+    if (consent && !accepted) {
+      throw new NoisyError({ code: "NC_PROTOCOL", message: "ns_data before the offer was accepted" });
+    }
+    inOrder.push(data.seq, data);
+  };
+
+  // Binary ns_data; ignored unless INIT switched to it
+  function onBinary(u8) {
+    if (!binTag) return;
+    try {
+      const data = parseDataBin(u8, binTag);
+      if (data) onData({ sessionId, ...data });
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+  // Extra channels only carry ns_data
+  function onStripeMessage(m) {
+    const data = safe(() => parseStreamData(m));
+    if (!data || data.sessionId !== sessionId) return;
+    try {
+      onData(data);
+    } catch (e) {
+      fail(e);
+    }
+  }
+
   function toObjectMessage(m) {
     try {
       if (m == null) return null;
@@ -279,43 +603,69 @@ export async function defaultRecv(
   }
 
   const offMsg = rtc.onMessage?.((raw) => {
+    if (isDataBin(raw)) return onBinary(raw);
     const m = toObjectMessage(raw);
     if (!m) return;
 
     try {
+      // OFFER: answered before anything else arrives (older senders never send one)
+      const offer = parseOffer(m);
+      if (offer && offer.sessionId === sessionId) {
+        if (consent) return;
+        getLogger().debug(`recv OFFER ${offer.name} size=${offer.size ?? "unknown"} kind=${offer.kind}`);
+        consent = answerOffer(rtc, offer, { limits, assumeYes }).then((why) => {
+          if (why) fail(rejectedError(why, { byUs: true }));
+          else accepted = true;
+        }, fail);
+        return;
+      }
+
       // INIT
       const init = safe(() => parseStreamInit(m));
       if (init && init.sessionId === sessionId) {
+        if (consent && !accepted) {
+          throw new NoisyError({ code: "NC_PROTOCOL", message: "ns_init before the offer was accepted" });
+        }
         announced = Number(init.totalBytes) || 0;
-        getLogger().debug(`recv INIT totalBytes=${announced}`);
+        sizeUnknown = m.sizeUnknown === true || init.totalBytes == null;
+        getLogger().debug(`recv INIT totalBytes=${sizeUnknown ? "unknown" : announced}`);
+        // The offer was checked already; this covers older senders (and the announced length)
+        const why = checkLimits({ size: sizeUnknown ? null : (resume?.offset || 0) + announced }, limits);
+        if (why) throw rejectedError(why, { byUs: true, abort: "size_limit" });
+        if (m.framing != null) {
+          if (m.framing !== FRAMING_BIN) {
+            throw new NoisyError({ code: "NC_PROTOCOL", message: `unsupported framing: ${m.framing}` });
+          }
+          binTag = sessionTag(sessionId);
+        }
+        if (m.compress != null) {
+          inflate = createDecompressor(m.compress, deliver);
+          getLogger().debug(`recv INIT compress=${m.compress}`);
+        }
+        if (m.flow === FLOW_CREDIT) grantor = createCreditGrantor(rtc, sessionId);
+        if (m.ordered === false) inOrder = createReorderBuffer(accept, { maxPending: 2 * WINDOW_CHUNKS });
+        const lanes = Number.isInteger(m.streams) ? m.streams : 1;
+        if (lanes > 1) {
+          if (!grantor || !pc || lanes > MAX_STREAMS) {
+            throw new NoisyError({ code: "NC_PROTOCOL", message: `cannot open ${lanes} data channels` });
+          }
+          // The sender waits for our first credits, so our ends are open before any data
+          inOrder = createReorderBuffer(accept, { maxPending: 2 * WINDOW_CHUNKS });
+          openStripes(pc, lanes).then((stripes) => {
+            for (const st of stripes) offStripes.push(st.onMessage(onStripeMessage));
+            getLogger().debug(`recv INIT streams=${lanes}`);
+            grantor.open();
+          }, fail);
+        } else {
+          grantor?.open();
+        }
         return;
       }
 
       // DATA
       const data = safe(() => parseStreamData(m));
       if (data && data.sessionId === sessionId) {
-         let u8 = data.chunk instanceof Uint8Array ? data.chunk : new Uint8Array(data.chunk);
-        if (!metaSeen) {
-          const info = stripMetaHeader(u8);
-          if (info) {
-            metaSeen = true;
-            // announce filename without touching totalBytes
-            try { sink.info?.({ name: info.name }); } catch {}
-            u8 = info.data; // write only payload portion
-            getLogger().debug("recv META name=", info.name);
-          } else {
-            metaSeen = true; // first data had no header; avoid re-checking later
-          }
-        }
-        run(async () => {
-          await sink.write(u8);
-          written += u8.byteLength;
-          if (written % 4096 === 0 || (announced && written === announced))
-            getLogger().debug(`recv DATA written=${written}`);
-          try {
-            onProgress?.(written, announced || 0);
-          } catch {}
-        });
+        onData(data);
         return;
       }
 
@@ -323,39 +673,63 @@ export async function defaultRecv(
       const fin = safe(() => parseStreamFin(m));
       if (fin && fin.sessionId === sessionId) {
         done = true;
-        // wait for all prior writes to finish before comparing counts
-        run(async () => {
-          if (queueErr) throw queueErr;
-        }).finally(() => {
-          offMsg?.();
-          if (announced != null && announced !== 0 && written !== announced) {
-            getLogger().debug(`recv FIN mismatch written=${written} announced=${announced}`);
-            rejectDone(
-              new NoisyError({
-                code: "NC_SIZE_MISMATCH",
+        const expected = parseFinDigest(m);
+        const finBytes = Number.isInteger(m.totalBytes) && m.totalBytes >= 0 ? m.totalBytes : null;
+        const finWire = Number.isInteger(m.wireBytes) && m.wireBytes >= 0 ? m.wireBytes : null;
+        const frames = Number.isInteger(m.frames) && m.frames >= 0 ? m.frames : null;
+        // every frame the sender counted (some may still be in flight on other
+        // channels), then all prior writes (and the decoder's tail) before comparing counts
+        Promise.resolve(frames != null && inOrder.until(frames))
+          .then(() => run(async () => {
+            if (queueErr) throw queueErr;
+            await inflate?.end();
+          }))
+          .catch((e) => {
+            if (e?.code === "NC_PROTOCOL") fail(e); // gap, repeat or surplus
+            // otherwise closed while waiting: the counts below tell
+          })
+          .finally(async () => {
+            offMsg?.();
+            const expectBytes = sizeUnknown ? finBytes : announced;
+            if (queueErr?.code === DECOMPRESS_FAILED) {
+              verdict = queueErr;
+              rejectDone(queueErr);
+            } else if (inflate && finWire != null && wireIn !== finWire) {
+              getLogger().debug(`recv FIN wire mismatch received=${wireIn} sent=${finWire}`);
+              verdict = new NoisyError({
+                code: SIZE_MISMATCH,
+                message: "received compressed bytes differ from the sender's count",
+              });
+              rejectDone(verdict);
+            } else if (expectBytes != null && expectBytes !== 0 && written !== expectBytes) {
+              getLogger().debug(`recv FIN mismatch written=${written} expected=${expectBytes}`);
+              verdict = new NoisyError({
+                code: SIZE_MISMATCH,
                 message: "received bytes differ from announced totalBytes",
-              })
-            );
-          } else if (fin.ok === false) {
-            rejectDone(
-              new NoisyError({ code: "NC_SENDER_FAIL", message: "sender reported failure" })
-            );
-          } else {
-            resolveDone();
-          }
-        });
+              });
+              rejectDone(verdict);
+            } else if (fin.ok === false) {
+              rejectDone(
+                new NoisyError({ code: "NC_SENDER_FAIL", message: "sender reported failure" })
+              );
+            } else {
+              try {
+                if (expected) verifyDigest(expected, await sink.digest?.());
+                resolveDone();
+              } catch (e) {
+                verdict = e;
+                rejectDone(e);
+              }
+            }
+          });
       }
     } catch (e) {
-      queueErr = queueErr || e;
-      rejectDone(
-        e instanceof NoisyError
-          ? e
-          : new NoisyError({ code: "NC_PROTOCOL", message: "recv error", cause: e })
-      );
+      fail(e);
     }
   });
 
   const offClose = rtc.onClose?.(() => {
+    inOrder.abort(new NoisyError({ code: "NC_EOF", message: "transport closed before all frames arrived" }));
     if (done) return;
     done = true;
     // also wait for pending writes on close
@@ -363,8 +737,9 @@ export async function defaultRecv(
       if (queueErr) throw queueErr;
     }).finally(() => {
       offMsg?.();
-      if (announced != null && announced !== 0 && written !== announced) {
-        getLogger().debug( `recv CLOSE mismatch written=${written} announced=${announced}`);
+      // Without a length, only FIN can tell a complete stream from a truncated one
+      if (sizeUnknown || (announced != null && announced !== 0 && written !== announced)) {
+        getLogger().debug( `recv CLOSE mismatch written=${written} announced=${sizeUnknown ? "unknown" : announced}`);
         rejectDone(
           new NoisyError({
             code: "NC_EOF",
@@ -383,12 +758,21 @@ export async function defaultRecv(
     success = true;
   } finally {
     offClose?.();
-    // FIN-ack on success (lets sender wait before teardown)
+    // FIN-ack on success (lets sender wait before teardown); tell the sender about a bad hash or count
     if (success) {
       try {
         rtc.send(packStreamFin({ sessionId, ok: true }));
       } catch {}
+    } else if ([HASH_MISMATCH, SIZE_MISMATCH, DECOMPRESS_FAILED].includes(verdict?.code)) {
+      try {
+        rtc.send(packStreamFin({ sessionId, ok: false, errCode: verdict.code }));
+      } catch {}
+    }
+    if (!success) {
+      offMsg?.();
+      inflate?.abort();
     }
+    for (const off of offStripes) off();
   }
 }
 
@@ -0,0 +1,146 @@
+// src/transfer/digest.js
+// End-to-end content hash of the payload (meta header excluded).
+//
+// DTLS: the sender announces `hashAlg` in ns_init and puts the digest into its ns_fin;
+//       BLAKE3 only when the receiver lists it in nt_caps `hash`, else SHA-256.
+// PQ  : ns_init/ns_fin belong to noisystream, so the sender follows the stream with
+//       { type:"nt_digest", sessionId, alg, digest } (sha256).
+// Either way the receiver answers with ns_fin { ok:false, errCode:"NC_HASH_MISMATCH" }
+// when its own digest differs or cannot be compared, and with errCode
+// "NC_SIZE_MISMATCH" when it got more or fewer bytes than announced.
+import { createHash, getHashes } from "node:crypto";
+import { NoisyError } from "@noisytransfer/errors";
+
+export const DIGEST_FRAME = "nt_digest";
+export const HASH_MISMATCH = "NC_HASH_MISMATCH";
+export const SIZE_MISMATCH = "NC_SIZE_MISMATCH";
+
+let _blake3;
+function hasBlake3() {
+  if (_blake3 === undefined) {
+    try { _blake3 = getHashes().includes("blake3"); } catch { _blake3 = false; }
+  }
+  return _blake3;
+}
+
+/** What this runtime can hash with, best first (the receiver's nt_caps `hash`). */
+export function supportedHashAlgs() {
+  return hasBlake3() ? ["blake3", "sha256"] : ["sha256"];
+}
+
+/** BLAKE3 when both runtimes have it, else SHA-256, which every receiver has. */
+export function pickHashAlg(peerAlgs = []) {
+  return hasBlake3() && peerAlgs.includes("blake3") ? "blake3" : "sha256";
+}
+
+export function isSupportedHashAlg(alg) {
+  return alg === "sha256" || (alg === "blake3" && hasBlake3());
+}
+
+export function createDigest(alg = "sha256") {
+  return createHash(alg);
+}
+
+/** Feed an (async) iterable into a hasher; used to seed from a resumed prefix. */
+export async function updateFrom(hasher, source) {
+  for await (const c of source) hasher.update(c instanceof Uint8Array ? c : Buffer.from(c));
+}
+
+/** Pass-through async iterable that hashes every chunk it yields. */
+export function hashingSource(source, hasher) {
+  return (async function* () {
+    for await (const c of source) {
+      const u8 = c instanceof Uint8Array ? c : Buffer.from(c);
+      hasher.update(u8);
+      yield u8;
+    }
+  })();
+}
+
+/* -------------------------------- frames --------------------------------- */
+
+const HEX = /^[0-9a-f]{16,128}$/;
+
+export function packDigest({ sessionId, alg, digest }) {
+  return { type: DIGEST_FRAME, sessionId, alg, digest };
+}
+
+export function parseDigest(m) {
+  if (!m || typeof m !== "object" || m.type !== DIGEST_FRAME) return null;
+  if (typeof m.sessionId !== "string" || typeof m.alg !== "string") return null;
+  if (typeof m.digest !== "string" || !HEX.test(m.digest)) return null;
+  return { sessionId: m.sessionId, alg: m.alg, digest: m.digest };
+}
+
+/** Digest fields carried on a DTLS ns_fin (absent from older senders). */
+export function parseFinDigest(m) {
+  if (!m || typeof m.hash !== "string" || typeof m.hashAlg !== "string") return null;
+  if (!HEX.test(m.hash)) return null;
+  return { alg: m.hashAlg, digest: m.hash };
+}
+
+/**
+ * Start listening for the PQ trailer right away (it may race the end of the stream);
+ * `wait()` resolves null on timeout (older sender).
+ */
+export function collectDigest(tx, sessionId) {
+  let got = null;
+  let notify = null;
+  const off = tx.onMessage?.((m) => {
+    const d = parseDigest(m);
+    if (!d || d.sessionId !== sessionId || got) return;
+    got = d;
+    notify?.(d);
+  });
+  const stop = () => { try { off?.(); } catch {} };
+  return {
+    wait(timeoutMs = 2000) {
+      if (got) {
+        stop();
+        return Promise.resolve(got);
+      }
+      return new Promise((resolve) => {
+        const t = setTimeout(() => {
+          notify = null;
+          stop();
+          resolve(null);
+        }, timeoutMs);
+        notify = (d) => {
+          clearTimeout(t);
+          stop();
+          resolve(d);
+        };
+      });
+    },
+    off: stop,
+  };
+}
+
+/* -------------------------------- verdict -------------------------------- */
+
+/**
+ * Compare the sender's digest to ours; anything but a match throws, so a
+ * digest that cannot be checked never passes for a checked one.
+ * @throws {NoisyError} NC_HASH_MISMATCH when the digests differ, or when ours
+ *   is missing or used another algorithm
+ */
+export function verifyDigest(expected, got) {
+  if (!got || got.alg !== expected.alg) {
+    throw new NoisyError({
+      code: HASH_MISMATCH,
+      message: `cannot verify the sender's ${expected.alg} digest (hashed with ${got?.alg ?? "nothing"} here)`,
+      context: { alg: expected.alg, expected: expected.digest, gotAlg: got?.alg ?? null },
+    });
+  }
+  if (expected.digest !== got.digest) {
+    throw new NoisyError({
+      code: HASH_MISMATCH,
+      message: `content hash mismatch (${got.alg}): sender ${expected.digest}, received ${got.digest}`,
+      context: { alg: got.alg, expected: expected.digest, got: got.digest },
+    });
+  }
+}
+
+export function formatDigest({ alg, digest }) {
+  return `${alg}: ${digest}`;
+}
@@ -0,0 +1,221 @@
+// src/transfer/flow.js
+// Flow control for the data path.
+//
+// 1) Sender-side backpressure on the DataChannel send buffer.
+// rtc.send() never blocks: without pacing a multi-GB file ends up queued in
+// wrtc's buffer. The pacer keeps at most `highWater` bytes in flight and, once
+// above it, waits until bufferedAmount falls to `lowWater` before sending more.
+// It also keeps a ledger so progress can be reported for bytes that actually
+// left the buffer (acknowledged by SCTP) instead of bytes merely queued.
+import { NoisyError } from "@noisytransfer/errors";
+import { packStreamCredit, parseStreamCredit } from "@noisytransfer/noisystream/frames";
+
+export const HIGH_WATER = 4 * 1024 * 1024;
+export const LOW_WATER = 1024 * 1024;
+const POLL_MS = 5;
+
+/** Underlying RTCDataChannel when the transport exposes one (event-driven path). */
+function rawChannel(tx) {
+  const dc = tx?.dc ?? tx?._dc ?? null;
+  return dc && typeof dc.addEventListener === "function" && typeof dc.bufferedAmount === "number" ? dc : null;
+}
+
+export function bufferedAmountOf(tx) {
+  try {
+    const n = rawChannel(tx)?.bufferedAmount ?? tx?.bufferedAmount;
+    return typeof n === "number" && n > 0 ? n : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function closedError() {
+  return new NoisyError({ code: "NC_TX_CLOSED", message: "transport closed while sending" });
+}
+
+/**
+ * Resolve once bufferedAmount <= low. Uses 'bufferedamountlow' when a raw
+ * channel is reachable; otherwise polls (that event is unreliable in Node wrtc).
+ */
+export function waitForBufferedLow(tx, low = LOW_WATER) {
+  if (bufferedAmountOf(tx) <= low) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const dc = rawChannel(tx);
+    let timer = null;
+    const done = (err) => {
+      clearTimeout(timer);
+      try { dc?.removeEventListener("bufferedamountlow", onLow); } catch {}
+      err ? reject(err) : resolve();
+    };
+    const onLow = () => {
+      if (bufferedAmountOf(tx) <= low) done();
+    };
+    if (dc) {
+      try { dc.bufferedAmountLowThreshold = low; } catch {}
+      dc.addEventListener("bufferedamountlow", onLow);
+    }
+    // Polling safety net (and the only path when no raw channel is exposed)
+    const tick = () => {
+      if (tx?.isUp === false || dc?.readyState === "closed") return done(closedError());
+      if (bufferedAmountOf(tx) <= low) return done();
+      timer = setTimeout(tick, POLL_MS);
+    };
+    timer = setTimeout(tick, POLL_MS);
+  });
+}
+
+/**
+ * @param {{ send:(f:any)=>void, bufferedAmount?:number }} tx
+ * @param {{ highWater?:number, lowWater?:number }} [opts]
+ */
+export function createPacer(tx, { highWater = HIGH_WATER, lowWater = LOW_WATER } = {}) {
+  // ledger of [wireEnd, payloadEnd] per queued frame, oldest first
+  const ledger = [];
+  let wireTotal = 0;
+  let payloadTotal = 0;
+  let acked = 0;
+
+  function settle() {
+    const ackedWire = wireTotal - bufferedAmountOf(tx);
+    while (ledger.length && ledger[0][0] <= ackedWire) acked = ledger.shift()[1];
+    return acked;
+  }
+
+  return {
+    /**
+     * Send one frame carrying `payloadBytes` of file data; `wireBytes` is its
+     * (estimated) size on the channel. Waits first if too much is in flight.
+     */
+    async send(frame, payloadBytes, wireBytes = payloadBytes) {
+      if (bufferedAmountOf(tx) > highWater) await waitForBufferedLow(tx, lowWater);
+      tx.send(frame);
+      wireTotal += wireBytes;
+      payloadTotal += payloadBytes;
+      ledger.push([wireTotal, payloadTotal]);
+    },
+
+    /** Payload bytes that have left the send buffer. */
+    acked() {
+      return settle();
+    },
+
+    /** Wait until everything queued has left the buffer, reporting progress meanwhile. */
+    async drain(onTick) {
+      while (bufferedAmountOf(tx) > 0) {
+        onTick?.(settle());
+        await waitForBufferedLow(tx, Math.max(0, bufferedAmountOf(tx) - lowWater));
+      }
+      acked = payloadTotal;
+      ledger.length = 0;
+      onTick?.(acked);
+      return acked;
+    },
+  };
+}
+
+/**
+ * Pace an async iterable instead of the sends themselves — for senders we do
+ * not own (noisystream in PQ mode): the next chunk is only pulled once the
+ * channel's buffer is below the high-water mark.
+ */
+export function pacedSource(source, tx, { highWater = HIGH_WATER, lowWater = LOW_WATER } = {}) {
+  return (async function* () {
+    for await (const c of source) {
+      if (bufferedAmountOf(tx) > highWater) await waitForBufferedLow(tx, lowWater);
+      yield c;
+    }
+  })();
+}
+
+/* ------------------------- receiver → sender credits ------------------------- */
+//
+// 2) bufferedAmount only bounds our own send buffer. End-to-end backpressure needs
+// the receiver to say how much more it can take: it grants ns_credit { chunks }
+// as its sink finishes writes, and the sender spends one credit per ns_data.
+//
+// DTLS negotiation: the sender marks ns_init with `flow:"credit"`; a receiver
+// that understands it answers with the initial window. No answer → legacy peer,
+// the sender falls back to bufferedAmount pacing only. (PQ: noisystream has the
+// same mechanism built in via `windowChunks`.)
+
+export const FLOW_CREDIT = "credit";
+export const WINDOW_CHUNKS = 64;
+const GRANT_BATCH = Math.max(1, WINDOW_CHUNKS / 4);
+
+/** Sender side: spend credits granted by the receiver. */
+export function createCreditGate(tx, sessionId) {
+  let credits = 0;
+  let enabled = false;
+  let stopped = false;
+  let wake = null;
+
+  const off = tx.onMessage?.((m) => {
+    let c;
+    try { c = parseStreamCredit(m); } catch { return; }
+    if (c.sessionId !== sessionId) return;
+    enabled = true;
+    credits += c.chunks;
+    const w = wake;
+    wake = null;
+    w?.();
+  });
+
+  const waitGrant = (timeoutMs) =>
+    new Promise((resolve, reject) => {
+      let timer = null;
+      const poll = setInterval(() => {
+        if (tx?.isUp === false) finish(closedError());
+      }, 50);
+      const finish = (err) => {
+        clearTimeout(timer);
+        clearInterval(poll);
+        wake = null;
+        err ? reject(err) : resolve();
+      };
+      wake = () => finish();
+      if (timeoutMs != null) timer = setTimeout(() => finish(), timeoutMs);
+    });
+
+  return {
+    get enabled() {
+      return enabled;
+    },
+    /** Wait for the initial window; false when the receiver does not speak credits. */
+    async ready(timeoutMs = 3000) {
+      if (!enabled) await waitGrant(timeoutMs);
+      return enabled;
+    },
+    /** Spend one credit, waiting for a grant when the window is exhausted. */
+    async take() {
+      if (!enabled) return;
+      while (credits <= 0 && !stopped) await waitGrant();
+      credits -= 1;
+    },
+    off() {
+      stopped = true;
+      try { off?.(); } catch {}
+      wake?.();
+    },
+  };
+}
+
+/** Receiver side: grant the initial window, then re-grant as the sink catches up. */
+export function createCreditGrantor(tx, sessionId, { window = WINDOW_CHUNKS, batch = GRANT_BATCH } = {}) {
+  let pending = 0;
+  const grant = (chunks) => {
+    try { tx.send(packStreamCredit({ sessionId, chunks })); } catch {}
+  };
+  return {
+    open() {
+      grant(window);
+    },
+    /** Call once per ns_data after the sink has written it. */
+    consumed() {
+      pending += 1;
+      if (pending >= batch) {
+        grant(pending);
+        pending = 0;
+      }
+    },
+  };
+}
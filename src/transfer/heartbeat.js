@@ -0,0 +1,100 @@
+// src/transfer/heartbeat.js
+// Keepalive and stall detection (DTLS mode).
+//
+// After auth both sides send
+//   { type:"nt_ping", sessionId }
+// whenever their control channel has nothing queued (waiting at a prompt, on
+// credits, on a slow source or sink), so some frame always arrives within a few
+// seconds while the path is alive. With nothing at all from the peer for
+// `--stall-timeout` the transfer fails with NC_STALLED instead of waiting
+// forever. Only peers known to ping are watched: the sender looks for
+// `heartbeat:true` in nt_caps, the receiver for the sender's first nt_ping.
+import { NoisyError } from "@noisytransfer/errors";
+import { getLogger } from "../util/logger.js";
+import { bufferedAmountOf } from "./flow.js";
+
+export const PING_FRAME = "nt_ping";
+export const STALLED = "NC_STALLED";
+export const DEFAULT_STALL_TIMEOUT_S = 30;
+
+const MAX_PING_INTERVAL_MS = 5000;
+const MIN_PING_INTERVAL_MS = 250;
+
+export function packPing({ sessionId }) {
+  return { type: PING_FRAME, sessionId };
+}
+
+export function isPing(m, sessionId) {
+  return !!m && typeof m === "object" && m.type === PING_FRAME && m.sessionId === sessionId;
+}
+
+/** A third of the timeout, so two lost pings still do not trip it. */
+export function pingInterval(timeoutMs) {
+  return Math.min(MAX_PING_INTERVAL_MS, Math.max(MIN_PING_INTERVAL_MS, Math.floor(timeoutMs / 3)));
+}
+
+export function stalledError(peer, timeoutMs) {
+  return new NoisyError({
+    code: STALLED,
+    message: `transfer stalled: nothing from the ${peer} for ${timeoutMs / 1000}s (--stall-timeout)`,
+    context: { abort: "stalled", detail: `nothing from the ${peer} for ${timeoutMs / 1000}s` },
+  });
+}
+
+/**
+ * Any frame from the peer counts as a sign of life. Nothing happens until
+ * `start()` (after auth: the SAS prompt may take as long as it takes);
+ * `race(p)` settles like `p` unless the transfer stalls first.
+ * `timeoutMs` 0 turns both pings and the watchdog off.
+ */
+export function watchStall(tx, sessionId, peer, { timeoutMs = DEFAULT_STALL_TIMEOUT_S * 1000 } = {}) {
+  let error = null;
+  let fire = null;
+  const stalled = new Promise((_, reject) => { fire = reject; });
+  stalled.catch(() => {});
+  let timer = null;
+  let armed = false;
+  let lastSeen = Date.now();
+
+  const offMsg = timeoutMs > 0
+    ? tx.onMessage?.((m) => {
+        lastSeen = Date.now();
+        if (!armed && isPing(m, sessionId)) {
+          armed = true;
+          getLogger().debug(`heartbeat: ${peer} pings; stall timeout ${timeoutMs / 1000}s`);
+        }
+      })
+    : null;
+
+  const tick = () => {
+    if (!(bufferedAmountOf(tx) > 0)) {
+      try { tx.send(packPing({ sessionId })); } catch {}
+    }
+    if (armed && !error && Date.now() - lastSeen >= timeoutMs) {
+      error = stalledError(peer, timeoutMs);
+      fire(error);
+    }
+  };
+
+  return {
+    get error() {
+      return error;
+    },
+    /** Start pinging; `expectPeer` arms the watchdog without waiting for a ping. */
+    start({ expectPeer = false } = {}) {
+      if (!(timeoutMs > 0) || timer) return;
+      lastSeen = Date.now();
+      if (expectPeer) armed = true;
+      tick();
+      timer = setInterval(tick, pingInterval(timeoutMs));
+      timer.unref?.();
+    },
+    race(p) {
+      return Promise.race([p, stalled]);
+    },
+    off() {
+      clearInterval(timer);
+      try { offMsg?.(); } catch {}
+    },
+  };
+}
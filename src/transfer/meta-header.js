@@ -1,24 +1,116 @@
-// [ 4 bytes magic = 'N' 'T' 'M' '1' ] [ 1 byte nameLen ] [ name UTF-8 bytes ]
+// Metadata header, sent as the first data bytes of a transfer.
+//
+// NTM1: [ 4 bytes magic = 'N' 'T' 'M' '1' ] [ 1 byte nameLen ] [ name UTF-8 bytes ]
+// NTM2: [ 4 bytes magic = 'N' 'T' 'M' '2' ] [ 4 bytes BE jsonLen ] [ UTF-8 JSON ]
+//       JSON = { v:2, name, size?, mime?, mtime?, mode?, hash?:{alg,digest}, entries? }
+//       Unknown keys are ignored, so fields can be added without a new magic.
+//
+// Older receivers only understand NTM1 (and would write an NTM2 header into the
+// file), so senders use NTM2 only when the receiver advertised it (see caps.js).
 export const META_MAGIC = Buffer.from([0x4e, 0x54, 0x4d, 0x31]); // "NTM1"
+export const META2_MAGIC = Buffer.from([0x4e, 0x54, 0x4d, 0x32]); // "NTM2"
+export const META_VERSION = 2;
+const META2_MAX = 64 * 1024;
+
+/** UTF-8 bytes of `s`, cut to at most `max` without splitting a character. */
+function utf8Prefix(s, max) {
+  const b = Buffer.from(String(s), "utf8");
+  if (b.length <= max) return b;
+  let end = max;
+  while (end > 0 && (b[end] & 0xc0) === 0x80) end--; // back off continuation bytes
+  return b.subarray(0, end);
+}
+
+const toU8 = (b) => new Uint8Array(b.buffer, b.byteOffset, b.length);
 
 export function buildMetaHeader(name) {
-  const n = Buffer.from(String(name), "utf8").slice(0, 255);
+  const n = utf8Prefix(name, 255);
   const out = Buffer.alloc(5 + n.length);
   META_MAGIC.copy(out, 0);
   out[4] = n.length;
   n.copy(out, 5);
-  return new Uint8Array(out.buffer, out.byteOffset, out.length);
+  return toU8(out);
+}
+
+/**
+ * @param {{ name:string, size?:number, mime?:string, mtime?:number, mode?:number,
+ *           hash?:{alg:string,digest:string}, entries?:number }} meta
+ *   mtime: ms since epoch; mode: POSIX permission bits; hash: only when known
+ *   before streaming (the end-to-end digest otherwise travels in FIN / nt_digest).
+ */
+export function buildMetaHeaderV2(meta) {
+  const json = Buffer.from(JSON.stringify({ v: META_VERSION, ...pickMeta(meta) }), "utf8");
+  if (json.length > META2_MAX) throw new Error("meta header too large");
+  const out = Buffer.alloc(8 + json.length);
+  META2_MAGIC.copy(out, 0);
+  out.writeUInt32BE(json.length, 4);
+  json.copy(out, 8);
+  return toU8(out);
+}
+
+const isNonNegInt = (x) => Number.isSafeInteger(x) && x >= 0;
+
+// Keep only well-typed known fields (both when building and when parsing peer input)
+function pickMeta(m) {
+  const out = {};
+  if (!m || typeof m !== "object") return out;
+  if (typeof m.name === "string" && m.name) out.name = utf8Prefix(m.name, 4096).toString("utf8");
+  if (isNonNegInt(m.size)) out.size = m.size;
+  if (typeof m.mime === "string" && /^[\w.+-]+\/[\w.+-]+$/.test(m.mime)) out.mime = m.mime;
+  if (isNonNegInt(m.mtime)) out.mtime = m.mtime;
+  if (isNonNegInt(m.mode)) out.mode = m.mode & 0o7777;
+  if (m.hash && typeof m.hash.alg === "string" && typeof m.hash.digest === "string") {
+    out.hash = { alg: m.hash.alg, digest: m.hash.digest };
+  }
+  if (isNonNegInt(m.entries)) out.entries = m.entries;
+  return out;
 }
 
+/**
+ * Strip an NTM1/NTM2 header from the first data chunk.
+ * @returns {{ name:string, data:Uint8Array, version:1|2, meta:object }|null}
+ */
 export function stripMetaHeader(u8) {
-  const b = Buffer.isBuffer(u8) ? u8 : Buffer.from(u8);
+  const b = Buffer.isBuffer(u8) ? u8 : Buffer.from(u8.buffer, u8.byteOffset, u8.byteLength);
   if (b.length >= 5 && b.subarray(0, 4).equals(META_MAGIC)) {
     const len = b[4];
     if (b.length >= 5 + len) {
       const name = b.subarray(5, 5 + len).toString("utf8");
-      const rest = b.subarray(5 + len);
-      return { name, data: new Uint8Array(rest.buffer, rest.byteOffset, rest.length) };
+      return { name, data: toU8(b.subarray(5 + len)), version: 1, meta: { name } };
+    }
+  }
+  if (b.length >= 8 && b.subarray(0, 4).equals(META2_MAGIC)) {
+    const len = b.readUInt32BE(4);
+    if (len <= META2_MAX && b.length >= 8 + len) {
+      let raw = null;
+      try { raw = JSON.parse(b.subarray(8, 8 + len).toString("utf8")); } catch {}
+      if (raw && typeof raw === "object") {
+        const meta = pickMeta(raw);
+        return { name: meta.name ?? "", data: toU8(b.subarray(8 + len)), version: 2, meta };
+      }
     }
   }
   return null;
 }
+
+const MIME = {
+  ".txt": "text/plain", ".md": "text/markdown", ".csv": "text/csv", ".html": "text/html",
+  ".json": "application/json", ".xml": "application/xml", ".pdf": "application/pdf",
+  ".zip": "application/zip", ".gz": "application/gzip", ".tgz": "application/gzip",
+  ".tar": "application/x-tar", ".zst": "application/zstd", ".iso": "application/x-iso9660-image",
+  ".sql": "application/sql", ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg",
+  ".gif": "image/gif", ".webp": "image/webp", ".svg": "image/svg+xml",
+  ".mp3": "audio/mpeg", ".wav": "audio/wav", ".mp4": "video/mp4", ".webm": "video/webm",
+  ".mkv": "video/x-matroska", ".mov": "video/quicktime",
+};
+
+/** Best-effort MIME type from the file extension. */
+export function mimeFor(name) {
+  const i = String(name || "").lastIndexOf(".");
+  return (i >= 0 && MIME[String(name).slice(i).toLowerCase()]) || "application/octet-stream";
+}
+
+/** Header for a receiver that understands metadata header `version` (1 when unknown). */
+export function buildHeaderFor(meta, version = 1) {
+  return version >= 2 ? buildMetaHeaderV2(meta) : buildMetaHeader(meta.name);
+}
@@ -0,0 +1,159 @@
+// src/transfer/offer.js
+// Receiver consent: what is being sent, before any byte of it is.
+//
+// Wire (DTLS and PQ, after auth and the receiver's nt_caps listing `offer:true`;
+// before the resume request and ns_init):
+//   A → B  { type:"nt_offer", sessionId, name, size|null, kind:"file"|"bundle"|"stream", files? }
+//   B → A  { type:"nt_accept", sessionId }
+//      or  { type:"nt_reject", sessionId, reason }
+// The receiver checks its limits (`--max-size`, `--accept-types`), then asks
+// unless `-y`. A declined sender fails with NC_REJECTED and the reason.
+// Senders that predate the offer go straight to ns_init; the receiver then
+// applies its limits to what INIT and the metadata header announce.
+import { NoisyError } from "@noisytransfer/errors";
+import { confirmPrompt } from "../core/sas-prompt.js";
+import { humanBytes } from "../util/format.js";
+import { mimeFor } from "./meta-header.js";
+
+export const OFFER = Object.freeze({
+  OFFER: "nt_offer",
+  ACCEPT: "nt_accept",
+  REJECT: "nt_reject",
+});
+export const REJECTED = "NC_REJECTED";
+export const OFFER_KINDS = ["file", "bundle", "stream"];
+
+const isNonNegInt = (x) => Number.isInteger(x) && x >= 0;
+
+/* -------------------------------- frames --------------------------------- */
+
+export function packOffer({ sessionId, name, size = null, kind = "file", files }) {
+  const m = { type: OFFER.OFFER, sessionId, name: String(name), size: isNonNegInt(size) ? size : null, kind };
+  if (kind === "bundle" && isNonNegInt(files)) m.files = files;
+  return m;
+}
+
+export function parseOffer(m) {
+  if (!m || typeof m !== "object" || m.type !== OFFER.OFFER) return null;
+  if (typeof m.sessionId !== "string" || typeof m.name !== "string") return null;
+  return {
+    sessionId: m.sessionId,
+    name: m.name,
+    size: isNonNegInt(m.size) ? m.size : null,
+    kind: OFFER_KINDS.includes(m.kind) ? m.kind : "file",
+    files: isNonNegInt(m.files) ? m.files : null,
+  };
+}
+
+export function packAccept({ sessionId }) {
+  return { type: OFFER.ACCEPT, sessionId };
+}
+
+export function packReject({ sessionId, reason }) {
+  return { type: OFFER.REJECT, sessionId, reason: String(reason || "declined") };
+}
+
+/**
+ * `byUs`: we refused (else the receiver told us so). A refusal after the offer
+ * stage names the nt_abort reason to send (`abort`); one answered with
+ * nt_reject needs none.
+ */
+export function rejectedError(reason, { byUs = false, abort } = {}) {
+  const message = byUs ? `transfer declined: ${reason}` : `receiver declined the transfer: ${reason}`;
+  const context = abort ? { abort, detail: reason } : { peerKnows: true };
+  return new NoisyError({ code: REJECTED, message, context });
+}
+
+/** One line for prompts and logs: `photos.tar — bundle, 12 files, 3.4 MiB`. */
+export function describeOffer({ name, size, kind, files }) {
+  const parts = [kind];
+  if (kind === "bundle" && files != null) parts.push(`${files} file${files === 1 ? "" : "s"}`);
+  parts.push(size != null ? humanBytes(size) : "size unknown");
+  return `${name} — ${parts.join(", ")}`;
+}
+
+/* -------------------------------- limits --------------------------------- */
+
+/**
+ * `--accept-types` entries: MIME types (`image/*`, `application/pdf`) or
+ * extensions (`.txt`). The type is derived from the name here, not taken
+ * from the sender.
+ */
+export function typeAccepted(name, patterns) {
+  if (!patterns?.length) return true;
+  const lower = String(name).toLowerCase();
+  const mime = mimeFor(lower);
+  return patterns.some((p) => {
+    const pat = String(p).trim().toLowerCase();
+    if (pat.startsWith(".")) return lower.endsWith(pat);
+    if (pat.endsWith("/*")) return mime.startsWith(pat.slice(0, -1));
+    return mime === pat;
+  });
+}
+
+/**
+ * @param {{ name?:string|null, size?:number|null }} what
+ * @param {{ maxSize?:number, acceptTypes?:string[] }} [limits]
+ * @returns {string|null} why it is refused, or null
+ */
+export function checkLimits({ name, size }, { maxSize, acceptTypes } = {}) {
+  if (maxSize != null && size != null && size > maxSize) {
+    return `${humanBytes(size)} exceeds --max-size ${humanBytes(maxSize)}`;
+  }
+  if (name != null && !typeAccepted(name, acceptTypes)) {
+    return `${name} is not an accepted type (${acceptTypes.join(", ")})`;
+  }
+  return null;
+}
+
+/* -------------------------------- sender --------------------------------- */
+
+/**
+ * Send the offer and wait for the receiver's answer (as long as it takes a
+ * human to decide). Rejects with NC_REJECTED, or NC_EOF if the channel closes.
+ */
+export function requestConsent(tx, offer) {
+  const { sessionId } = offer;
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      try { offMsg?.(); } catch {}
+      try { offClose?.(); } catch {}
+      err ? reject(err) : resolve();
+    };
+    const offMsg = tx.onMessage?.((m) => {
+      if (!m || typeof m !== "object" || m.sessionId !== sessionId) return;
+      if (m.type === OFFER.ACCEPT) finish();
+      else if (m.type === OFFER.REJECT) finish(rejectedError(String(m.reason || "declined")));
+    });
+    const offClose = tx.onClose?.(() =>
+      finish(new NoisyError({ code: "NC_EOF", message: "transport closed while waiting for the receiver to accept" }))
+    );
+    try {
+      tx.send(packOffer(offer));
+    } catch (e) {
+      finish(e);
+    }
+  });
+}
+
+/* ------------------------------- receiver -------------------------------- */
+
+/**
+ * Decide on an offer: limits first, then the prompt (skipped with `assumeYes`).
+ * Answers the sender either way; resolves null when accepted, else the reason.
+ */
+export async function answerOffer(tx, offer, { limits, assumeYes = false } = {}) {
+  const { sessionId } = offer;
+  let reason = checkLimits(offer, limits);
+  if (!reason && !assumeYes) {
+    const ok = await confirmPrompt(`B: Accept ${describeOffer(offer)}?`);
+    if (!ok) reason = "answered no at the prompt";
+  }
+  try {
+    tx.send(reason ? packReject({ sessionId, reason }) : packAccept({ sessionId }));
+  } catch {}
+  return reason;
+}
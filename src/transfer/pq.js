@@ -2,8 +2,25 @@
 import { createAuthSender, createAuthReceiver } from "@noisytransfer/noisyauth";
 import { sendFileWithAuth, recvFileWithAuth } from "@noisytransfer/noisystream";
 import { suite, genRSAPSS } from "@noisytransfer/crypto";
-import { buildMetaHeader, stripMetaHeader } from "./meta-header.js";
+import { buildHeaderFor, stripMetaHeader } from "./meta-header.js";
+import { announceCaps } from "./caps.js";
+import { answerOffer, checkLimits, parseOffer, rejectedError, requestConsent } from "./offer.js";
+import { negotiateResume } from "./resume.js";
+import {
+  HASH_MISMATCH,
+  SIZE_MISMATCH,
+  collectDigest,
+  createDigest,
+  hashingSource,
+  packDigest,
+  updateFrom,
+  verifyDigest,
+} from "./digest.js";
+import { packStreamFin } from "@noisytransfer/noisystream/frames";
+import { NoisyError } from "@noisytransfer/errors";
+import { WINDOW_CHUNKS, bufferedAmountOf, pacedSource } from "./flow.js";
 import { getLogger } from "../util/logger.js";
+import { humanBytes } from "../util/format.js";
 import readline from "node:readline";
 
 /* ------------------------------- helpers -------------------------------- */
@@ -62,6 +79,8 @@ function _withAuthReplay(tx, { sessionId, label = "pq-auth" }) {
   const wrapped = {
     [AUTH_WRAP]: true,
     get isConnected() { return tx.isConnected ?? tx.isUp ?? true; },
+    get isUp() { return tx.isUp; },
+    get bufferedAmount() { return bufferedAmountOf(tx); },
     onUp(cb)    { return tx.onUp?.(cb)    || (() => {}); },
     onDown(cb)  { return tx.onDown?.(cb)  || (() => {}); },
     onClose(cb) { return tx.onClose?.(cb) || (() => {}); },
@@ -155,63 +174,185 @@ function prependHeader(source, headerU8) {
   })();
 }
 
-export async function pqSend(rtcAuth, { sessionId, source, totalBytes, onProgress, name, assumeYes }) {
+export async function pqSend(rtcAuth, { sessionId, source, totalBytes, onProgress, name, meta, offer, caps, assumeYes, resume }) {
   if (!rtcAuth || typeof rtcAuth.send !== "function") throw new Error("pqSend: invalid rtc");
   if (!sessionId) throw new Error("pqSend: sessionId required");
   if (!source) throw new Error("pqSend: source required");
 
   await handshakeSender(rtcAuth, sessionId, { assumeYes });
 
-  const header = name ? buildMetaHeader(name) : null;
-  const sourceWithHeader = prependHeader(source, header);
+  // The receiver's caps come right after its auth (older receivers never send them)
+  const peer = (await caps?.wait()) ?? null;
+
+  // Consent, as in DTLS mode: the receiver sees what comes before anything else
+  if (offer && peer?.offer) {
+    process.stderr.write("Waiting for the receiver to accept…\n");
+    await requestConsent(rtcAuth, { ...offer, sessionId });
+  }
+
+  const full = Number(totalBytes) || 0;
+  const { source: src, offset } = await negotiateResume(rtcAuth, {
+    sessionId, source, resume, name, totalBytes: full,
+  });
+
+  // noisystream owns ns_init/ns_fin, so the digest travels in a trailing nt_digest (sha256)
+  const hasher = createDigest("sha256");
+  if (offset) await updateFrom(hasher, resume.openAt(0, offset));
+
+  // NTM2 only if the receiver announced it
+  const header = name ? buildHeaderFor({ ...meta, name }, peer?.meta) : null;
+  // Only pull the next chunk once the channel has room (noisystream sends as fast as we yield)
+  const paced = pacedSource(hashingSource(toAsyncIterable(src), hasher), rtcAuth);
+  const sourceWithHeader = prependHeader(paced, header);
+
+  // noisystream reports bytes queued; subtract what is still buffered to report acknowledged bytes
+  let acked = 0;
+  const progress = (s, t) => {
+    acked = Math.max(acked, s - bufferedAmountOf(rtcAuth));
+    onProgress?.(offset + acked, offset + t);
+  };
 
   getLogger().debug("PQ sender: stream start");
   await sendFileWithAuth({
     tx: rtcAuth,
     sessionId,
     source: sourceWithHeader,
-    totalBytes: Number(totalBytes) || 0,
-    onProgress,
+    totalBytes: full - offset,
+    onProgress: progress,
   });
   getLogger().debug("PQ sender: stream done");
 
+  const digest = hasher.digest("hex");
+  try { rtcAuth.send(packDigest({ sessionId, alg: "sha256", digest })); } catch {}
+
   try { if (typeof rtcAuth.flush === "function") await rtcAuth.flush(); } catch {}
+  return { alg: "sha256", digest };
+}
+
+// Newer senders offer before anything else and wait for the answer; older ones
+// go straight to ns_init, and the limits then apply to what the stream carries.
+// A refusal aborts noisystream through `signal`.
+function watchConsent(rtc, sessionId, { limits, assumeYes }) {
+  const ac = new AbortController();
+  let offered = false;
+  let accepted = false;
+  const consent = {
+    signal: ac.signal,
+    refused: null,
+    refuse(e) {
+      if (consent.refused) return;
+      consent.refused = e;
+      ac.abort();
+    },
+    get pending() {
+      return offered && !accepted;
+    },
+    off: () => {},
+  };
+  const off = rtc.onMessage((m) => {
+    const offer = parseOffer(m);
+    if (!offer || offer.sessionId !== sessionId || offered) return;
+    offered = true;
+    getLogger().debug(`PQ recv OFFER ${offer.name} size=${offer.size ?? "unknown"} kind=${offer.kind}`);
+    answerOffer(rtc, offer, { limits, assumeYes }).then((why) => {
+      if (why) consent.refuse(rejectedError(why, { byUs: true }));
+      else accepted = true;
+    }, (e) => consent.refuse(e));
+  });
+  consent.off = () => { try { off?.(); } catch {} };
+  return consent;
 }
 
-function wrapSinkStripMeta(sink) {
+function wrapSinkStripMeta(sink, { consent, limits = {}, base }) {
   let metaSeen = false;
+  let written = 0;
   return {
     start: sink.start?.bind(sink),
     info:  sink.info?.bind(sink),
+    resume: sink.resume?.bind(sink),
     getStats: sink.getStats?.bind(sink),
     close: sink.close?.bind(sink),
     async write(chunk) {
+      if (consent.refused) return;
+      if (consent.pending) {
+        return consent.refuse(new NoisyError({ code: "NC_PROTOCOL", message: "ns_data before the offer was accepted" }));
+      }
       let u8 = chunk instanceof Uint8Array ? chunk : Buffer.from(chunk);
       if (!metaSeen) {
         metaSeen = true;
         const info = stripMetaHeader(u8);
         if (info) {
-          try { sink.info?.({ name: info.name }); } catch {}
+          // checked with the offer already; this covers older senders
+          const why = limits.acceptTypes?.length ? checkLimits({ name: info.name }, limits) : null;
+          if (why) return consent.refuse(rejectedError(why, { byUs: true }));
+          try { sink.info?.({ ...info.meta, name: info.name }); } catch {}
           u8 = info.data;
-          getLogger().debug("PQ recv META name=", info.name);
+          getLogger().debug(`PQ recv META v${info.version} name=`, info.name);
         }
       }
+      if (limits.maxSize != null && base() + written + u8.byteLength > limits.maxSize) {
+        return consent.refuse(rejectedError(`stream exceeds --max-size ${humanBytes(limits.maxSize)}`, { byUs: true }));
+      }
+      written += u8.byteLength;
       if (u8.byteLength) await sink.write(u8);
     },
   };
 }
 
-export async function pqRecv(rtc, { sessionId, sink, onProgress, assumeYes }) {
+export async function pqRecv(rtc, { sessionId, sink, onProgress, assumeYes, resume, limits = {} }) {
   if (!rtc || typeof rtc.onMessage !== "function") throw new Error("pqRecv: invalid rtc");
   if (!sessionId) throw new Error("pqRecv: sessionId required");
   if (!sink || typeof sink.write !== "function") throw new Error("pqRecv: sink.write required");
 
   await handshakeReceiver(rtc, sessionId, { assumeYes });
-  const sinkStripping = wrapSinkStripMeta(sink);
+  resume?.arm();
+  // listening before the caps go out: the offer answers them
+  const consent = watchConsent(rtc, sessionId, { limits, assumeYes });
+  announceCaps(rtc, sessionId);
 
+  // noisystream only sees the remaining bytes; report progress against the whole file
+  const base = () => resume?.offset || 0;
+  const progress = onProgress && ((w, t) => onProgress(base() + w, t ? base() + t : 0));
+  const sinkStripping = wrapSinkStripMeta(sink, { consent, limits, base });
+
+  const trailer = collectDigest(rtc, sessionId);
   getLogger().debug("PQ receiver: stream start");
-  await recvFileWithAuth({ tx: rtc, sessionId, sink: sinkStripping, onProgress });
+  try {
+    // windowChunks: noisystream's own credit window, re-granted as the sink drains
+    await recvFileWithAuth({
+      tx: rtc,
+      sessionId,
+      sink: sinkStripping,
+      onProgress: progress,
+      windowChunks: WINDOW_CHUNKS,
+      abortSignal: consent.signal,
+    });
+  } catch (e) {
+    trailer.off();
+    if (consent.refused) throw consent.refused;
+    // more or fewer bytes than ns_init announced: an integrity failure, like a bad digest
+    if (e?.code !== "NC_STREAM_MISMATCH") throw e;
+    try { rtc.send(packStreamFin({ sessionId, ok: false, errCode: SIZE_MISMATCH })); } catch {}
+    throw new NoisyError({ code: SIZE_MISMATCH, message: "received bytes differ from announced totalBytes", cause: e });
+  } finally {
+    consent.off();
+  }
+  if (consent.refused) throw consent.refused;
   getLogger().debug("PQ receiver: stream done");
 
+  // Verify before the sink moves the file into place
+  const expected = await trailer.wait();
+  if (expected) {
+    try {
+      verifyDigest(expected, await sink.digest?.());
+    } catch (e) {
+      try { rtc.send(packStreamFin({ sessionId, ok: false, errCode: HASH_MISMATCH })); } catch {}
+      throw e;
+    }
+    try { rtc.send(packStreamFin({ sessionId, ok: true })); } catch {}
+  } else {
+    getLogger().debug("PQ recv: sender sent no digest; skipping content hash check");
+  }
+
   try { await sinkStripping.close?.(); } catch {}
 }
@@ -0,0 +1,232 @@
+// src/transfer/resume.js
+// Resumable transfers.
+//
+// Receiver side: file outputs are written to "<name>.ntpart" next to a small
+// JSON sidecar "<name>.ntpart.json" that records how many bytes were written.
+// A partial that belongs to another transfer is never reused or truncated: a
+// fresh one goes to "<stem>-1<ext>.ntpart" and so on. On success the partial
+// is renamed into place and the sidecar removed.
+//
+// Wire (after auth, before ns_init):
+//   A → B  { type:"nt_resume_req", sessionId, key, name, totalBytes }
+//   B → A  { type:"nt_resume_ack", sessionId, offset }
+// The sender then seeks its source to `offset` and announces only the
+// remaining bytes in ns_init (same for DTLS and PQ).
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { getLogger } from "../util/logger.js";
+
+export const RESUME = Object.freeze({
+  REQ: "nt_resume_req",
+  ACK: "nt_resume_ack",
+});
+
+export const PART_SUFFIX = ".ntpart";
+export const STATE_SUFFIX = ".ntpart.json";
+
+const isNonNegInt = (x) => Number.isInteger(x) && x >= 0;
+
+/* --------------------------------- keys ---------------------------------- */
+
+/**
+ * Stable identity for a source file: same name, size and mtime → same key,
+ * regardless of which code/session carries it.
+ * @param {string} name  announced name
+ * @param {{size:number, mtimeMs:number}} st
+ */
+export function resumeKeyForFile(name, st) {
+  const h = createHash("sha256");
+  h.update(`${String(name)}\0${st.size}\0${Math.floor(st.mtimeMs)}`);
+  return h.digest("hex").slice(0, 32);
+}
+
+/* -------------------------------- frames --------------------------------- */
+
+export function packResumeReq({ sessionId, key, name, totalBytes }) {
+  return { type: RESUME.REQ, sessionId, key: String(key), name: name ? String(name) : undefined, totalBytes };
+}
+
+export function parseResumeReq(m) {
+  if (!m || typeof m !== "object" || m.type !== RESUME.REQ) return null;
+  if (typeof m.sessionId !== "string" || typeof m.key !== "string" || !m.key) return null;
+  if (!isNonNegInt(m.totalBytes)) return null;
+  return { sessionId: m.sessionId, key: m.key, name: m.name ? String(m.name) : null, totalBytes: m.totalBytes };
+}
+
+export function packResumeAck({ sessionId, offset }) {
+  return { type: RESUME.ACK, sessionId, offset };
+}
+
+export function parseResumeAck(m) {
+  if (!m || typeof m !== "object" || m.type !== RESUME.ACK) return null;
+  if (typeof m.sessionId !== "string" || !isNonNegInt(m.offset)) return null;
+  return { sessionId: m.sessionId, offset: m.offset };
+}
+
+/* ------------------------------ negotiation ------------------------------ */
+
+/**
+ * Sender: ask the receiver where to continue from.
+ * Resolves to 0 when the peer does not answer (older receiver) or the answer is unusable.
+ */
+export function requestResume(tx, { sessionId, key, name, totalBytes, timeoutMs = 3000 }) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (offset) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { off?.(); } catch {}
+      resolve(offset);
+    };
+    const off = tx.onMessage?.((m) => {
+      const ack = parseResumeAck(m);
+      if (!ack || ack.sessionId !== sessionId) return;
+      if (ack.offset > totalBytes) {
+        getLogger().debug(`resume: ignoring offset ${ack.offset} > totalBytes ${totalBytes}`);
+        return finish(0);
+      }
+      finish(ack.offset);
+    });
+    const timer = setTimeout(() => {
+      getLogger().debug("resume: no answer from receiver; starting from 0");
+      finish(0);
+    }, timeoutMs);
+    try {
+      tx.send(packResumeReq({ sessionId, key, name, totalBytes }));
+    } catch {
+      finish(0);
+    }
+  });
+}
+
+/**
+ * Ask the receiver for a resume offset and, if it has one, reopen the source there.
+ * `resume` = { key, openAt(start, end?), onResume?(offset) } and is only passed
+ * for seekable sources; onResume hears the offset when there is one.
+ * @returns {Promise<{ source:any, offset:number }>}
+ */
+export async function negotiateResume(rtc, { sessionId, source, resume, name, totalBytes }) {
+  if (!resume?.key || typeof resume.openAt !== "function") return { source, offset: 0 };
+  const offset = await requestResume(rtc, { sessionId, key: resume.key, name, totalBytes });
+  if (!offset) return { source, offset: 0 };
+  getLogger().info(`resuming at byte ${offset} of ${totalBytes}`);
+  try { resume.onResume?.(offset); } catch {}
+  try { source?.destroy?.(); } catch {}
+  return { source: resume.openAt(offset), offset };
+}
+
+/**
+ * Receiver: listen for a resume request as early as possible (before auth),
+ * but only answer once `arm()` is called (after auth succeeded).
+ * `sink.resume({ key, name, totalBytes })` decides the offset.
+ */
+export function acceptResume(tx, { sessionId, sink }) {
+  let pending = null;
+  let armed = false;
+  let answered = false;
+  let offset = 0;
+
+  const answer = async (req) => {
+    answered = true;
+    try {
+      offset = (await sink?.resume?.(req)) || 0;
+    } catch (e) {
+      getLogger().debug(`resume: sink refused resume: ${e?.message || e}`);
+      offset = 0;
+    }
+    try { tx.send(packResumeAck({ sessionId, offset })); } catch {}
+  };
+
+  const off = tx.onMessage?.((m) => {
+    const req = parseResumeReq(m);
+    if (!req || req.sessionId !== sessionId || answered) return;
+    if (armed) answer(req);
+    else pending = req;
+  });
+
+  return {
+    arm() {
+      armed = true;
+      if (pending && !answered) answer(pending);
+    },
+    get offset() {
+      return offset;
+    },
+    off() {
+      try { off?.(); } catch {}
+    },
+  };
+}
+
+/* -------------------------------- sidecar -------------------------------- */
+
+export function partPathFor(target) {
+  return `${target}${PART_SUFFIX}`;
+}
+
+export function statePathFor(target) {
+  return `${target}${STATE_SUFFIX}`;
+}
+
+/** @returns {Promise<{v:number,key:string,name:string,totalBytes:number,offset:number}|null>} */
+export async function readResumeState(target) {
+  try {
+    const st = JSON.parse(await fsp.readFile(statePathFor(target), "utf8"));
+    if (!st || st.v !== 1 || typeof st.key !== "string") return null;
+    if (!isNonNegInt(st.offset) || !isNonNegInt(st.totalBytes)) return null;
+    return st;
+  } catch {
+    return null;
+  }
+}
+
+/** Atomic write (temp + rename) so a crash never leaves a torn sidecar. */
+export async function writeResumeState(target, { key, name, totalBytes, offset }) {
+  const p = statePathFor(target);
+  const tmp = `${p}.tmp`;
+  const body = JSON.stringify({ v: 1, key, name, totalBytes, offset, updatedAt: new Date().toISOString() });
+  await fsp.writeFile(tmp, body);
+  await fsp.rename(tmp, p);
+}
+
+export async function removeResumeState(target) {
+  try { await fsp.unlink(statePathFor(target)); } catch {}
+}
+
+// "<dir>/<label>", then "<stem>-1<ext>", "<stem>-2<ext>", … while a partial or sidecar is there
+function* partTargets(dir, label) {
+  const ext = path.extname(label);
+  const stem = path.basename(label, ext);
+  yield path.join(dir, label);
+  for (let i = 1; ; i++) yield path.join(dir, `${stem}-${i}${ext}`);
+}
+
+const inUse = (target) => fs.existsSync(partPathFor(target)) || fs.existsSync(statePathFor(target));
+
+/** Where a fresh transfer of `label` may write: no partial or sidecar there yet. */
+export function freshPartTarget(dir, label) {
+  for (const target of partTargets(dir, label)) if (!inUse(target)) return target;
+}
+
+/**
+ * Find a usable partial for `label` in `dir`: sidecar key and size must match
+ * and the partial must hold at least the recorded offset.
+ * @returns {Promise<{target:string, offset:number}|null>}
+ */
+export async function findResumable(dir, label, { key, totalBytes }) {
+  for (const target of partTargets(dir, label)) {
+    if (!inUse(target)) return null;
+    const st = await readResumeState(target);
+    if (!st || st.key !== key || st.totalBytes !== totalBytes) continue;
+    let size = 0;
+    try {
+      size = (await fsp.stat(partPathFor(target))).size;
+    } catch {
+      continue;
+    }
+    return { target, offset: Math.min(st.offset, size) };
+  }
+}
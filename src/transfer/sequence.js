@@ -0,0 +1,76 @@
+// src/transfer/sequence.js
+// Receiver: ns_data sequence tracking.
+//
+// Frames carry `seq`, 0-based per session (the metadata header is 0). Bytes go
+// to disk strictly in seq order, so a lost, repeated or swapped frame fails the
+// transfer with NC_PROTOCOL instead of leaving a file that merely has the right
+// length. On one ordered channel nothing may arrive out of turn (`maxPending: 0`).
+// Where frames legitimately overtake each other (`streams:n`, or a sender on an
+// unordered channel, which says `ordered:false` in ns_init) up to `maxPending`
+// are held back until the gap closes. FIN carries `frames`, the sender's count,
+// so a lost last frame is caught as well.
+import { NoisyError } from "@noisytransfer/errors";
+
+const protocolError = (message) => new NoisyError({ code: "NC_PROTOCOL", message });
+
+/**
+ * Hand frames to `deliver` in seq order.
+ * `maxPending` bounds what a peer can make us hold (the credit window, normally);
+ * 0 means every frame must be the next one.
+ */
+export function createReorderBuffer(deliver, { maxPending = Infinity } = {}) {
+  const pending = new Map();
+  let next = 0;
+  let limit = Infinity; // frame count from FIN, once known
+  let waiters = [];
+
+  const settle = (err) => {
+    const keep = [];
+    for (const w of waiters) {
+      if (err) w.reject(err);
+      else if (next >= w.count) w.resolve();
+      else keep.push(w);
+    }
+    waiters = err ? [] : keep;
+  };
+
+  return {
+    push(seq, item) {
+      if (!Number.isSafeInteger(seq) || seq < 0) throw protocolError(`ns_data with invalid seq ${seq}`);
+      if (seq >= limit) throw protocolError(`ns_data seq ${seq} beyond the ${limit} frames the sender announced`);
+      if (seq < next || pending.has(seq)) throw protocolError(`duplicate ns_data: expected seq ${next}, got ${seq}`);
+      if (seq > next && maxPending === 0) throw protocolError(`ns_data out of sequence: expected seq ${next}, got ${seq}`);
+      if (seq > next && pending.size >= maxPending) {
+        throw protocolError(`too many out-of-order frames: expected seq ${next}, got ${seq}`);
+      }
+      pending.set(seq, item);
+      while (pending.has(next)) {
+        const it = pending.get(next);
+        pending.delete(next);
+        next += 1;
+        deliver(it);
+      }
+      settle();
+    },
+    get next() {
+      return next;
+    },
+    /**
+     * Resolve once every frame below `count` (the sender's total, from FIN) was
+     * delivered. Fails when more arrived, or — in strict order, where nothing can
+     * still be in flight — when some are missing.
+     */
+    until(count) {
+      limit = count;
+      const beyond = Math.max(next - 1, ...pending.keys());
+      if (beyond >= count) return Promise.reject(protocolError(`sender announced ${count} frames, got seq ${beyond}`));
+      if (next === count) return Promise.resolve();
+      if (maxPending === 0) return Promise.reject(protocolError(`missing ns_data: expected seq ${next}, got FIN`));
+      return new Promise((resolve, reject) => waiters.push({ count, resolve, reject }));
+    },
+    /** Fail pending `until()` calls (transport went away). */
+    abort(err) {
+      settle(err);
+    },
+  };
+}
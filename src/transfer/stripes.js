@@ -0,0 +1,81 @@
+// src/transfer/stripes.js
+// Parallel data channels (`nt send --streams N`, DTLS mode).
+//
+// A single ordered SCTP stream is head-of-line blocked and, on fast links, capped
+// by its own send window. With --streams N the sender spreads ns_data frames over
+// the transport's channel plus N-1 extra ones (round robin by seq) and the
+// receiver puts them back in order before writing. All channels still share one
+// SCTP association and its windows; scripts/bench-streams.js has yet to show a
+// gain, which is why it stays opt-in.
+//
+// Negotiation: the receiver advertises `streams:<max>` in nt_caps, the sender
+// asks for `streams:n` in ns_init. Extra channels are pre-negotiated (fixed SCTP
+// ids, no in-band open, so the transport never sees them). Data arriving on a
+// stream the other side has not opened yet is dropped, hence the receiver opens
+// its ends before granting the first credits, and the sender waits for those.
+import { NoisyError } from "@noisytransfer/errors";
+
+export const MAX_STREAMS = 8;
+const STRIPE_ID_BASE = 16; // clear of the ids the transport's own channel gets
+const OPEN_TIMEOUT_MS = 5000;
+
+function waitOpen(dc) {
+  return new Promise((resolve, reject) => {
+    if (dc.readyState === "open") return resolve();
+    const fail = () => {
+      clearTimeout(t);
+      reject(new NoisyError({ code: "NC_RTC_STRIPE", message: `data channel ${dc.label} did not open` }));
+    };
+    const t = setTimeout(fail, OPEN_TIMEOUT_MS);
+    dc.addEventListener("open", () => {
+      clearTimeout(t);
+      resolve();
+    });
+    dc.addEventListener("close", fail);
+  });
+}
+
+// Just enough of the transport surface for the pacer and the frame handlers
+function wrapStripe(dc) {
+  dc.binaryType = "arraybuffer";
+  return {
+    dc,
+    get isUp() {
+      return dc.readyState === "open";
+    },
+    get bufferedAmount() {
+      return dc.bufferedAmount;
+    },
+    send(frame) {
+      dc.send(JSON.stringify(frame));
+    },
+    onMessage(cb) {
+      const h = (ev) => {
+        if (typeof ev.data !== "string") return;
+        let m;
+        try { m = JSON.parse(ev.data); } catch { return; }
+        cb(m);
+      };
+      dc.addEventListener("message", h);
+      return () => dc.removeEventListener("message", h);
+    },
+  };
+}
+
+/**
+ * Open the extra channels 1..n-1 on `pc` (both sides call this with the same n).
+ * @returns {Promise<Array<{ send(frame:any):void, onMessage(cb:(m:any)=>void):()=>void, bufferedAmount:number }>>}
+ */
+export async function openStripes(pc, n) {
+  const dcs = [];
+  for (let i = 1; i < Math.min(n, MAX_STREAMS); i++) {
+    dcs.push(pc.createDataChannel(`nt-stripe-${i}`, { negotiated: true, id: STRIPE_ID_BASE + i, ordered: true }));
+  }
+  try {
+    await Promise.all(dcs.map(waitOpen));
+  } catch (e) {
+    for (const dc of dcs) try { dc.close(); } catch {}
+    throw e;
+  }
+  return dcs.map(wrapStripe);
+}
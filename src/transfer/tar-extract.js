@@ -0,0 +1,257 @@
+// src/transfer/tar-extract.js
+// `recv --extract`: unpack an incoming tar stream into the output directory as it arrives.
+//
+// The archive comes from the peer, so every entry is treated as hostile:
+//  - absolute names, drive letters and ".." components are rejected;
+//  - each remaining component goes through sanitizeFilename (reserved / illegal names);
+//  - symlinks and hard links must resolve inside the output directory, and nothing is
+//    ever written through a symlink that points elsewhere. Link targets are resolved
+//    from the real parent, following links already on disk, and may only climb
+//    ("..") before they descend: `d -> .` then `d/e -> ..` or `x -> .` then `e -> x/..`
+//    would otherwise point above the output directory;
+//  - device nodes, FIFOs and unknown entry types are rejected;
+//  - permission bits are masked with the local umask (no world-writable files from afar).
+// A rejected entry fails the whole transfer (NC_UNSAFE_PATH).
+//
+// Conflicts follow --overwrite: without it a top-level entry that already exists is
+// deduped (`project` → `project-1`), with it files are replaced and directories merged.
+// Files are written to "<name>.ntpart" and renamed into place once complete.
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { once } from "node:events";
+import tar from "tar-stream";
+import { NoisyError } from "@noisytransfer/errors";
+
+import { sanitizeFilename } from "../util/sanitize.js";
+import { getLogger } from "../util/logger.js";
+import { PART_SUFFIX } from "./resume.js";
+
+export const UNSAFE_PATH = "NC_UNSAFE_PATH";
+
+const CHUNK = 64 * 1024;
+const USTAR_MAGIC = "ustar";
+
+/** True when the first 512-byte block looks like a ustar/GNU tar header. */
+export function looksLikeTar(u8) {
+  if (!u8 || u8.byteLength < 512) return false;
+  const b = Buffer.from(u8.buffer, u8.byteOffset, 512);
+  return b.toString("latin1", 257, 262) === USTAR_MAGIC;
+}
+
+function unsafe(name, why) {
+  return new NoisyError({ code: UNSAFE_PATH, message: `refusing to extract "${name}": ${why}`, context: { name } });
+}
+
+const isInside = (root, p) => {
+  const rel = path.relative(root, p);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+};
+
+/**
+ * Archive name → safe list of path components (no empty / "." parts).
+ * @throws {NoisyError} NC_UNSAFE_PATH
+ */
+export function entryComponents(name) {
+  const raw = String(name ?? "");
+  if (!raw || raw.startsWith("/") || raw.startsWith("\\") || /^[a-zA-Z]:/.test(raw)) {
+    throw unsafe(raw, "absolute path");
+  }
+  const parts = raw.split(/[\\/]+/).filter((p) => p && p !== ".");
+  if (parts.includes("..")) throw unsafe(raw, "path traversal");
+  if (!parts.length) throw unsafe(raw, "empty path");
+  return parts.map((p) => sanitizeFilename(p, { fallback: "_" }));
+}
+
+/**
+ * @param {string} outDir
+ * @param {{ overwrite?: boolean }} [opts]
+ */
+export function createTarExtractor(outDir, { overwrite = false } = {}) {
+  const root = path.resolve(outDir);
+  const ex = tar.extract();
+  const renamedRoots = new Map(); // top-level archive name → name on disk
+  const dirTimes = []; // applied last: writing children bumps a directory's mtime
+  const umask = process.umask();
+  let rootReal = null;
+  let current = null; // in-progress "<file>.ntpart", removed on abort
+  let failed = null;
+  let entries = 0;
+
+  async function mapRoot(first) {
+    if (renamedRoots.has(first)) return renamedRoots.get(first);
+    let name = first;
+    if (!overwrite) {
+      const stem = path.basename(first, path.extname(first));
+      const ext = path.extname(first);
+      for (let i = 1; fs.existsSync(path.join(root, name)); i++) name = `${stem}-${i}${ext}`;
+    }
+    renamedRoots.set(first, name);
+    if (name !== first) getLogger().debug(`extract: ${first} exists; writing to ${name}`);
+    return name;
+  }
+
+  async function resolveEntry(name) {
+    const parts = entryComponents(name);
+    parts[0] = await mapRoot(parts[0]);
+    const dest = path.join(root, ...parts);
+    if (!isInside(root, dest)) throw unsafe(name, "path traversal");
+    return dest;
+  }
+
+  // The parent must exist and, after resolving symlinks, still be inside the output directory.
+  // Returns its real path.
+  async function safeParent(name, dest) {
+    rootReal ??= await fsp.realpath(root);
+    const dir = path.dirname(dest);
+    await fsp.mkdir(dir, { recursive: true });
+    const real = await fsp.realpath(dir);
+    if (!isInside(rootReal, real)) throw unsafe(name, "symlink escapes output directory");
+    return real;
+  }
+
+  // Where `parts` lead from the real directory `from`, following the links already on disk
+  async function followLink(from, parts) {
+    let at = from;
+    for (const part of parts) {
+      at = part === ".." ? path.dirname(at) : path.join(at, part);
+      try { at = await fsp.realpath(at); } catch {} // not there (yet)
+    }
+    return at;
+  }
+
+  async function clearTarget(name, dest, { dir = false } = {}) {
+    let st = null;
+    try { st = await fsp.lstat(dest); } catch {}
+    if (!st) return;
+    if (dir && st.isDirectory()) return;
+    if (!overwrite) throw unsafe(name, "already exists");
+    if (st.isDirectory()) throw unsafe(name, "a directory is in the way");
+    // replaces a symlink itself, never what it points to
+    await fsp.unlink(dest);
+  }
+
+  async function writeFile(header, stream, dest) {
+    const part = dest + PART_SUFFIX;
+    await fsp.rm(part, { force: true });
+    current = part;
+    const ws = fs.createWriteStream(part, { flags: "wx", mode: 0o600, highWaterMark: CHUNK });
+    for await (const c of stream) {
+      if (!ws.write(c)) await once(ws, "drain");
+    }
+    await new Promise((res, rej) => ws.end((e) => (e ? rej(e) : res())));
+    await fsp.chmod(part, (header.mode ?? 0o644) & 0o777 & ~umask);
+    if (header.mtime) await fsp.utimes(part, header.mtime, header.mtime);
+    await clearTarget(header.name, dest);
+    await fsp.rename(part, dest);
+    current = null;
+  }
+
+  async function onEntry(header, stream) {
+    const dest = await resolveEntry(header.name);
+    const parentReal = await safeParent(header.name, dest);
+
+    switch (header.type) {
+      case "file":
+      case "contiguous-file":
+        await writeFile(header, stream, dest);
+        break;
+
+      case "directory":
+        await clearTarget(header.name, dest, { dir: true });
+        await fsp.mkdir(dest, { recursive: true });
+        await fsp.chmod(dest, ((header.mode ?? 0o755) & 0o777 & ~umask) | 0o700);
+        if (header.mtime) dirTimes.push([dest, header.mtime]);
+        break;
+
+      case "symlink": {
+        const target = String(header.linkname || "");
+        if (!target || path.isAbsolute(target) || /^[a-zA-Z]:/.test(target)) throw unsafe(header.name, "absolute symlink");
+        const parts = target.split(/[\\/]+/).filter((p) => p && p !== ".");
+        // a later entry may turn a component into a link: ".." after one could land anywhere
+        const descends = parts.findIndex((p) => p !== "..");
+        if (descends >= 0 && parts.indexOf("..", descends) >= 0) {
+          throw unsafe(header.name, "symlink target climbs after descending");
+        }
+        if (!isInside(rootReal, await followLink(parentReal, parts))) {
+          throw unsafe(header.name, "symlink escapes output directory");
+        }
+        await clearTarget(header.name, dest);
+        await fsp.symlink(target, dest);
+        break;
+      }
+
+      case "link": {
+        const src = await resolveEntry(header.linkname);
+        rootReal ??= await fsp.realpath(root);
+        if (!isInside(rootReal, await fsp.realpath(src))) throw unsafe(header.name, "hard link escapes output directory");
+        await clearTarget(header.name, dest);
+        await fsp.link(src, dest);
+        break;
+      }
+
+      default:
+        // character-device, block-device, fifo, …
+        throw unsafe(header.name, `unsupported entry type (${header.type})`);
+    }
+    entries += 1;
+  }
+
+  ex.on("entry", (header, stream, next) => {
+    onEntry(header, stream).then(
+      () => {
+        stream.resume();
+        next();
+      },
+      (err) => {
+        failed ??= err;
+        stream.resume();
+        ex.destroy(err);
+      }
+    );
+  });
+  ex.on("error", (err) => {
+    failed ??= err;
+  });
+
+  const closed = new Promise((resolve) => ex.on("close", resolve));
+
+  return {
+    /** Feed archive bytes; resolves when the extractor can take more. */
+    async write(u8) {
+      if (failed) throw failed;
+      if (!ex.write(Buffer.from(u8.buffer, u8.byteOffset, u8.byteLength))) {
+        await Promise.race([once(ex, "drain"), closed]);
+      }
+      if (failed) throw failed;
+    },
+
+    /** End of archive: wait for the last entry, then settle directory mtimes. */
+    async finish() {
+      if (failed) throw failed;
+      ex.end();
+      await closed;
+      if (failed) throw failed;
+      for (const [dir, mtime] of dirTimes.reverse()) {
+        try { await fsp.utimes(dir, mtime, mtime); } catch {}
+      }
+    },
+
+    /** Stop and remove the file that was being written; complete entries stay. */
+    async abort() {
+      failed ??= new Error("extraction aborted");
+      ex.destroy();
+      await closed;
+      if (current) await fsp.rm(current, { force: true });
+    },
+
+    /** Top-level paths created (after dedupe). */
+    roots() {
+      return [...renamedRoots.values()].map((n) => path.join(root, n));
+    },
+
+    get entries() {
+      return entries;
+    },
+  };
+}
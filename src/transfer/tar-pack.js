@@ -0,0 +1,264 @@
+// src/transfer/tar-pack.js
+// Multi-path / directory sends: a ustar stream built on the fly.
+//
+// Entry names are relative to each input root and keep the root's own name
+// (`nt send ./project` → `project/`, `project/src/a.js`, …), like `tar -C parent project`.
+// Directories get their own entries; mode and mtime come from the filesystem.
+// Names over 100 bytes (or non-ASCII) always go through a PAX `path` record, so the
+// size we announce before streaming is exact.
+//
+// Symlinks inside the inputs follow a policy (the inputs themselves are always
+// dereferenced, like `tar -H`):
+//   skip     — leave them out (default);
+//   follow   — archive what they point to; directory cycles are detected and skipped;
+//   preserve — emit symlink entries, for links that stay inside their input root.
+// FIFOs, sockets and devices are never archived. Everything left out is reported
+// in `skipped` so the caller can warn about it.
+//
+// Filters apply below each input (the inputs themselves are always sent) and see
+// paths relative to it (`project/src/a.js` → `src/a.js`); patterns without a slash
+// match the basename at any depth. `.ntignore` files (and `.gitignore` on request)
+// use gitignore syntax and are scoped to the directory they live in. Filtered-out
+// paths are intentional, so they are not reported as skipped.
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import tar from "tar-stream";
+import micromatch from "micromatch";
+
+const BLOCK = 512;
+const USTAR_NAME_MAX = 100;
+const CHUNK = 64 * 1024;
+
+const pad512 = (n) => Math.ceil(n / BLOCK) * BLOCK;
+
+export const SYMLINK_POLICIES = ["skip", "follow", "preserve"];
+
+/** Same record encoding as tar-stream: "<len> path=<name>\n", len counting itself. */
+function paxRecordLength(key, value) {
+  const len = Buffer.byteLength(` ${key}=${value}\n`);
+  let digits = String(len).length;
+  if (len + digits >= 10 ** digits) digits++;
+  return len + digits;
+}
+
+const paxUnsafe = (s) => Buffer.byteLength(s) > USTAR_NAME_MAX || /[^\x00-\x7f]/.test(s);
+
+export function needsPax(name, linkname) {
+  return paxUnsafe(name) || (!!linkname && paxUnsafe(linkname));
+}
+
+/** Exact number of bytes one entry occupies in the archive. */
+export function tarEntrySize({ name, size = 0, linkname }) {
+  let n = BLOCK + pad512(size);
+  if (needsPax(name, linkname)) {
+    let pax = paxRecordLength("path", name);
+    if (linkname) pax += paxRecordLength("linkpath", linkname);
+    n += BLOCK + pad512(pax);
+  }
+  return n;
+}
+
+const toTarPath = (rel) => rel.split(path.sep).join("/");
+
+function specialKind(st) {
+  if (st.isFIFO()) return "fifo";
+  if (st.isSocket()) return "socket";
+  if (st.isCharacterDevice() || st.isBlockDevice()) return "device";
+  return "special file";
+}
+
+/* ------------------------------ ignore files ------------------------------ */
+
+export const NTIGNORE = ".ntignore";
+export const GITIGNORE = ".gitignore";
+
+/**
+ * gitignore syntax → rules scoped to `base` (posix path relative to the input, "" = top).
+ * Supports comments, `!` negation, leading `/` anchors and trailing `/` (directories only).
+ */
+export function parseIgnoreFile(text, base = "") {
+  const rules = [];
+  for (let line of String(text).split(/\r?\n/)) {
+    line = line.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+    let negate = false;
+    if (line.startsWith("!")) {
+      negate = true;
+      line = line.slice(1);
+    }
+    line = line.replace(/^\\([#!])/, "$1");
+    const dirOnly = line.endsWith("/");
+    if (dirOnly) line = line.replace(/\/+$/, "");
+    // a slash anywhere but the end anchors the pattern to `base`
+    const anchored = line.includes("/");
+    line = line.replace(/^\/+/, "");
+    if (!line) continue;
+    rules.push({ base, glob: anchored ? line : `**/${line}`, negate, dirOnly });
+  }
+  return rules;
+}
+
+/** Last matching rule wins, as in git. */
+export function isIgnored(rel, isDir, rules) {
+  let ignored = false;
+  for (const r of rules) {
+    if (r.dirOnly && !isDir) continue;
+    if (r.base && !rel.startsWith(r.base + "/")) continue;
+    const sub = r.base ? rel.slice(r.base.length + 1) : rel;
+    if (micromatch.isMatch(sub, r.glob, { dot: true })) ignored = !r.negate;
+  }
+  return ignored;
+}
+
+async function readIgnoreRules(dirAbs, base, names) {
+  const rules = [];
+  for (const name of names) {
+    try {
+      rules.push(...parseIgnoreFile(await fsp.readFile(path.join(dirAbs, name), "utf8"), base));
+    } catch {}
+  }
+  return rules;
+}
+
+/* --------------------------------- walk ---------------------------------- */
+
+const isInside = (root, p) => {
+  const rel = path.relative(root, p);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+};
+
+/**
+ * Walk the inputs and list what goes into the archive (directories before their contents).
+ * @param {string[]} paths
+ * @param {{ include?:string[], exclude?:string[], ignoreFiles?:string[],
+ *           symlinks?:"skip"|"follow"|"preserve" }} [opts]
+ * @returns {Promise<{
+ *   entries: Array<{ abs:string, name:string, type:"file"|"directory"|"symlink", size:number,
+ *                    mode:number, mtime:Date, linkname?:string }>,
+ *   skipped: Array<{ name:string, reason:string }>
+ * }>}
+ */
+export async function scanTree(
+  paths,
+  { include = [], exclude = [], ignoreFiles = [NTIGNORE], symlinks = "skip" } = {}
+) {
+  if (!SYMLINK_POLICIES.includes(symlinks)) throw new Error(`send: unknown --symlinks policy: ${symlinks}`);
+  const globOpts = { basename: true, dot: true };
+  const entries = [];
+  const skipped = [];
+  const seen = new Set();
+
+  function add(entry) {
+    if (seen.has(entry.name)) throw new Error(`send: duplicate path in bundle: ${entry.name}`);
+    seen.add(entry.name);
+    entries.push(entry);
+  }
+  const skip = (rel, reason) => skipped.push({ name: toTarPath(rel), reason });
+
+  // Below the input: --exclude, then ignore files, then (files only) --include
+  function filteredOut(inner, isDir, rules) {
+    if (!inner) return false;
+    if (exclude.length && micromatch.isMatch(inner, exclude, globOpts)) return true;
+    if (rules.length && isIgnored(inner, isDir, rules)) return true;
+    return !isDir && include.length > 0 && !micromatch.isMatch(inner, include, globOpts);
+  }
+
+  // `ancestors` holds dev:ino of the directories above us, so a followed link back up is a cycle.
+  // `inner` is the path below the input root, used for filtering; `rules` the ignore rules in scope.
+  async function collect(abs, rel, { root, ancestors, inner = "", rules = [], top = false }) {
+    let st = await fsp.lstat(abs);
+    if (filteredOut(inner, st.isDirectory(), rules)) return;
+
+    if (st.isSymbolicLink()) {
+      if (!top && symlinks === "skip") return skip(rel, "symlink");
+      if (!top && symlinks === "preserve") {
+        const linkname = await fsp.readlink(abs);
+        if (path.isAbsolute(linkname) || !isInside(root, path.resolve(path.dirname(abs), linkname))) {
+          return skip(rel, `symlink points outside ${path.basename(root)}`);
+        }
+        add({ abs, name: toTarPath(rel), type: "symlink", size: 0, mode: 0o777, mtime: st.mtime, linkname });
+        return;
+      }
+      // follow (and always for the inputs themselves)
+      try {
+        st = await fsp.stat(abs);
+      } catch {
+        return skip(rel, "broken symlink");
+      }
+    }
+
+    const meta = { abs, mode: st.mode & 0o7777, mtime: st.mtime };
+    if (st.isFile()) {
+      add({ ...meta, name: toTarPath(rel), type: "file", size: st.size });
+      return;
+    }
+    if (st.isDirectory()) {
+      const id = `${st.dev}:${st.ino}`;
+      if (ancestors.has(id)) return skip(rel, "symlink loop");
+      if (inner && isIgnored(inner, true, rules)) return;
+      const at = entries.length;
+      add({ ...meta, name: toTarPath(rel) + "/", type: "directory", size: 0 });
+      const below = new Set(ancestors).add(id);
+      const scoped = ignoreFiles.length ? rules.concat(await readIgnoreRules(abs, inner, ignoreFiles)) : rules;
+      const names = (await fsp.readdir(abs)).sort();
+      for (const name of names) {
+        const childInner = inner ? `${inner}/${name}` : name;
+        await collect(path.join(abs, name), path.join(rel, name), { root, ancestors: below, inner: childInner, rules: scoped });
+      }
+      // --include: keep only directories that ended up holding something
+      if (include.length && !top && entries.length === at + 1) seen.delete(entries.pop().name);
+      return;
+    }
+    skip(rel, specialKind(st));
+  }
+
+  for (const p of paths) {
+    const abs = path.resolve(p);
+    // preserved links are checked lexically against the input they were found under
+    await collect(abs, path.basename(abs), { root: abs, ancestors: new Set(), top: true });
+  }
+  return { entries, skipped };
+}
+
+/** Exact archive size for a scanned tree, including the two-block EOF marker. */
+export function totalTarSize(entries) {
+  return entries.reduce((acc, e) => acc + tarEntrySize(e), 0) + 2 * BLOCK;
+}
+
+// Builds a tar stream from one or more input paths.
+// Returns { pack, totalSizeTar, entries, skipped } where totalSizeTar is computed BEFORE returning.
+// NOTE: this is async because we must pre-scan the filesystem.
+export async function makeTarPack(paths, opts = {}) {
+  const pack = tar.pack();
+  const { entries, skipped } = await scanTree(paths, opts);
+  const totalSizeTar = totalTarSize(entries);
+
+  // Start streaming entries asynchronously; caller can begin sending immediately.
+  (async () => {
+    try {
+      for (const e of entries) {
+        const header = { name: e.name, type: e.type, size: e.size, mode: e.mode, mtime: e.mtime };
+        if (e.linkname) header.linkname = e.linkname;
+        // empty object → tar-stream emits just the "path" (+ "linkpath") record
+        if (needsPax(e.name, e.linkname)) header.pax = {};
+        if (e.type !== "file") {
+          await new Promise((resolve, reject) => pack.entry(header, (err) => (err ? reject(err) : resolve())));
+          continue;
+        }
+        await new Promise((resolve, reject) => {
+          const entry = pack.entry(header, (err) => (err ? reject(err) : resolve()));
+          const rs = fs.createReadStream(e.abs, { highWaterMark: CHUNK });
+          rs.on("error", reject);
+          entry.on("error", reject);
+          rs.pipe(entry);
+        });
+      }
+      pack.finalize();
+    } catch (e) {
+      try { pack.destroy(e); } catch {}
+    }
+  })();
+
+  return { pack, totalSizeTar, entries, skipped };
+}
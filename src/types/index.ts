@@ -5,23 +5,76 @@ export interface CommonOpts {
   headers?: Record<string, string>;
   pq?: boolean;
   yes?: boolean;
+  /** Fail after this many seconds without a frame from the peer; 0 waits forever (DTLS only, default 30). */
+  stallTimeout?: number;
+  /** Data path: WebRTC with the relay as fallback (default), WebRTC only, or the relay only (DTLS only). */
+  transport?: "auto" | "rtc" | "relay";
+  /** The pairing code, to find the peer on the local network instead of through a relay (default transport "relay"). */
+  lan?: string | null;
+  /** The code's secret part: a PAKE proves both sides know it, so the SAS needs no confirmation (DTLS only). */
+  pake?: string | null;
+  /** Ask to confirm the SAS even when the code's secret part authenticates. */
+  sas?: boolean;
+  /** Pre-shared key (`--psk-file` / NT_PSK) both sides prove over the DTLS fingerprints; makes `yes` safe (DTLS only). */
+  psk?: Uint8Array | null;
+  /** No code: meet the pinned contact (`to` / `from`) in a room derived from both keys and the clock. */
+  meet?: boolean;
 }
 
 export interface SendOptions extends CommonOpts {
   app?: string;
   name?: string;
   stdinName?: string;
-  size?: number; // required when sending from stdin ("-")
+  size?: number; // stdin ("-") length; omit to stream an unknown length (DTLS only)
+  /** Symlinks found inside directories (default "skip"). */
+  symlinks?: "skip" | "follow" | "preserve";
+  /** Globs matched against paths below each input directory. */
+  include?: string[];
+  exclude?: string[];
+  /** Honour .gitignore in addition to .ntignore. */
+  gitignore?: boolean;
+  /** On-the-wire compression, used when the receiver supports it (DTLS only). */
+  compress?: "auto" | "zstd" | "gzip" | "deflate";
+  /** Parallel data channels to stripe over (1–8, DTLS only). */
+  streams?: number;
+  /** Contact name: pin the receiver's identity key the first time, check it after (DTLS only). */
+  to?: string;
 }
 
 export interface RecvOptions extends CommonOpts {
   app?: string;
   overwrite?: boolean;
+  /** Unpack a received tar bundle into outDir instead of saving the .tar. */
+  extract?: boolean;
+  /** Decline offers (and cut off streams) larger than this many bytes (DTLS only). */
+  maxSize?: number;
+  /** Only accept these MIME types (`image/*`) or extensions (`.pdf`) (DTLS only). */
+  acceptTypes?: string[];
+  /** Contact name: pin the sender's identity key the first time, check it after (DTLS only). */
+  from?: string;
+}
+
+export interface RecvMeta {
+  size?: number;
+  mime?: string;
+  /** ms since epoch */
+  mtime?: number;
+  /** POSIX permission bits */
+  mode?: number;
+  hash?: { alg: string; digest: string };
+  /** Number of tar entries, for bundles */
+  entries?: number;
 }
 
 export interface RecvResult {
   bytesWritten: number;
   announcedBytes: number;
+  /** Bytes already on disk from an earlier, interrupted attempt (0 = fresh). */
+  resumedFrom: number;
+  /** Entries unpacked with `extract` (0 = saved as a file); `path` is then the extracted root. */
+  extracted: number;
+  /** Metadata the sender declared (NTM2 senders only); mtime and mode are applied to `path`. */
+  meta: RecvMeta | null;
   label: string | null;
   path: string | null;
   mode: Mode;
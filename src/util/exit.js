@@ -42,6 +42,20 @@ export function mapErrorToExitCode(err) {
   if (name === "SignalingError") return EXIT.SIGNALING;
   if (name === "RtcError") return EXIT.RTC;
   if (name === "AuthError") return EXIT.AUTH;
+  // end-to-end content hash or byte count did not match / compressed stream was corrupt
+  if (code === "NC_HASH_MISMATCH" || code === "NC_SIZE_MISMATCH" || code === "NC_DECOMPRESS") return EXIT.INTEGRITY;
+  // the receiver declined the offer (or it broke --max-size / --accept-types)
+  if (code === "NC_REJECTED") return EXIT.REJECTED;
+  // the peer's nt_abort: same exit code as the side that gave up
+  if (code === "NC_AUTH") return EXIT.AUTH;
+  if (code === "NC_DISK_FULL") return EXIT.IO;
+  if (code === "NC_CANCELED") return EXIT.CANCELED;
+  // nothing from the peer for --stall-timeout
+  if (code === "NC_STALLED") return EXIT.STALLED;
+  // --lan: no peer for the code on the local network
+  if (code === "NC_LAN") return EXIT.NET;
+  // --to/--from without a code: the contact never joined the room
+  if (code === "NC_MEET") return EXIT.NET;
   // cancellations
   if (name === "AbortError" || name === "CanceledError") return EXIT.CANCELED;
 
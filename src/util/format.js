@@ -10,3 +10,12 @@ export function formatETA(s) {
   const m = Math.floor(s / 60), sec = Math.floor(s % 60);
   return `${m}:${sec.toString().padStart(2, "0")}`;
 }
+
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+/** "1048576", "500k", "10M", "1.5GiB" → bytes (binary units); null if unparsable. */
+export function parseByteSize(v) {
+  const m = String(v).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i);
+  if (!m) return null;
+  const n = Math.floor(Number(m[1]) * SIZE_UNITS[m[2].toLowerCase()]);
+  return Number.isSafeInteger(n) ? n : null;
+}
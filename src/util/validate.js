@@ -1,5 +1,6 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { isContactName } from "../core/contacts.js";
 
 export class BadArgsError extends Error {
   constructor(msg) {
@@ -19,7 +20,10 @@ export async function validateSendOptions(paths, opts) {
 
   const fromStdin = paths.length === 1 && paths[0] === "-";
   if (fromStdin) {
-    assertArg(Number.isInteger(opts.size) && opts.size > 0, "send: --size must be a positive integer when reading from stdin");
+    // --size is optional (unknown-length streaming), except in PQ mode
+    if (opts.size != null || opts.pq) {
+      assertArg(Number.isInteger(opts.size) && opts.size > 0, "send: --size must be a positive integer when reading from stdin");
+    }
   } else {
     // make sure each path exists
     await Promise.all(
@@ -33,15 +37,25 @@ export async function validateSendOptions(paths, opts) {
   if (opts.name) {
     assertArg(typeof opts.name === "string" && opts.name.trim().length > 0, "send: --name must be a non-empty string");
   }
+  // noisystream binds the exact length up front, which a compressed stream does not have
+  assertArg(!(opts.compress && opts.pq), "send: --compress is not supported with --pq");
+  assertArg(!(opts.streams > 1 && opts.pq), "send: --streams is not supported with --pq");
+  assertArg(!(opts.transport === "relay" && opts.pq), "send: --transport relay is not supported with --pq");
+  if (opts.to != null) {
+    assertArg(isContactName(opts.to), `send: not a contact name: ${opts.to}`);
+    assertArg(!opts.pq, "send: --to is not supported with --pq");
+  }
 }
 
 export async function validateRecvOptions(outDir, opts) {
   assertArg(typeof outDir === "string", "recv: missing output");
+  if (opts.from != null) assertArg(isContactName(opts.from), `recv: not a contact name: ${opts.from}`);
   const toStdout = outDir === "-";
 
   if (toStdout) {
     // stdout incompatible flags
     assertArg(!opts.overwrite, "recv: --overwrite cannot be used with stdout");
+    assertArg(!opts.extract, "recv: --extract cannot be used with stdout");
   } else {
     // ensure dir exists and is a directory
     try {
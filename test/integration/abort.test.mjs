@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { NoisyError } from "@noisytransfer/errors";
+import {
+  abortReasonFor,
+  packAbort,
+  parseAbort,
+  peerAbortError,
+  sendAbort,
+  watchAbort,
+} from "../../src/transfer/abort.js";
+import { rejectedError } from "../../src/transfer/offer.js";
+import { mapErrorToExitCode } from "../../src/util/exit.js";
+import { EXIT } from "../../src/env/exit-codes.js";
+
+// Two ends of a channel: each side's send() reaches the other side's listeners.
+function abortLink() {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => queueMicrotask(() => { for (const fn of ends[1 - i]) fn(m); }),
+  });
+  return { sender: end(0), receiver: end(1) };
+}
+
+test("abort frames round-trip; unknown reasons read as error", () => {
+  assert.deepEqual(parseAbort(packAbort({ sessionId: "s", reason: "disk_full", message: "ENOSPC" })), {
+    sessionId: "s",
+    reason: "disk_full",
+    message: "ENOSPC",
+  });
+  assert.equal(parseAbort({ type: "nt_abort", sessionId: "s", reason: "bored" }).reason, "error");
+  assert.equal(parseAbort({ type: "nt_abort" }), null);
+  assert.equal(parseAbort(new Uint8Array(16)), null);
+});
+
+test("our failure picks the reason; ones the peer already knows send none", () => {
+  assert.equal(abortReasonFor(Object.assign(new Error("no space"), { code: "ENOSPC" })), "disk_full");
+  assert.equal(abortReasonFor(new NoisyError({ code: "NC_AUTH", message: "x" })), "auth");
+  assert.equal(abortReasonFor(rejectedError("too big", { byUs: true, abort: "size_limit" })), "size_limit");
+  assert.equal(abortReasonFor(rejectedError("answered no at the prompt", { byUs: true })), null, "sent as nt_reject");
+  assert.equal(abortReasonFor(new NoisyError({ code: "NC_HASH_MISMATCH", message: "x" })), null, "sent in FIN");
+  assert.equal(abortReasonFor(new NoisyError({ code: "NC_SIZE_MISMATCH", message: "x" })), null, "sent in FIN");
+  assert.equal(abortReasonFor(new Error("boom")), "error");
+});
+
+test("the peer's abort maps to the exit code of the side that gave up", () => {
+  const exitFor = (reason) => mapErrorToExitCode(peerAbortError({ reason, message: null }, "receiver"));
+  assert.equal(exitFor("cancel"), EXIT.CANCELED);
+  assert.equal(exitFor("disk_full"), EXIT.IO);
+  assert.equal(exitFor("size_limit"), EXIT.REJECTED);
+  assert.equal(exitFor("auth"), EXIT.AUTH);
+  // a short or long stream is an integrity failure on both sides, never a success
+  assert.equal(mapErrorToExitCode(new NoisyError({ code: "NC_SIZE_MISMATCH", message: "x" })), EXIT.INTEGRITY);
+  const e = peerAbortError({ reason: "size_limit", message: "stream exceeds --max-size 5.0 MiB" }, "receiver");
+  assert.equal(e.message, "receiver aborted: size limit exceeded (stream exceeds --max-size 5.0 MiB)");
+  assert.equal(abortReasonFor(e), null, "never echoed back");
+});
+
+test("watchAbort ends a pending transfer with the peer's reason", async () => {
+  const { sender, receiver } = abortLink();
+  const peer = watchAbort(sender, "s", "receiver");
+  const other = watchAbort(sender, "t", "receiver");
+  const transfer = new Promise(() => {}); // never settles by itself
+  sendAbort(receiver, "s", Object.assign(new Error("write failed"), { code: "ENOSPC" }));
+  await assert.rejects(peer.race(transfer), { code: "NC_DISK_FULL", message: /receiver aborted: out of disk space/ });
+  assert.equal(peer.error.context.abort, "disk_full");
+  assert.equal(other.error, null, "other sessions are not affected");
+  peer.off();
+  other.off();
+  assert.equal(await watchAbort(sender, "s", "receiver").race(Promise.resolve(42)), 42);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "node:crypto";
+
+import {
+  compressSource,
+  createDecompressor,
+  pickCompression,
+  supportedCompression,
+} from "../../src/transfer/compress.js";
+
+async function* chunksOf(buf, size) {
+  for (let i = 0; i < buf.length; i += size) yield buf.subarray(i, i + size);
+}
+
+test("pickCompression only picks what both sides decode", () => {
+  assert.ok(supportedCompression().includes("gzip"));
+  assert.equal(pickCompression("auto", ["gzip", "deflate"]), "gzip");
+  assert.equal(pickCompression("deflate", ["gzip", "deflate"]), "deflate");
+  assert.equal(pickCompression("deflate", ["gzip"]), null);
+  assert.equal(pickCompression("auto", []), null);
+  assert.equal(pickCompression("auto", undefined), null);
+});
+
+for (const alg of supportedCompression()) {
+  test(`${alg}: round trip through a slow sink, counting both sides`, async () => {
+    const text = Buffer.from("the quick brown fox jumps over the lazy dog\n".repeat(20000));
+    const input = Buffer.concat([text, randomBytes(4096)]);
+    let consumed = 0;
+    const frames = [];
+    for await (const c of compressSource(chunksOf(input, 65536), alg, (u8) => (consumed += u8.byteLength))) {
+      frames.push(Buffer.from(c));
+    }
+    const wire = frames.reduce((n, f) => n + f.length, 0);
+    assert.equal(consumed, input.length);
+    assert.ok(wire < input.length / 4, `${alg} should shrink repetitive text`);
+
+    const out = [];
+    const dec = createDecompressor(alg, async (u8) => {
+      await new Promise((r) => setImmediate(r));
+      out.push(Buffer.from(u8));
+    });
+    for (const f of frames) await dec.push(f);
+    await dec.end();
+    assert.ok(Buffer.concat(out).equals(input));
+  });
+}
+
+test("corrupt input fails with NC_DECOMPRESS; sink errors pass through", async () => {
+  const dec = createDecompressor("gzip", async () => {});
+  await assert.rejects(
+    (async () => {
+      await dec.push(Buffer.from("definitely not gzip data"));
+      await dec.end();
+    })(),
+    { code: "NC_DECOMPRESS" }
+  );
+
+  const frames = [];
+  for await (const c of compressSource(chunksOf(Buffer.alloc(1 << 20, 1), 65536), "gzip")) frames.push(c);
+  const failing = createDecompressor("gzip", async () => {
+    throw Object.assign(new Error("disk full"), { code: "ENOSPC" });
+  });
+  await assert.rejects(
+    (async () => {
+      for (const f of frames) await failing.push(f);
+      await failing.end();
+    })(),
+    { code: "ENOSPC" }
+  );
+
+  assert.throws(() => createDecompressor("lz4", async () => {}), { code: "NC_PROTOCOL" });
+});
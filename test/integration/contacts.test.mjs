@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  getContact,
+  listContacts,
+  loadIdentity,
+  parseKey,
+  pinContact,
+  removeContact,
+  watchIdentity,
+} from "../../src/core/contacts.js";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "nt-contacts-"));
+process.env.NT_CONFIG_DIR = tmp;
+test.after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+function link() {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => {
+      const out = JSON.parse(JSON.stringify(m));
+      queueMicrotask(() => { for (const fn of ends[1 - i]) fn(out); });
+    },
+  });
+  return [end(0), end(1)];
+}
+
+// an identity that lives elsewhere (the other machine)
+async function otherIdentity() {
+  const saved = process.env.NT_CONFIG_DIR;
+  process.env.NT_CONFIG_DIR = await fs.mkdtemp(path.join(os.tmpdir(), "nt-contacts-peer-"));
+  try {
+    return await loadIdentity();
+  } finally {
+    await fs.rm(process.env.NT_CONFIG_DIR, { recursive: true, force: true });
+    process.env.NT_CONFIG_DIR = saved;
+  }
+}
+
+// `verified`: a code, a pre-shared key or the SAS vouched for the handshake
+function session(me, peer, { pinned = null, transcripts = ["t", "t"], verified = true } = {}) {
+  const [ea, eb] = link();
+  const a = watchIdentity(ea, { sessionId: "s", role: "A", contact: { name: "box", identity: me, pinned } });
+  const b = watchIdentity(eb, { sessionId: "s", role: "B", contact: { name: "laptop", identity: peer, pinned: me.publicKey, pinnedDh: me.dhPublicKey } });
+  return Promise.allSettled([a.run(transcripts[0], { verified }), b.run(transcripts[1], { verified })]);
+}
+
+test("the identity is made once and kept private; contacts pin, list and go", async () => {
+  const me = await loadIdentity();
+  assert.deepEqual((await loadIdentity()).publicKey, me.publicKey);
+  assert.equal((await fs.stat(path.join(tmp, "identity.json"))).mode & 0o777, 0o600);
+
+  const key = (await otherIdentity()).publicKey;
+  assert.equal(parseKey("not a key"), null);
+  assert.deepEqual(parseKey(Buffer.from(key).toString("base64url")), key);
+  await pinContact("BuildBox", key);
+  assert.deepEqual((await getContact("buildbox")).key, key);
+  assert.deepEqual(Object.keys(await listContacts()), ["buildbox"]);
+  assert.equal(await removeContact("buildbox"), true);
+  assert.equal(await removeContact("buildbox"), false);
+  assert.equal(await getContact("buildbox"), null);
+});
+
+test("first session pins the peer's key, later ones check it, a new key fails loudly", async () => {
+  const me = await loadIdentity();
+  const peer = await otherIdentity();
+
+  // -y alone: nothing vouched for whoever answered, so nothing is pinned
+  const [unverified] = await session(me, peer, { verified: false });
+  assert.equal(unverified.status, "fulfilled");
+  assert.equal(await getContact("box"), null);
+
+  const [first] = await session(me, peer);
+  assert.equal(first.status, "fulfilled");
+  assert.deepEqual((await getContact("box")).key, peer.publicKey);
+  assert.deepEqual((await getContact("box")).dh, peer.dhPublicKey, "and the key to meet it without a code");
+
+  const again = await session(me, peer, { pinned: peer.publicKey });
+  assert.deepEqual(again.map((r) => r.status), ["fulfilled", "fulfilled"]);
+
+  const impostor = await otherIdentity();
+  const [changed] = await session(me, impostor, { pinned: peer.publicKey });
+  assert.equal(changed.status, "rejected");
+  assert.equal(changed.reason.code, "NC_AUTH");
+  assert.match(changed.reason.message, /IDENTITY KEY CHANGED for contact "box"/);
+  assert.deepEqual((await getContact("box")).key, peer.publicKey, "the pin stays");
+
+  // a signature over another handshake (replayed from an earlier session) does not count
+  const [replayed] = await session(me, peer, { pinned: peer.publicKey, transcripts: ["t", "other"] });
+  assert.equal(replayed.status, "rejected");
+  assert.match(replayed.reason.message, /identity proof is invalid/);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import {
+  createDigest,
+  hashingSource,
+  parseFinDigest,
+  pickHashAlg,
+  supportedHashAlgs,
+  verifyDigest,
+} from "../../src/transfer/digest.js";
+import { packCaps, parseCaps } from "../../src/transfer/caps.js";
+
+test("hashingSource yields chunks unchanged and hashes all of them", async () => {
+  const h = createDigest("sha256");
+  const out = [];
+  for await (const c of hashingSource([Buffer.from("ab"), new Uint8Array([0x63])], h)) out.push(Buffer.from(c));
+  assert.equal(Buffer.concat(out).toString(), "abc");
+  assert.equal(h.digest("hex"), createHash("sha256").update("abc").digest("hex"));
+});
+
+test("parseFinDigest tolerates FIN frames from older senders", () => {
+  assert.equal(parseFinDigest({ type: "ns_fin", sessionId: "s", ok: true }), null);
+  assert.deepEqual(parseFinDigest({ hashAlg: "sha256", hash: "ab".repeat(32) }), { alg: "sha256", digest: "ab".repeat(32) });
+});
+
+test("verifyDigest: only a match passes; another alg or no digest of ours fails like a mismatch", () => {
+  const a = { alg: "sha256", digest: "00".repeat(32) };
+  verifyDigest(a, { ...a });
+  assert.throws(() => verifyDigest(a, { alg: "sha256", digest: "11".repeat(32) }), { code: "NC_HASH_MISMATCH" });
+  assert.throws(() => verifyDigest(a, { alg: "blake3", digest: a.digest }), (e) => e.code === "NC_HASH_MISMATCH" && /cannot verify/.test(e.message));
+  assert.throws(() => verifyDigest(a, undefined), { code: "NC_HASH_MISMATCH" });
+});
+
+test("the sender hashes with what the receiver listed in nt_caps, else sha256", () => {
+  const local = supportedHashAlgs();
+  assert.ok(local.includes("sha256"));
+  assert.deepEqual(parseCaps(packCaps({ sessionId: "s" })).hash, local);
+  assert.equal(pickHashAlg(["blake3", "sha256"]), local[0]);
+  for (const peer of [["sha256"], [], undefined]) assert.equal(pickHashAlg(peer), "sha256");
+  // receivers that predate the field
+  assert.equal(pickHashAlg(parseCaps({ type: "nt_caps", sessionId: "s" }).hash), "sha256");
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPacer, createCreditGate, createCreditGrantor } from "../../src/transfer/flow.js";
+
+// Fake transport whose send buffer we drain by hand.
+function fakeTx() {
+  return { bufferedAmount: 0, isUp: true, sent: [], send(f) { this.sent.push(f); this.bufferedAmount += f.n; } };
+}
+
+test("pacer blocks above highWater until bufferedAmount reaches lowWater", async () => {
+  const tx = fakeTx();
+  const pacer = createPacer(tx, { highWater: 100, lowWater: 40 });
+  await pacer.send({ n: 60 }, 60);
+  await pacer.send({ n: 60 }, 60); // 120 buffered now
+  let released = false;
+  const p = pacer.send({ n: 60 }, 60).then(() => { released = true; });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal(released, false, "third send must wait");
+  tx.bufferedAmount = 40;
+  await p;
+  assert.equal(tx.sent.length, 3);
+});
+
+test("pacer reports acknowledged bytes, not queued bytes", async () => {
+  const tx = fakeTx();
+  const pacer = createPacer(tx, { highWater: 1000, lowWater: 10 });
+  await pacer.send({ n: 50 }, 40, 50);
+  await pacer.send({ n: 50 }, 40, 50);
+  assert.equal(pacer.acked(), 0);
+  tx.bufferedAmount = 50; // first frame left the buffer
+  assert.equal(pacer.acked(), 40);
+  tx.bufferedAmount = 0;
+  assert.equal(await pacer.drain(), 80);
+});
+
+test("pacer fails instead of waiting forever when the transport goes down", async () => {
+  const tx = fakeTx();
+  const pacer = createPacer(tx, { highWater: 10, lowWater: 5 });
+  await pacer.send({ n: 50 }, 50);
+  tx.isUp = false;
+  await assert.rejects(pacer.send({ n: 1 }, 1), { code: "NC_TX_CLOSED" });
+});
+
+// Loopback: grantor's credits land in the gate's listeners.
+function creditLink() {
+  const listeners = new Set();
+  const senderTx = { isUp: true, onMessage: (fn) => { listeners.add(fn); return () => listeners.delete(fn); } };
+  const receiverTx = { send: (m) => queueMicrotask(() => { for (const fn of listeners) fn(m); }) };
+  return { senderTx, receiverTx };
+}
+
+test("credit gate stops the sender when the receiver stops consuming", async () => {
+  const { senderTx, receiverTx } = creditLink();
+  const gate = createCreditGate(senderTx, "s");
+  const grantor = createCreditGrantor(receiverTx, "s", { window: 2, batch: 1 });
+  grantor.open();
+  assert.equal(await gate.ready(1000), true);
+  await gate.take();
+  await gate.take();
+  let released = false;
+  const p = gate.take().then(() => { released = true; });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal(released, false, "window exhausted");
+  grantor.consumed();
+  await p;
+  gate.off();
+});
+
+test("credit gate falls back to no-op when the receiver never grants", async () => {
+  const { senderTx } = creditLink();
+  const gate = createCreditGate(senderTx, "s");
+  assert.equal(await gate.ready(20), false);
+  await gate.take(); // must not block
+  gate.off();
+});
@@ -1,6 +1,6 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
-import { humanBytes, formatETA } from "../../src/util/format.js";
+import { humanBytes, formatETA, parseByteSize } from "../../src/util/format.js";
 
 test("humanBytes", () => {
   assert.equal(humanBytes(0), "0.0 B");
@@ -13,3 +13,13 @@ test("formatETA", () => {
   assert.equal(formatETA(61), "1:01");
   assert.equal(formatETA(Infinity), "—");
 });
+
+test("parseByteSize", () => {
+  assert.equal(parseByteSize("1024"), 1024);
+  assert.equal(parseByteSize("500k"), 500 * 1024);
+  assert.equal(parseByteSize("10M"), 10 * 1024 * 1024);
+  assert.equal(parseByteSize("1.5GiB"), 1.5 * 1024 ** 3);
+  assert.equal(parseByteSize("2 MB"), 2 * 1024 * 1024);
+  assert.equal(parseByteSize("ten"), null);
+  assert.equal(parseByteSize("-1"), null);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BIN_HEADER_BYTES, isDataBin, packDataBin, parseDataBin, sessionTag } from "../../src/transfer/frames-bin.js";
+import { packCaps, parseCaps } from "../../src/transfer/caps.js";
+
+test("binary ns_data round-trips seq and payload under a 16-byte header", () => {
+  const tag = sessionTag("session-a");
+  const chunk = Buffer.from("hello, bytes");
+  const frame = packDataBin({ tag, seq: 70000, chunk });
+  assert.equal(frame.byteLength, BIN_HEADER_BYTES + chunk.length);
+  assert.equal(frame.byteOffset, 0);
+  assert.equal(frame.buffer.byteLength, frame.byteLength, "own buffer, not a pooled slice");
+  assert.ok(isDataBin(frame));
+
+  const got = parseDataBin(frame, tag);
+  assert.equal(got.seq, 70000);
+  assert.deepEqual(Buffer.from(got.chunk), chunk);
+  assert.equal(parseDataBin(packDataBin({ tag, seq: 0, chunk: new Uint8Array(0) }), tag).chunk.byteLength, 0);
+});
+
+test("binary ns_data from another session or a bad length is refused", () => {
+  const frame = packDataBin({ tag: sessionTag("a"), seq: 1, chunk: new Uint8Array(8) });
+  assert.equal(parseDataBin(frame, sessionTag("b")), null);
+  assert.equal(isDataBin(new TextEncoder().encode('{"type":"ns_data"}')), false);
+  assert.throws(() => parseDataBin(frame.subarray(0, frame.byteLength - 1), sessionTag("a")), RangeError);
+  assert.throws(() => packDataBin({ tag: sessionTag("a"), seq: -1, chunk: new Uint8Array(1) }), RangeError);
+});
+
+test("caps list binary framing; old receivers list none", () => {
+  assert.deepEqual(parseCaps(packCaps({ sessionId: "s" })).framing, ["bin1"]);
+  assert.deepEqual(parseCaps({ type: "nt_caps", sessionId: "s", meta: 2 }).framing, []);
+});
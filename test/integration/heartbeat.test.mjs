@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { packCaps, parseCaps } from "../../src/transfer/caps.js";
+import { pingInterval, watchStall } from "../../src/transfer/heartbeat.js";
+import { mapErrorToExitCode } from "../../src/util/exit.js";
+import { EXIT } from "../../src/env/exit-codes.js";
+
+// Two ends of a channel that can go dead: after cut() nothing gets through.
+function flakyLink() {
+  const ends = [new Set(), new Set()];
+  let dead = false;
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => queueMicrotask(() => { if (!dead) for (const fn of ends[1 - i]) fn(m); }),
+  });
+  return { sender: end(0), receiver: end(1), cut: () => { dead = true; } };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// The watchdog's timer does not hold the process open; a transport would, so stand in for one
+const never = () => sleep(1500).then(() => "still waiting");
+
+test("ping interval: a third of the timeout, within 250 ms … 5 s", () => {
+  assert.equal(pingInterval(30_000), 5000);
+  assert.equal(pingInterval(3000), 1000);
+  assert.equal(pingInterval(100), 250);
+  assert.equal(parseCaps(packCaps({ sessionId: "s" })).heartbeat, true);
+  assert.equal(parseCaps({ type: "nt_caps", sessionId: "s" }).heartbeat, false, "older receivers do not ping");
+});
+
+test("a dead path fails both sides with NC_STALLED once pings stop", async () => {
+  const { sender, receiver, cut } = flakyLink();
+  const a = watchStall(sender, "s", "receiver", { timeoutMs: 400 });
+  const b = watchStall(receiver, "s", "sender", { timeoutMs: 400 });
+  a.start({ expectPeer: true });
+  b.start();
+  try {
+    // idle, but alive: pings keep both sides going past the timeout
+    await sleep(700);
+    assert.equal(a.error, null);
+    assert.equal(b.error, null);
+    cut();
+    await assert.rejects(a.race(never()), { code: "NC_STALLED", message: /nothing from the receiver for 0.4s/ });
+    await assert.rejects(b.race(never()), { code: "NC_STALLED" });
+    assert.equal(mapErrorToExitCode(a.error), EXIT.STALLED);
+  } finally {
+    a.off();
+    b.off();
+  }
+});
+
+test("a peer that never pings is not watched; timeout 0 turns it all off", async () => {
+  const { sender, receiver } = flakyLink();
+  let pings = 0;
+  receiver.onMessage(() => { pings += 1; });
+  const quiet = watchStall(sender, "s", "receiver", { timeoutMs: 0 });
+  const b = watchStall(receiver, "s", "sender", { timeoutMs: 300 });
+  quiet.start({ expectPeer: true });
+  b.start();
+  try {
+    await sleep(700);
+    assert.equal(pings, 0);
+    assert.equal(b.error, null, "the receiver only watches senders that ping");
+    assert.equal(await b.race(Promise.resolve("done")), "done");
+  } finally {
+    quiet.off();
+    b.off();
+  }
+});
@@ -0,0 +1,231 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHash, randomBytes } from "node:crypto";
+
+import { ICE_RESTART, resilientTransport, superviseIce } from "../../src/core/ice-restart.js";
+import { dialRTC } from "../../src/core/rtc.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Just enough of an RTCPeerConnection for an ICE restart: descriptions, candidates and state.
+class FakePeer extends EventTarget {
+  iceConnectionState = "connected";
+  signalingState = "stable";
+  localDescription = null;
+  added = [];
+  remote = false;
+  setIce(state) {
+    this.iceConnectionState = state;
+    this.dispatchEvent(new Event("iceconnectionstatechange"));
+  }
+  async createOffer(opts) {
+    return { type: "offer", sdp: `restart=${!!opts?.iceRestart}` };
+  }
+  async createAnswer() {
+    return { type: "answer", sdp: "answer" };
+  }
+  async setLocalDescription(d) {
+    if (d.type === "rollback") this.signalingState = "stable";
+    else if (d.type === "offer") this.signalingState = "have-local-offer";
+    else this.signalingState = "stable";
+    this.localDescription = d.type === "rollback" ? null : d;
+  }
+  async setRemoteDescription(d) {
+    this.remote = true;
+    this.signalingState = d.type === "offer" ? "have-remote-offer" : "stable";
+  }
+  async addIceCandidate(c) {
+    if (!this.remote) throw new Error("no remote description");
+    this.added.push(c);
+  }
+}
+
+// Two ends of the signaling channel; `log` sees every message.
+function signalLink(log) {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => { log.push(m.type); queueMicrotask(() => { for (const fn of ends[1 - i]) fn(m); }); },
+    close: () => {},
+  });
+  return [end(0), end(1)];
+}
+
+test("a dropped path is restarted by the initiator, also when the responder notices first", async () => {
+  const log = [];
+  const [sa, sb] = signalLink(log);
+  const a = new FakePeer();
+  const b = new FakePeer();
+  const opts = { graceMs: 20, attemptMs: 200 };
+  const ia = superviseIce(a, sa, "initiator", opts);
+  const ib = superviseIce(b, sb, "responder", opts);
+  try {
+    b.setIce("disconnected");
+    assert.equal(ib.reconnecting, true);
+    await sleep(80);
+    assert.deepEqual(log, [ICE_RESTART.REQUEST, ICE_RESTART.OFFER, ICE_RESTART.ANSWER]);
+    assert.equal(a.localDescription.sdp, "restart=true");
+    assert.equal(a.signalingState, "stable");
+
+    // candidates of the new generation flow while restarting, held back until their description
+    sa.send({ type: ICE_RESTART.CAND, cand: { candidate: "c1" } });
+    a.dispatchEvent(Object.assign(new Event("icecandidate"), { candidate: { candidate: "c2", sdpMid: "0" } }));
+    await sleep(10);
+    assert.deepEqual(b.added.map((c) => c.candidate), ["c1", "c2"]);
+
+    a.setIce("connected");
+    b.setIce("connected");
+    assert.equal(ia.reconnecting, false);
+    assert.equal(ib.reconnecting, false);
+  } finally {
+    ia.stop();
+    ib.stop();
+  }
+});
+
+test("no path after maxAttempts restarts: give up", async () => {
+  const [sa] = signalLink([]);
+  const a = new FakePeer();
+  let gaveUp = 0;
+  const ia = superviseIce(a, sa, "initiator", { graceMs: 10, attemptMs: 20, maxAttempts: 2, onGiveUp: () => { gaveUp += 1; } });
+  a.setIce("failed");
+  await sleep(150);
+  assert.equal(gaveUp, 1);
+  a.setIce("connected");
+  a.setIce("failed");
+  await sleep(60);
+  assert.equal(gaveUp, 1, "stopped after giving up");
+  ia.stop();
+});
+
+// The transport as the responder's wrapper sees it: it encodes onto `dc` while
+// up, and `disconnected` latches it down for good, send swapped for a guard.
+function fakeBase(dc = null) {
+  const closes = new Set();
+  const base = {
+    isUp: true,
+    sent: [],
+    send(m) {
+      base.sent.push(m);
+      dc?.send(m instanceof Uint8Array ? m : JSON.stringify({ wire: m }));
+    },
+    onUp: () => () => {},
+    onClose: (fn) => { closes.add(fn); return () => closes.delete(fn); },
+    close: async () => {},
+    drop() {
+      base.isUp = false;
+      base.send = () => { throw new Error("down"); };
+      for (const fn of closes) fn();
+    },
+  };
+  return base;
+}
+
+function fakeChannel() {
+  const dc = new EventTarget();
+  dc.readyState = "open";
+  dc.bufferedAmount = 0;
+  dc.sent = [];
+  dc.send = (d) => dc.sent.push(d);
+  dc.end = () => {
+    dc.readyState = "closed";
+    dc.dispatchEvent(new Event("close"));
+  };
+  return dc;
+}
+
+test("resilientTransport: keeps the transport's send through a drop and only closes with the channel", () => {
+  const dc = fakeChannel();
+  const base = fakeBase(dc);
+  const { tx, bind } = resilientTransport(base, null, "initiator");
+  let closed = 0;
+  tx.onClose(() => { closed += 1; });
+  bind(null, dc);
+
+  base.drop(); // the wrapper gave up on `disconnected`
+  assert.equal(tx.isUp, true);
+  assert.equal(closed, 0);
+  tx.send({ type: "nt_ping", sessionId: "s" });
+  tx.send(new Uint8Array([1, 2, 3]));
+  assert.deepEqual(JSON.parse(dc.sent[0]), { wire: { type: "nt_ping", sessionId: "s" } }, "the transport's encoding");
+  assert.deepEqual([...dc.sent[1]], [1, 2, 3]);
+
+  dc.end();
+  assert.equal(tx.isUp, false);
+  assert.equal(closed, 1);
+  assert.throws(() => tx.send({ type: "nt_ping" }), { code: "NC_TRANSPORT_DOWN" });
+  tx.onClose(() => { closed += 1; });
+  assert.equal(closed, 2, "late listeners hear about it at once");
+});
+
+test("resilientTransport: before bind() it is the plain transport", () => {
+  const base = fakeBase();
+  const { tx } = resilientTransport(base, null, "responder");
+  let closed = 0;
+  tx.onClose(() => { closed += 1; });
+  tx.send({ type: "x" });
+  assert.equal(base.sent.length, 1);
+  base.drop();
+  assert.equal(tx.isUp, false);
+  assert.equal(closed, 1);
+});
+
+// wrtc crashes when a process that had peer connections exits by itself
+// (the CLI always calls exit); exit once the runner has reported everything
+process.once("beforeExit", () => process.exit());
+
+const ufrag = (sdp) => /a=ice-ufrag:(\S+)/.exec(sdp?.sdp ?? "")?.[1];
+const sha256 = (u8) => createHash("sha256").update(u8).digest("hex");
+
+async function until(cond, ms, what) {
+  const end = Date.now() + ms;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error(`timed out waiting for ${what}`);
+    await sleep(10);
+  }
+}
+
+test("wrtc: an ICE restart mid-transfer keeps the data channel and its SCTP association", { timeout: 60_000 }, async () => {
+  const log = [];
+  const [sa, sb] = signalLink(log);
+  const offers = []; // ICE credentials of each offer, as the responder got them
+  sb.onMessage((m) => {
+    if (m.type === "offer" || m.type === ICE_RESTART.OFFER) offers.push(ufrag(m.sdp));
+  });
+  let answered = null;
+  const answer = new Promise((r) => (answered = r));
+  sa.onMessage((m) => m.type === ICE_RESTART.ANSWER && answered());
+
+  const [a, b] = await Promise.all([dialRTC("initiator", sa), dialRTC("responder", sb)]);
+  try {
+    const payload = randomBytes(64 * 16 * 1024);
+    const got = [];
+    b.onMessage((m) => got.push(m));
+    await until(() => b.isUp, 10_000, "the responder's channel");
+
+    for (let off = 0, i = 0; off < payload.length; off += 16 * 1024, i++) {
+      // halfway, with frames still in flight, the responder asks for a restart
+      if (i === 32) {
+        assert.ok(a.bufferedAmount > 0 || got.length < i, "frames in flight");
+        sb.send({ type: ICE_RESTART.REQUEST });
+        await answer;
+      }
+      while (a.bufferedAmount > 256 * 1024) await sleep(5);
+      a.send(payload.subarray(off, off + 16 * 1024));
+    }
+    a.send({ type: "done", n: 64 });
+    await until(() => got.length === 65, 20_000, "all frames");
+
+    assert.equal(offers.length, 2);
+    assert.notEqual(offers[1], offers[0], "the restart offer has fresh ICE credentials");
+    assert.ok(log.includes(ICE_RESTART.CAND), "candidates of the new generation");
+    assert.deepEqual(got.at(-1), { type: "done", n: 64 });
+    assert.equal(sha256(Buffer.concat(got.slice(0, -1))), sha256(payload), "every frame, in order, on the one channel");
+    // same DTLS session: the fingerprints in the renegotiated descriptions did not change
+    assert.deepEqual(a.getRemoteFingerprint(), b.getLocalFingerprint());
+    assert.equal(a.isUp && b.isUp, true);
+  } finally {
+    await Promise.allSettled([a.close(), b.close()]);
+  }
+});
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import dgram from "node:dgram";
+import net from "node:net";
+import { once } from "node:events";
+import { createHash, createHmac } from "node:crypto";
+
+import { createLanCode, createLanSignal, lanId } from "../../src/core/lan.js";
+
+// away from the default, so a real `nt send --lan` nearby does not interfere
+const port = 47000 + Math.floor(Math.random() * 400);
+
+const nextMessage = (link, type) =>
+  new Promise((resolve) => {
+    const off = link.onMessage((m) => {
+      if (type && m?.type !== type) return;
+      off();
+      resolve(m);
+    });
+  });
+
+test("codes are short, readable and hashed before they go on the network", () => {
+  const code = createLanCode();
+  assert.match(code, /^[2-9a-hjkmnp-z]{8}$/);
+  assert.notEqual(createLanCode(), code);
+  assert.equal(lanId(code), lanId(code.toUpperCase()));
+  assert.match(lanId(code), /^[0-9a-f]{32}$/);
+  assert.ok(!lanId(code).includes(code));
+});
+
+test("the receiver finds the sender by broadcast and they exchange frames over TCP", async () => {
+  const code = createLanCode();
+  const a = createLanSignal({ code, side: "A", port });
+  const b = createLanSignal({ code, side: "B", port });
+  try {
+    await Promise.all([a.waitOpen(5000), b.waitOpen(5000)]);
+
+    const gotB = nextMessage(b, "commit");
+    a.send({ type: "commit", sessionId: "s", commitment: new Uint8Array([9, 9]) });
+    assert.deepEqual(await gotB, { type: "commit", sessionId: "s", commitment: new Uint8Array([9, 9]) });
+
+    const big = new Uint8Array(300_000).map((_, i) => i & 255);
+    const gotA = nextMessage(a);
+    b.send(big);
+    assert.deepEqual(new Uint8Array(await gotA), big);
+
+    const left = nextMessage(a, "peer_left");
+    let closed = false;
+    a.onClose(() => { closed = true; });
+    await b.close();
+    await left;
+    assert.equal(closed, true);
+  } finally {
+    await a.close();
+    await b.close();
+  }
+});
+
+test("a receiver with another code does not connect", async () => {
+  const a = createLanSignal({ code: createLanCode(), side: "A", port });
+  const b = createLanSignal({ code: createLanCode(), side: "B", port });
+  try {
+    await assert.rejects(b.waitOpen(1500), { code: "NC_LAN", message: /no sender for this code/ });
+  } finally {
+    await a.close();
+    await b.close();
+  }
+});
+
+test("a stranger cannot make the sender buffer a big frame before the hello", async () => {
+  const code = createLanCode();
+  const listen = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  listen.bind(port);
+  const a = createLanSignal({ code, side: "A", port });
+  try {
+    const [msg, rinfo] = await once(listen, "message");
+    const { port: tcpPort } = JSON.parse(String(msg));
+    const s = net.connect(tcpPort, rinfo.address);
+    s.on("error", () => {});
+    s.resume(); // the sender's challenge
+    await once(s, "connect");
+    const head = Buffer.alloc(5);
+    head.writeUInt32BE(1024 * 1024 + 1, 0);
+    s.write(head);
+    s.write(Buffer.alloc(16 * 1024));
+    await once(s, "close");
+    listen.close();
+
+    // the real receiver still gets in
+    const b = createLanSignal({ code, side: "B", port });
+    try {
+      await Promise.all([a.waitOpen(5000), b.waitOpen(5000)]);
+    } finally {
+      await b.close();
+    }
+  } finally {
+    try { listen.close(); } catch {}
+    await a.close();
+  }
+});
+
+// One length-prefixed JSON frame, as the link writes it
+function jsonFrame(m) {
+  const body = Buffer.from(JSON.stringify(m));
+  const head = Buffer.alloc(5);
+  head.writeUInt32BE(body.length + 1, 0);
+  return Buffer.concat([head, body]);
+}
+
+async function firstFrame(s) {
+  const [chunk] = await once(s, "data");
+  return JSON.parse(chunk.subarray(5, 4 + chunk.readUInt32BE(0)).toString());
+}
+
+test("every connection gets its own challenge: a hello seen on the wire cannot be replayed", async () => {
+  const code = createLanCode();
+  // what a receiver that has the code answers to `nonce`
+  const key = createHash("sha256").update(`nt-lan proof:${code}`).digest("hex");
+  const answer = (nonce) => createHmac("sha256", key).update(nonce).digest("hex");
+  const listen = dgram.createSocket({ type: "udp4", reuseAddr: true });
+  listen.bind(port);
+  const a = createLanSignal({ code, side: "A", port });
+  try {
+    const [msg, rinfo] = await once(listen, "message");
+    listen.close();
+    const { port: tcpPort } = JSON.parse(String(msg));
+    const dial = async () => {
+      const s = net.connect(tcpPort, rinfo.address);
+      s.on("error", () => {});
+      await once(s, "connect");
+      return [s, await firstFrame(s)];
+    };
+
+    const [s1, c1] = await dial();
+    const [s2, c2] = await dial();
+    assert.equal(c1.type, "nt_lan_challenge");
+    assert.notEqual(c1.nonce, c2.nonce);
+    // the answer to the first challenge, replayed on the second connection
+    s2.write(jsonFrame({ type: "nt_lan_hello", proof: answer(c1.nonce) }));
+    await once(s2, "close");
+    s1.destroy();
+
+    // the real receiver still gets in
+    const b = createLanSignal({ code, side: "B", port });
+    try {
+      await Promise.all([a.waitOpen(5000), b.waitOpen(5000)]);
+    } finally {
+      await b.close();
+    }
+  } finally {
+    try { listen.close(); } catch {}
+    await a.close();
+  }
+});
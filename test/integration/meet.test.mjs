@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { loadIdentity } from "../../src/core/contacts.js";
+import { MEET_SKEW_MS, MEET_WINDOW_MS, meetAppID, meetContact, meetSecret, meetWindows } from "../../src/core/meet.js";
+
+// two machines: each identity lives in its own config dir
+async function identity() {
+  const saved = process.env.NT_CONFIG_DIR;
+  process.env.NT_CONFIG_DIR = await fs.mkdtemp(path.join(os.tmpdir(), "nt-meet-"));
+  try {
+    return await loadIdentity();
+  } finally {
+    await fs.rm(process.env.NT_CONFIG_DIR, { recursive: true, force: true });
+    process.env.NT_CONFIG_DIR = saved;
+  }
+}
+
+const pinned = (me, peer, name) => ({ name, identity: me, pinned: peer.publicKey, pinnedDh: peer.dhPublicKey });
+
+// a relay that only says room_full once both sides joined the same appID
+function relay() {
+  const rooms = new Map();
+  const joined = [];
+  const closed = [];
+  const connect = ({ appID, side }) => {
+    const listeners = new Set();
+    const client = {
+      onMessage: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+      close: () => { closed.push(`${side} ${appID}`); rooms.get(appID)?.delete(side); },
+      appID,
+    };
+    joined.push(`${side} ${appID}`);
+    const room = rooms.get(appID) ?? new Map();
+    rooms.set(appID, room);
+    room.set(side, listeners);
+    if (room.size === 2) queueMicrotask(() => { for (const l of room.values()) for (const fn of l) fn({ type: "room_full" }); });
+    return client;
+  };
+  return { connect, joined, closed };
+}
+
+test("both sides derive the same secret and rooms; nobody else does", async () => {
+  const [a, b, c] = [await identity(), await identity(), await identity()];
+  const secret = meetSecret(pinned(a, b, "b"));
+  assert.equal(secret, meetSecret(pinned(b, a, "a")));
+  assert.notEqual(secret, meetSecret(pinned(c, b, "b")));
+  assert.equal(meetSecret({ name: "b", identity: a, pinned: b.publicKey, pinnedDh: null }), null);
+
+  const room = meetAppID(secret, 7, a.publicKey, b.publicKey);
+  assert.match(room, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.notEqual(room, meetAppID(secret, 8, a.publicKey, b.publicKey), "rooms rotate");
+  assert.notEqual(room, meetAppID(secret, 7, b.publicKey, a.publicKey), "each direction has its own");
+});
+
+test("the sender's windows cover a receiver whose clock is off by less than the skew", () => {
+  const start = 1000 * MEET_WINDOW_MS;
+  for (const t of [start, start + 1, start + MEET_WINDOW_MS / 2, start + MEET_WINDOW_MS - 1]) {
+    for (const skew of [-MEET_SKEW_MS + 1, 0, MEET_SKEW_MS - 1]) {
+      const [theirs] = meetWindows("B", t + skew);
+      assert.ok(meetWindows("A", t).includes(theirs), `t=${t} skew=${skew}`);
+    }
+  }
+  assert.deepEqual(meetWindows("A", start + MEET_WINDOW_MS / 2), [1000]);
+});
+
+test("sender and receiver meet in the receiver's room; the other rooms close", async () => {
+  const [a, b] = [await identity(), await identity()];
+  const { connect, joined, closed } = relay();
+  // the sender is just past a window boundary, the receiver's clock is a minute behind
+  const t = 1000 * MEET_WINDOW_MS + 30_000;
+  const sending = meetContact(pinned(a, b, "b"), { side: "A", connect, now: () => t });
+  const receiving = meetContact(pinned(b, a, "a"), { side: "B", connect, now: () => t - 60_000 });
+  const [sent, got] = await Promise.all([sending, receiving]);
+
+  assert.equal(sent.appID, got.appID);
+  assert.equal(sent.secret, got.secret);
+  assert.equal(sent.appID, meetAppID(sent.secret, 999, a.publicKey, b.publicKey));
+  assert.equal(joined.filter((j) => j.startsWith("A ")).length, 2);
+  assert.deepEqual(closed, [`A ${meetAppID(sent.secret, 1000, a.publicKey, b.publicKey)}`]);
+});
+
+test("a contact that never shows up times out", async () => {
+  const [a, b] = [await identity(), await identity()];
+  const { connect, closed } = relay();
+  await assert.rejects(
+    meetContact(pinned(a, b, "b"), { side: "A", connect, timeoutMs: 20, now: () => 1000 * MEET_WINDOW_MS }),
+    (e) => e.code === "NC_MEET" && /b did not show up/.test(e.message)
+  );
+  assert.equal(closed.length, 2);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildMetaHeader,
+  buildMetaHeaderV2,
+  buildHeaderFor,
+  stripMetaHeader,
+  mimeFor,
+} from "../../src/transfer/meta-header.js";
+
+const cat = (...parts) => new Uint8Array(Buffer.concat(parts.map((p) => Buffer.from(p))));
+
+test("NTM1 never cuts a name mid UTF-8 sequence", () => {
+  const name = "a" + "é".repeat(200); // 401 bytes
+  const h = buildMetaHeader(name);
+  const out = stripMetaHeader(cat(h, "rest"));
+  assert.equal(out.version, 1);
+  assert.ok(name.startsWith(out.name));
+  assert.ok(!out.name.includes("�"));
+  assert.equal(Buffer.from(out.data).toString(), "rest");
+});
+
+test("NTM2 round-trips metadata and leaves payload intact", () => {
+  const meta = { name: "photo.jpg", size: 1234, mime: "image/jpeg", mtime: 1700000000000, mode: 0o640, entries: 3 };
+  const out = stripMetaHeader(cat(buildMetaHeaderV2(meta), "payload"));
+  assert.equal(out.version, 2);
+  assert.equal(out.name, "photo.jpg");
+  assert.deepEqual(out.meta, meta);
+  assert.equal(Buffer.from(out.data).toString(), "payload");
+});
+
+test("NTM2 parser drops ill-typed and unknown fields", () => {
+  const json = Buffer.from(JSON.stringify({ v: 9, name: "x", size: -1, mime: "not a mime", future: true }));
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(json.length);
+  const out = stripMetaHeader(cat("NTM2", len, json));
+  assert.deepEqual(out.meta, { name: "x" });
+});
+
+test("buildHeaderFor falls back to NTM1 for receivers without caps", () => {
+  assert.equal(Buffer.from(buildHeaderFor({ name: "a" })).subarray(0, 4).toString(), "NTM1");
+  assert.equal(Buffer.from(buildHeaderFor({ name: "a" }, 2)).subarray(0, 4).toString(), "NTM2");
+  assert.equal(mimeFor("X.TAR"), "application/x-tar");
+  assert.equal(mimeFor("noext"), "application/octet-stream");
+});
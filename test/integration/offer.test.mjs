@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  answerOffer,
+  checkLimits,
+  describeOffer,
+  packOffer,
+  parseOffer,
+  requestConsent,
+  typeAccepted,
+} from "../../src/transfer/offer.js";
+
+// Two ends of a channel: each side's send() reaches the other side's listeners.
+function offerLink() {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    onClose: () => () => {},
+    send: (m) => queueMicrotask(() => { for (const fn of ends[1 - i]) fn(m); }),
+  });
+  return { sender: end(0), receiver: end(1) };
+}
+
+test("offer frames round-trip; file count only for bundles", () => {
+  const b = parseOffer(packOffer({ sessionId: "s", name: "p.tar", size: 4096, kind: "bundle", files: 3 }));
+  assert.deepEqual(b, { sessionId: "s", name: "p.tar", size: 4096, kind: "bundle", files: 3 });
+  assert.equal(describeOffer(b), "p.tar — bundle, 3 files, 4.0 KiB");
+  const s = parseOffer(packOffer({ sessionId: "s", name: "db.sql", size: null, kind: "stream" }));
+  assert.equal(describeOffer(s), "db.sql — stream, size unknown");
+  assert.equal(parseOffer({ type: "nt_offer", sessionId: "s" }), null);
+});
+
+test("limits: --max-size and --accept-types (MIME patterns or extensions)", () => {
+  assert.equal(typeAccepted("cat.PNG", ["image/*"]), true);
+  assert.equal(typeAccepted("notes.txt", ["image/*", ".txt"]), true);
+  assert.equal(typeAccepted("run.sh", ["application/pdf"]), false);
+  assert.equal(checkLimits({ name: "a.bin", size: 10 }, {}), null);
+  assert.match(checkLimits({ name: "a.bin", size: 2048 }, { maxSize: 1024 }), /exceeds --max-size/);
+  assert.equal(checkLimits({ name: "a.bin", size: null }, { maxSize: 1024 }), null, "unknown size: checked while streaming");
+  assert.match(checkLimits({ name: "a.bin", size: 1 }, { acceptTypes: [".txt"] }), /not an accepted type/);
+});
+
+test("receiver limits decline the offer; the sender gets the reason", async () => {
+  const { sender, receiver } = offerLink();
+  receiver.onMessage((m) => {
+    const offer = parseOffer(m);
+    if (offer) answerOffer(receiver, offer, { limits: { maxSize: 100 }, assumeYes: true });
+  });
+  await assert.rejects(requestConsent(sender, { sessionId: "s", name: "big.bin", size: 1000, kind: "file" }), {
+    code: "NC_REJECTED",
+    message: /receiver declined the transfer: .*exceeds --max-size/,
+  });
+  await requestConsent(sender, { sessionId: "s", name: "ok.bin", size: 10, kind: "file" });
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createCodeSecret, pakeSession, watchPake } from "../../src/core/pake.js";
+
+// Two ends of a channel that delivers JSON frames asynchronously.
+function link() {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => {
+      const out = JSON.parse(JSON.stringify(m));
+      queueMicrotask(() => { for (const fn of ends[1 - i]) fn(out); });
+    },
+  });
+  return [end(0), end(1)];
+}
+
+function exchange({ secretA, secretB, hashA = "h", hashB = "h" }) {
+  const a = pakeSession({ secret: secretA, sessionId: "s", role: "A" });
+  const b = pakeSession({ secret: secretB, sessionId: "s", role: "B" });
+  const ca = a.finish(b.message, hashA);
+  const cb = b.finish(a.message, hashB);
+  return { a: ca.check(cb.mine), b: cb.check(ca.mine) };
+}
+
+test("the same secret and transcript confirm on both sides; anything else does not", () => {
+  const secret = createCodeSecret();
+  assert.match(secret, /^[2-9a-hjkmnp-z]{6}$/);
+  assert.deepEqual(exchange({ secretA: secret, secretB: secret }), { a: true, b: true });
+  assert.deepEqual(exchange({ secretA: secret, secretB: secret.toUpperCase() }), { a: true, b: true });
+  assert.deepEqual(exchange({ secretA: "abcdef", secretB: "abcdeg" }), { a: false, b: false });
+  // someone in the middle of the handshake: each side saw another transcript
+  assert.deepEqual(exchange({ secretA: secret, secretB: secret, hashB: "other" }), { a: false, b: false });
+});
+
+test("the messages reveal nothing usable and malformed ones are refused", () => {
+  const a = pakeSession({ secret: "abcdef", sessionId: "s", role: "A" });
+  const again = pakeSession({ secret: "abcdef", sessionId: "s", role: "A" });
+  assert.equal(a.message.length, 256);
+  assert.notDeepEqual(a.message, again.message, "fresh exponent each time");
+  assert.throws(() => a.finish(new Uint8Array([1]), "h"), { code: "NC_AUTH" });
+});
+
+test("watchPake: frames that beat run() are kept; a wrong code fails both sides", async () => {
+  const [ea, eb] = link();
+  const a = watchPake(ea, { secret: "k7m3p9", sessionId: "s", role: "A" });
+  const b = watchPake(eb, { secret: "k7m3p9", sessionId: "s", role: "B" });
+  const first = a.run("transcript");
+  await new Promise((r) => setTimeout(r, 20));
+  await Promise.all([first, b.run("transcript")]);
+
+  const [xa, xb] = link();
+  const wa = watchPake(xa, { secret: "k7m3p9", sessionId: "s", role: "A" });
+  const wb = watchPake(xb, { secret: "k7m3p8", sessionId: "s", role: "B" });
+  const results = await Promise.allSettled([wa.run("t"), wb.run("t")]);
+  for (const r of results) {
+    assert.equal(r.status, "rejected");
+    assert.equal(r.reason.code, "NC_AUTH");
+    assert.match(r.reason.message, /code did not match/);
+  }
+
+  const [lonely] = link();
+  const silent = watchPake(lonely, { secret: "k7m3p9", sessionId: "s", role: "A", timeoutMs: 30 });
+  await assert.rejects(silent.run("t"), { code: "NC_AUTH", message: /did not answer/ });
+});
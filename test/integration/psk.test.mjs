@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { loadPsk, watchPsk } from "../../src/core/psk.js";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "nt-psk-"));
+test.after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+function link() {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => {
+      const out = JSON.parse(JSON.stringify(m));
+      queueMicrotask(() => { for (const fn of ends[1 - i]) fn(out); });
+    },
+  });
+  return [end(0), end(1)];
+}
+
+function session(keyA, keyB, transcripts = ["t", "t"]) {
+  const [ea, eb] = link();
+  const a = watchPsk(ea, { key: keyA, sessionId: "s", role: "A" });
+  const b = watchPsk(eb, { key: keyB, sessionId: "s", role: "B" });
+  return Promise.allSettled([a.run(transcripts[0]), b.run(transcripts[1])]);
+}
+
+test("the key comes from --psk-file, else NT_PSK; short or unreadable keys are refused", async () => {
+  const file = path.join(tmp, "key");
+  await fs.writeFile(file, "3f1c9a0e7b2d4c6e8a1b3d5f7092c4e6\n");
+  assert.equal(String(await loadPsk(file, {})), "3f1c9a0e7b2d4c6e8a1b3d5f7092c4e6");
+  assert.equal(String(await loadPsk(file, { NT_PSK: "another key from the env" })), "3f1c9a0e7b2d4c6e8a1b3d5f7092c4e6");
+  assert.equal(String(await loadPsk(undefined, { NT_PSK: "  another key from the env " })), "another key from the env");
+  assert.equal(await loadPsk(undefined, {}), null);
+
+  await assert.rejects(loadPsk(undefined, { NT_PSK: "hunter2" }), (e) => e.name === "BadArgsError" && /too short/.test(e.message));
+  await assert.rejects(loadPsk(path.join(tmp, "missing"), {}), (e) => e.name === "BadArgsError" && /cannot read/.test(e.message));
+});
+
+test("both sides prove the key over the same transcript; anything else fails NC_AUTH", async () => {
+  const key = Buffer.from("3f1c9a0e7b2d4c6e8a1b3d5f7092c4e6");
+  const ok = await session(key, key);
+  assert.deepEqual(ok.map((r) => r.status), ["fulfilled", "fulfilled"]);
+
+  const [wrongA, wrongB] = await session(key, Buffer.from("3f1c9a0e7b2d4c6e8a1b3d5f7092c4e7"));
+  for (const r of [wrongA, wrongB]) {
+    assert.equal(r.status, "rejected");
+    assert.equal(r.reason.code, "NC_AUTH");
+    assert.match(r.reason.message, /does not have the same key/);
+  }
+
+  // a relay in the middle: each side saw other fingerprints
+  const middle = await session(key, key, ["t", "other"]);
+  assert.deepEqual(middle.map((r) => r.status), ["rejected", "rejected"]);
+
+  // no key on the other side: no proof comes
+  const [ea] = link();
+  await assert.rejects(
+    watchPsk(ea, { key, sessionId: "s", role: "A", timeoutMs: 20 }).run("t"),
+    (e) => e.code === "NC_AUTH" && /sent no key proof/.test(e.message)
+  );
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { RELAY_FRAME, relayTransport, switchToRelay, watchRelay } from "../../src/core/relay.js";
+
+// Two signaling clients in one room; `wire` sees every message the relay forwards.
+function relayLink(wire = []) {
+  const ends = [new Set(), new Set()];
+  const end = (i) => ({
+    bufferedAmount: 0,
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    send: (m) => {
+      wire.push(m);
+      // what comes out of a WebSocket: parsed JSON, or a Buffer
+      const out = m instanceof Uint8Array ? Buffer.from(m) : JSON.parse(JSON.stringify(m));
+      queueMicrotask(() => { for (const fn of ends[1 - i]) fn(out); });
+    },
+    deliver: (m) => { for (const fn of ends[i]) fn(m); },
+  });
+  return [end(0), end(1)];
+}
+
+const tick = () => new Promise((r) => setTimeout(r, 5));
+
+function collect(tx) {
+  const got = [];
+  tx.onMessage((m) => got.push(m));
+  return got;
+}
+
+function pair(wire) {
+  const [sa, sb] = relayLink(wire);
+  const a = relayTransport(sa, { sessionId: "s", role: "initiator" });
+  const b = relayTransport(sb, { sessionId: "s", role: "responder" });
+  return { sa, sb, a, b };
+}
+
+test("auth frames go in the clear; after agree() everything is sealed", async () => {
+  const wire = [];
+  const { sb, a, b } = pair(wire);
+  const gotA = collect(a);
+  const gotB = collect(b);
+
+  a.send({ type: "commit", sessionId: "s" });
+  sb.send({ type: "ice", cand: null }); // signaling of the abandoned WebRTC dial
+  sb.send({ type: "commit", sessionId: "other" });
+  await tick();
+  assert.deepEqual(gotB, [{ type: "commit", sessionId: "s" }]);
+  assert.deepEqual(gotA, [], "only this session's frames");
+  assert.throws(() => a.send(new Uint8Array(4)), { code: "NC_PROTOCOL" });
+
+  a.relayKeys.agree(b.relayKeys.publicKey);
+  b.relayKeys.agree(a.relayKeys.publicKey);
+  wire.length = 0;
+  a.send({ type: "ns_init", sessionId: "s", secret: "hunter2" });
+  a.send(new Uint8Array([1, 2, 3]));
+  b.send({ type: "nt_caps", sessionId: "s" });
+  await tick();
+  assert.deepEqual(gotB.slice(1), [{ type: "ns_init", sessionId: "s", secret: "hunter2" }, new Uint8Array([1, 2, 3])]);
+  assert.deepEqual(gotA, [{ type: "nt_caps", sessionId: "s" }]);
+  for (const m of wire) {
+    assert.ok(m instanceof Uint8Array);
+    assert.equal(Buffer.from(m.subarray(0, 4)).toString(), "NTR1");
+    assert.ok(!Buffer.from(m).includes("hunter2"), "the relay sees ciphertext only");
+  }
+
+  // the relay (or anyone on it) cannot add frames in the clear any more
+  sb.send({ type: "nt_abort", sessionId: "s", reason: "cancel" });
+  await tick();
+  assert.equal(gotA.length, 1);
+});
+
+test("sealed frames that beat our own end of auth wait for the keys", async () => {
+  const { a, b } = pair();
+  const gotB = collect(b);
+  a.relayKeys.agree(b.relayKeys.publicKey);
+  a.send({ type: "nt_caps", sessionId: "s" });
+  a.send({ type: "nt_ping", sessionId: "s" });
+  await tick();
+  assert.equal(gotB.length, 0);
+  b.relayKeys.agree(a.relayKeys.publicKey);
+  assert.deepEqual(gotB.map((m) => m.type), ["nt_caps", "nt_ping"]);
+});
+
+test("a tampered, replayed or foreign frame closes the transport", async () => {
+  const wire = [];
+  const { sb, a, b } = pair(wire);
+  const gotB = collect(b);
+  let closed = null;
+  b.onClose((ev) => { closed = ev.reason; });
+  a.relayKeys.agree(b.relayKeys.publicKey);
+  b.relayKeys.agree(a.relayKeys.publicKey);
+  a.send({ type: "nt_ping", sessionId: "s" });
+  await tick();
+  assert.equal(gotB.length, 1);
+  sb.deliver(Buffer.from(wire[0])); // replayed
+  assert.equal(closed, "bad frame");
+  assert.equal(b.isUp, false);
+  assert.throws(() => b.send({ type: "nt_ping" }), { code: "NC_TRANSPORT_DOWN" });
+
+  // keys from a handshake with someone else (a relay in the middle) do not open
+  const mitm = pair();
+  const other = relayTransport(relayLink()[0], { sessionId: "s", role: "responder" });
+  let bad = false;
+  mitm.b.onClose(() => { bad = true; });
+  mitm.a.relayKeys.agree(other.relayKeys.publicKey);
+  mitm.b.relayKeys.agree(mitm.a.relayKeys.publicKey);
+  mitm.a.send({ type: "nt_ping", sessionId: "s" });
+  await tick();
+  assert.equal(bad, true);
+  assert.throws(() => mitm.a.relayKeys.agree(new Uint8Array(31)), { code: "NC_AUTH" });
+});
+
+test("switching: both sides move once each has the other's nt_relay", async () => {
+  const [sa, sb] = relayLink();
+  const peerA = watchRelay(sa);
+  const peerB = watchRelay(sb);
+  const [a, b] = await Promise.all([
+    switchToRelay(sa, peerA, { sessionId: "s", role: "initiator" }),
+    switchToRelay(sb, peerB, { sessionId: "s", role: "responder" }),
+  ]);
+  peerA.off();
+  peerB.off();
+  const gotB = collect(b);
+  a.send({ type: "commit", sessionId: "s" });
+  await tick();
+  assert.equal(gotB.length, 1);
+
+  // a peer that never answers (older nt, --transport rtc)
+  const [lonely, silent] = relayLink();
+  let asked = 0;
+  silent.onMessage((m) => { if (m?.type === RELAY_FRAME) asked += 1; });
+  const peer = watchRelay(lonely);
+  await assert.rejects(switchToRelay(lonely, peer, { sessionId: "s", role: "initiator", timeoutMs: 50 }), {
+    code: "NC_RELAY",
+    message: /did not switch to the relay/,
+  });
+  assert.ok(asked >= 1);
+  peer.off();
+});
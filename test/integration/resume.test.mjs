@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+import { mkTmpDir } from "./helpers/tmp.js";
+import {
+  resumeKeyForFile,
+  writeResumeState,
+  findResumable,
+  freshPartTarget,
+  partPathFor,
+  acceptResume,
+  requestResume,
+  negotiateResume,
+} from "../../src/transfer/resume.js";
+
+test("resumeKeyForFile is stable and changes with size/mtime", () => {
+  const st = { size: 10, mtimeMs: 1000.7 };
+  assert.equal(resumeKeyForFile("a.bin", st), resumeKeyForFile("a.bin", { ...st }));
+  assert.notEqual(resumeKeyForFile("a.bin", st), resumeKeyForFile("a.bin", { ...st, size: 11 }));
+  assert.notEqual(resumeKeyForFile("a.bin", st), resumeKeyForFile("a.bin", { ...st, mtimeMs: 2000 }));
+});
+
+test("findResumable: matching sidecar → offset capped by partial size", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const target = path.join(dir, "img.iso");
+    await fsp.writeFile(partPathFor(target), Buffer.alloc(100));
+    await writeResumeState(target, { key: "k1", name: "img.iso", totalBytes: 1000, offset: 150 });
+
+    assert.deepEqual(await findResumable(dir, "img.iso", { key: "k1", totalBytes: 1000 }), { target, offset: 100 });
+    assert.equal(await findResumable(dir, "img.iso", { key: "other", totalBytes: 1000 }), null);
+    assert.equal(await findResumable(dir, "img.iso", { key: "k1", totalBytes: 999 }), null);
+    assert.equal(await findResumable(dir, "missing.iso", { key: "k1", totalBytes: 1000 }), null);
+  } finally {
+    await dispose();
+  }
+});
+
+test("a fresh transfer never takes another transfer's partial; that one stays resumable", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const target = path.join(dir, "img.iso");
+    assert.equal(freshPartTarget(dir, "img.iso"), target);
+    await fsp.writeFile(partPathFor(target), Buffer.alloc(100));
+    await writeResumeState(target, { key: "k1", name: "img.iso", totalBytes: 1000, offset: 100 });
+
+    const second = freshPartTarget(dir, "img.iso");
+    assert.equal(second, path.join(dir, "img-1.iso"));
+    await fsp.writeFile(partPathFor(second), Buffer.alloc(40));
+    await writeResumeState(second, { key: "k2", name: "img.iso", totalBytes: 1000, offset: 40 });
+
+    assert.equal(freshPartTarget(dir, "img.iso"), path.join(dir, "img-2.iso"));
+    assert.deepEqual(await findResumable(dir, "img.iso", { key: "k2", totalBytes: 1000 }), { target: second, offset: 40 });
+    assert.deepEqual(await findResumable(dir, "img.iso", { key: "k1", totalBytes: 1000 }), { target, offset: 100 });
+    assert.equal((await fsp.stat(partPathFor(target))).size, 100, "the first partial is untouched");
+  } finally {
+    await dispose();
+  }
+});
+
+// Minimal in-memory duplex: a.send() is delivered to b's listeners and vice versa.
+function pair() {
+  const mk = () => ({ listeners: new Set() });
+  const A = mk(), B = mk();
+  const end = (self, peer) => ({
+    send: (m) => queueMicrotask(() => { for (const fn of peer.listeners) fn(m); }),
+    onMessage: (fn) => { self.listeners.add(fn); return () => self.listeners.delete(fn); },
+  });
+  return [end(A, B), end(B, A)];
+}
+
+test("requestResume/acceptResume: answer is held until armed", async () => {
+  const [a, b] = pair();
+  const calls = [];
+  const sink = { resume: async (req) => { calls.push(req); return 42; } };
+  const r = acceptResume(b, { sessionId: "s", sink });
+
+  const p = requestResume(a, { sessionId: "s", key: "k", name: "f", totalBytes: 100, timeoutMs: 1000 });
+  await new Promise((res) => setTimeout(res, 20));
+  assert.equal(calls.length, 0, "must not answer before auth");
+
+  r.arm();
+  assert.equal(await p, 42);
+  assert.equal(r.offset, 42);
+  assert.deepEqual(calls, [{ sessionId: "s", key: "k", name: "f", totalBytes: 100 }]);
+  r.off();
+});
+
+test("requestResume falls back to 0 when the receiver does not answer", async () => {
+  const [a] = pair();
+  assert.equal(await requestResume(a, { sessionId: "s", key: "k", totalBytes: 5, timeoutMs: 30 }), 0);
+});
+
+test("negotiateResume reopens the source at the offset and tells the sender where it starts", async () => {
+  const [a, b] = pair();
+  const r = acceptResume(b, { sessionId: "s", sink: { resume: async () => 42 } });
+  r.arm();
+  const heard = [];
+  const resume = { key: "k", openAt: (start) => ({ start }), onResume: (offset) => heard.push(offset) };
+  const got = await negotiateResume(a, { sessionId: "s", source: null, resume, name: "f", totalBytes: 100 });
+  assert.deepEqual(got, { source: { start: 42 }, offset: 42 });
+  assert.deepEqual(heard, [42]);
+  r.off();
+});
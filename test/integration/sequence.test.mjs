@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createReorderBuffer } from "../../src/transfer/sequence.js";
+
+test("strict order: gaps and repeats fail naming expected and received seq", () => {
+  const out = [];
+  const seq = createReorderBuffer((x) => out.push(x), { maxPending: 0 });
+  seq.push(0, "a");
+  seq.push(1, "b");
+  assert.throws(() => seq.push(3, "d"), { code: "NC_PROTOCOL", message: /expected seq 2, got 3/ });
+  assert.throws(() => seq.push(1, "b"), { code: "NC_PROTOCOL", message: /duplicate.*expected seq 2, got 1/ });
+  assert.throws(() => seq.push(-1, "x"), { code: "NC_PROTOCOL" });
+  assert.deepEqual(out, ["a", "b"], "nothing past the gap is delivered");
+});
+
+test("FIN frame count: complete, truncated and surplus streams", async () => {
+  const strict = createReorderBuffer(() => {}, { maxPending: 0 });
+  for (let i = 0; i < 3; i++) strict.push(i);
+  await strict.until(3);
+  await assert.rejects(strict.until(5), { code: "NC_PROTOCOL", message: /missing ns_data: expected seq 3/ });
+  await assert.rejects(strict.until(2), { code: "NC_PROTOCOL", message: /announced 2 frames, got seq 2/ });
+
+  // with a window the tail may still be in flight, but nothing past FIN's count
+  const window = createReorderBuffer(() => {}, { maxPending: 8 });
+  window.push(0);
+  window.push(2);
+  const all = window.until(3);
+  assert.throws(() => window.push(3), { code: "NC_PROTOCOL", message: /beyond the 3 frames/ });
+  window.push(1);
+  await all;
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SEALED_FRAME, sealSignal } from "../../src/core/signal-seal.js";
+
+// Two signaling clients in one room; `wire` sees every message the relay forwards,
+// each end's `sent` what that end put on it.
+function relayLink(wire = []) {
+  const ends = [new Set(), new Set()];
+  const end = (i, sent = []) => ({
+    sent,
+    bufferedAmount: 0,
+    onMessage: (fn) => { ends[i].add(fn); return () => ends[i].delete(fn); },
+    onClose: () => () => {},
+    close: async () => {},
+    send: (m) => {
+      wire.push(m);
+      sent.push(m);
+      const out = JSON.parse(JSON.stringify(m));
+      queueMicrotask(() => { for (const fn of ends[1 - i]) fn(out); });
+    },
+    deliver: (m) => { for (const fn of ends[i]) fn(m); },
+  });
+  return [end(0), end(1)];
+}
+
+const settle = () => new Promise((r) => setTimeout(r, 5));
+
+function collect(signal) {
+  const got = [];
+  signal.onMessage((m) => got.push(m));
+  return got;
+}
+
+// scrypt takes its time, the more so with other test files on the same core
+async function until(got, n, ms = 15_000) {
+  const deadline = Date.now() + ms;
+  while (got.length < n && Date.now() < deadline) await settle();
+}
+
+const OFFER = { type: "offer", sdp: { type: "offer", sdp: "v=0\r\nc=IN IP4 192.0.2.7\r\na=fingerprint:sha-256 AA:BB" } };
+
+test("offers, answers and candidates cross sealed; other frames as they are", async () => {
+  const wire = [];
+  const [ra, rb] = relayLink(wire);
+  const a = sealSignal(ra, { secret: "k7m3p9", sessionId: "s", side: "A" });
+  const b = sealSignal(rb, { secret: "k7m3p9", sessionId: "s", side: "B" });
+  const gotA = collect(a);
+  const gotB = collect(b);
+
+  // before the keys exist: queued, then sent in order
+  a.send(OFFER);
+  a.send({ type: "ice", cand: { candidate: "candidate:1 1 udp 1 192.0.2.7 5000 typ host" } });
+  a.send({ type: "nt_relay" });
+  b.send({ type: "answer", sdp: { type: "answer", sdp: "v=0" } });
+  await until(gotB, 3);
+  await until(gotA, 1);
+
+  assert.deepEqual(gotB, [OFFER, { type: "ice", cand: { candidate: "candidate:1 1 udp 1 192.0.2.7 5000 typ host" } }, { type: "nt_relay" }]);
+  assert.deepEqual(gotA, [{ type: "answer", sdp: { type: "answer", sdp: "v=0" } }]);
+  // in order per side; which side's keys are ready first varies
+  assert.deepEqual(ra.sent.map((m) => m.type), [SEALED_FRAME, SEALED_FRAME, "nt_relay"]);
+  assert.deepEqual(rb.sent.map((m) => m.type), [SEALED_FRAME]);
+  assert.ok(!JSON.stringify(wire).includes("192.0.2.7"), "the relay sees no addresses");
+  assert.ok(!JSON.stringify(wire).includes("fingerprint"));
+});
+
+test("tampered, replayed, plaintext and foreign frames never reach the dialer", async () => {
+  const wire = [];
+  const [ra, rb] = relayLink(wire);
+  const a = sealSignal(ra, { secret: "k7m3p9", sessionId: "s", side: "A" });
+  const b = sealSignal(rb, { secret: "k7m3p9", sessionId: "s", side: "B" });
+  const gotB = collect(b);
+  a.send(OFFER);
+  await until(gotB, 1);
+  assert.equal(gotB.length, 1);
+
+  const box = wire[0].box;
+  const flipped = box.slice(0, -2) + (box.at(-2) === "A" ? "B" : "A") + box.at(-1);
+  rb.deliver({ type: SEALED_FRAME, box: flipped });
+  rb.deliver(wire[0]); // replayed
+  rb.deliver({ type: "offer", sdp: { type: "offer", sdp: "v=0 forged" } }); // in the clear
+  rb.deliver({ type: "room_full" });
+  await settle();
+  assert.deepEqual(gotB.slice(1), [{ type: "room_full" }]);
+
+  // a peer with another secret (or session) cannot talk to us
+  const [rc, rd] = relayLink();
+  const c = sealSignal(rc, { secret: "k7m3p8", sessionId: "s", side: "A" });
+  const d = sealSignal(rd, { secret: "k7m3p9", sessionId: "s", side: "B" });
+  const gotD = collect(d);
+  c.send(OFFER);
+  c.send({ type: "room_full" });
+  await until(gotD, 1);
+  await settle();
+  assert.deepEqual(gotD, [{ type: "room_full" }]);
+});
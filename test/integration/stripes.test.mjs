@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createReorderBuffer } from "../../src/transfer/sequence.js";
+import { packCaps, parseCaps } from "../../src/transfer/caps.js";
+
+test("reorder buffer delivers in seq order and resolves until()", async () => {
+  const out = [];
+  const rb = createReorderBuffer((x) => out.push(x));
+  const all = rb.until(5);
+  for (const seq of [1, 3, 0, 4, 2]) rb.push(seq, seq);
+  await all;
+  assert.deepEqual(out, [0, 1, 2, 3, 4]);
+  assert.equal(rb.next, 5);
+});
+
+test("reorder buffer rejects duplicates, replays and floods", async () => {
+  const rb = createReorderBuffer(() => {}, { maxPending: 2 });
+  rb.push(0, "a");
+  assert.throws(() => rb.push(0, "a"), { code: "NC_PROTOCOL" });
+  rb.push(2, "c");
+  assert.throws(() => rb.push(2, "c"), { code: "NC_PROTOCOL" });
+  rb.push(3, "d");
+  assert.throws(() => rb.push(4, "e"), { code: "NC_PROTOCOL" }, "more than maxPending held back");
+
+  const waiting = rb.until(10);
+  rb.abort(Object.assign(new Error("gone"), { code: "NC_EOF" }));
+  await assert.rejects(waiting, { code: "NC_EOF" });
+});
+
+test("caps carry the receiver's stream limit; old receivers mean one", () => {
+  assert.equal(parseCaps(packCaps({ sessionId: "s", streams: 8 })).streams, 8);
+  assert.equal(parseCaps({ type: "nt_caps", sessionId: "s", meta: 2 }).streams, 1);
+});
@@ -0,0 +1,184 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import tar from "tar-stream";
+
+import { mkTmpDir } from "./helpers/tmp.js";
+import { makeTarPack } from "../../src/transfer/tar-pack.js";
+import { createTarExtractor, entryComponents, looksLikeTar } from "../../src/transfer/tar-extract.js";
+
+async function readAll(stream) {
+  const parts = [];
+  for await (const c of stream) parts.push(c);
+  return Buffer.concat(parts);
+}
+
+// Hand-built archive: [{ name, type?, body?, linkname?, mode? }]
+async function buildTar(items) {
+  const pack = tar.pack();
+  for (const it of items) {
+    const body = it.body != null ? Buffer.from(it.body) : undefined;
+    pack.entry({ name: it.name, type: it.type || "file", linkname: it.linkname, mode: it.mode }, body);
+  }
+  pack.finalize();
+  return readAll(pack);
+}
+
+async function extractInto(dir, buf, opts) {
+  const ex = createTarExtractor(dir, opts);
+  for (let i = 0; i < buf.length; i += 700) await ex.write(buf.subarray(i, i + 700));
+  await ex.finish();
+  return ex;
+}
+
+test("entryComponents rejects absolute and traversal names", () => {
+  assert.deepEqual(entryComponents("./a//b/c.txt"), ["a", "b", "c.txt"]);
+  assert.deepEqual(entryComponents("dir/con"), ["dir", "_"]);
+  for (const bad of ["/etc/passwd", "C:\\x", "a/../../b", "..", "\\\\srv\\x"]) {
+    assert.throws(() => entryComponents(bad), { code: "NC_UNSAFE_PATH" }, bad);
+  }
+});
+
+test("extractor round-trips a packed tree and dedupes an existing root", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const src = path.join(dir, "src", "proj");
+    await fsp.mkdir(path.join(src, "sub", "empty"), { recursive: true });
+    await fsp.writeFile(path.join(src, "sub", "f.txt"), "hello");
+    await fsp.chmod(path.join(src, "sub", "f.txt"), 0o640);
+    const { pack } = await makeTarPack([src]);
+    const buf = await readAll(pack);
+    assert.ok(looksLikeTar(buf));
+
+    const out = path.join(dir, "out");
+    await fsp.mkdir(out);
+    const ex = await extractInto(out, buf);
+    assert.equal(await fsp.readFile(path.join(out, "proj", "sub", "f.txt"), "utf8"), "hello");
+    assert.equal((await fsp.stat(path.join(out, "proj", "sub", "f.txt"))).mode & 0o777, 0o640);
+    assert.ok((await fsp.stat(path.join(out, "proj", "sub", "empty"))).isDirectory());
+    assert.deepEqual(ex.roots(), [path.join(out, "proj")]);
+
+    const again = await extractInto(out, buf);
+    assert.deepEqual(again.roots(), [path.join(out, "proj-1")]);
+    assert.equal(await fsp.readFile(path.join(out, "proj-1", "sub", "f.txt"), "utf8"), "hello");
+
+    await extractInto(out, await buildTar([{ name: "proj/sub/f.txt", body: "new" }]), { overwrite: true });
+    assert.equal(await fsp.readFile(path.join(out, "proj", "sub", "f.txt"), "utf8"), "new");
+    assert.equal(fs.existsSync(path.join(out, "proj", "sub", "f.txt.ntpart")), false);
+
+    // the peer's bits never loosen the local umask
+    await extractInto(out, await buildTar([{ name: "wide.txt", body: "x", mode: 0o666 }]));
+    assert.equal((await fsp.stat(path.join(out, "wide.txt"))).mode & 0o777, 0o666 & ~process.umask());
+  } finally {
+    await dispose();
+  }
+});
+
+test("extractor rejects escapes, absolute links and device nodes", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const out = path.join(dir, "out");
+    const outside = path.join(dir, "outside");
+    await fsp.mkdir(out);
+    await fsp.mkdir(outside);
+
+    const cases = [
+      [{ name: "../evil.txt", body: "x" }],
+      [{ name: "up", type: "symlink", linkname: "../outside" }],
+      [{ name: "abs", type: "symlink", linkname: "/etc/passwd" }],
+      [{ name: "dev", type: "character-device" }],
+      [{ name: "hl", type: "link", linkname: "../outside/x" }],
+    ];
+    for (const items of cases) {
+      const ex = createTarExtractor(out);
+      const buf = await buildTar(items);
+      await assert.rejects(
+        (async () => {
+          await ex.write(buf);
+          await ex.finish();
+        })(),
+        { code: "NC_UNSAFE_PATH" },
+        items[0].name
+      );
+    }
+
+    // a pre-existing symlink in the output dir must not be written through
+    await fsp.symlink(outside, path.join(out, "lnk"));
+    const ex = createTarExtractor(out, { overwrite: true });
+    await assert.rejects(
+      (async () => {
+        await ex.write(await buildTar([{ name: "lnk/pwned.txt", body: "x" }]));
+        await ex.finish();
+      })(),
+      { code: "NC_UNSAFE_PATH" }
+    );
+    assert.deepEqual(await fsp.readdir(outside), []);
+  } finally {
+    await dispose();
+  }
+});
+
+test("chained symlinks cannot climb out through an earlier link", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const cases = [
+      // d/e lands on d's target's parent: out/..
+      [
+        { name: "d", type: "symlink", linkname: "." },
+        { name: "d/e", type: "symlink", linkname: ".." },
+      ],
+      // lexically x/.. is "."; on disk it is out/..
+      [
+        { name: "x", type: "symlink", linkname: "." },
+        { name: "e", type: "symlink", linkname: "x/.." },
+      ],
+    ];
+    for (const [i, items] of cases.entries()) {
+      const out = path.join(dir, `out${i}`);
+      await fsp.mkdir(out);
+      const ex = createTarExtractor(out);
+      await assert.rejects(
+        (async () => {
+          await ex.write(await buildTar(items));
+          await ex.finish();
+        })(),
+        { code: "NC_UNSAFE_PATH" },
+        items[1].name
+      );
+      for (const name of ["e", "d/e"]) {
+        const at = await fsp.realpath(path.join(out, name)).catch(() => null);
+        assert.ok(at === null || at.startsWith(await fsp.realpath(out)), `${name} -> ${at}`);
+      }
+    }
+
+    // climbing before descending is still fine
+    const buf = await buildTar([
+      { name: "f", body: "data" },
+      { name: "sub/", type: "directory" },
+      { name: "sub/l", type: "symlink", linkname: "../f" },
+    ]);
+    await fsp.mkdir(path.join(dir, "ok"));
+    await extractInto(path.join(dir, "ok"), buf);
+    assert.equal(await fsp.readFile(path.join(dir, "ok", "sub", "l"), "utf8"), "data");
+  } finally {
+    await dispose();
+  }
+});
+
+test("symlinks that stay inside the output directory are kept", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const buf = await buildTar([
+      { name: "p/", type: "directory" },
+      { name: "p/real.txt", body: "data" },
+      { name: "p/alias.txt", type: "symlink", linkname: "real.txt" },
+    ]);
+    await extractInto(dir, buf);
+    assert.equal(await fsp.readlink(path.join(dir, "p", "alias.txt")), "real.txt");
+    assert.equal(await fsp.readFile(path.join(dir, "p", "alias.txt"), "utf8"), "data");
+  } finally {
+    await dispose();
+  }
+});
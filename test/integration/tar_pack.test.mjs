@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import tar from "tar-stream";
+
+import { mkTmpDir } from "./helpers/tmp.js";
+import { makeTarPack, scanTree, parseIgnoreFile, isIgnored } from "../../src/transfer/tar-pack.js";
+
+async function readAll(stream) {
+  const parts = [];
+  for await (const c of stream) parts.push(c);
+  return Buffer.concat(parts);
+}
+
+async function listTar(buf) {
+  const out = [];
+  const ex = tar.extract();
+  const done = new Promise((resolve, reject) => {
+    ex.on("entry", async (h, stream, next) => {
+      out.push({ name: h.name, type: h.type, mode: h.mode, mtime: h.mtime, body: (await readAll(stream)).toString() });
+      next();
+    });
+    ex.on("finish", resolve);
+    ex.on("error", reject);
+  });
+  Readable.from([buf]).pipe(ex);
+  await done;
+  return out;
+}
+
+test("makeTarPack keeps structure, modes and mtimes; announced size is exact", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const root = path.join(dir, "project");
+    const longDir = "d".repeat(60) + "/" + "e".repeat(60);
+    await fsp.mkdir(path.join(root, "a"), { recursive: true });
+    await fsp.mkdir(path.join(root, "b"), { recursive: true });
+    await fsp.mkdir(path.join(root, "empty"), { recursive: true });
+    await fsp.mkdir(path.join(root, longDir), { recursive: true });
+    await fsp.writeFile(path.join(root, "a", "same.txt"), "from a");
+    await fsp.writeFile(path.join(root, "b", "same.txt"), "from b");
+    await fsp.writeFile(path.join(root, longDir, "x".repeat(120) + ".txt"), "long");
+    await fsp.writeFile(path.join(root, "b", "ünï.txt"), "utf8");
+    await fsp.chmod(path.join(root, "a", "same.txt"), 0o600);
+    const when = new Date("2020-01-02T03:04:05Z");
+    await fsp.utimes(path.join(root, "b", "same.txt"), when, when);
+    const single = path.join(dir, "single.bin");
+    await fsp.writeFile(single, Buffer.alloc(513, 7));
+
+    const { pack, totalSizeTar } = await makeTarPack([root, single]);
+    const buf = await readAll(pack);
+    assert.equal(buf.length, totalSizeTar);
+
+    const entries = await listTar(buf);
+    const byName = new Map(entries.map((e) => [e.name, e]));
+    assert.equal(byName.get("project/a/same.txt").body, "from a");
+    assert.equal(byName.get("project/b/same.txt").body, "from b");
+    assert.equal(byName.get("project/empty/").type, "directory");
+    assert.equal(byName.get(`project/${longDir}/${"x".repeat(120)}.txt`).body, "long");
+    assert.equal(byName.get("project/b/ünï.txt").body, "utf8");
+    assert.equal(byName.get("single.bin").body.length, 513);
+    assert.equal(byName.get("project/a/same.txt").mode & 0o777, 0o600);
+    assert.equal(byName.get("project/b/same.txt").mtime.getTime(), when.getTime());
+  } finally {
+    await dispose();
+  }
+});
+
+test("makeTarPack rejects two inputs that map to the same entry", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    await fsp.mkdir(path.join(dir, "x", "docs"), { recursive: true });
+    await fsp.mkdir(path.join(dir, "y", "docs"), { recursive: true });
+    await assert.rejects(makeTarPack([path.join(dir, "x", "docs"), path.join(dir, "y", "docs")]), /duplicate path/);
+  } finally {
+    await dispose();
+  }
+});
+
+async function symlinkTree(dir) {
+  const root = path.join(dir, "tree");
+  await fsp.mkdir(path.join(root, "sub"), { recursive: true });
+  await fsp.writeFile(path.join(root, "sub", "real.txt"), "real");
+  await fsp.writeFile(path.join(dir, "outside.txt"), "outside");
+  await fsp.symlink("sub/real.txt", path.join(root, "alias.txt"));
+  await fsp.symlink("..", path.join(root, "sub", "up")); // cycle when followed
+  await fsp.symlink("../outside.txt", path.join(root, "escape.txt"));
+  await fsp.symlink("missing", path.join(root, "dangling"));
+  return root;
+}
+
+test("--symlinks policies: skip, follow (with loop detection), preserve", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const root = await symlinkTree(dir);
+
+    const skip = await makeTarPack([root], { symlinks: "skip" });
+    assert.equal((await readAll(skip.pack)).length, skip.totalSizeTar);
+    assert.deepEqual(skip.skipped.map((s) => s.name).sort(), ["tree/alias.txt", "tree/dangling", "tree/escape.txt", "tree/sub/up"]);
+
+    const follow = await makeTarPack([root], { symlinks: "follow" });
+    const followed = await listTar(await readAll(follow.pack));
+    const byName = new Map(followed.map((e) => [e.name, e]));
+    assert.equal(byName.get("tree/alias.txt").body, "real");
+    assert.equal(byName.get("tree/escape.txt").body, "outside");
+    assert.deepEqual(
+      follow.skipped.map((s) => `${s.name}:${s.reason}`).sort(),
+      ["tree/dangling:broken symlink", "tree/sub/up:symlink loop"]
+    );
+
+    const preserve = await makeTarPack([root], { symlinks: "preserve" });
+    const buf = await readAll(preserve.pack);
+    assert.equal(buf.length, preserve.totalSizeTar);
+    const kept = new Map((await listTar(buf)).map((e) => [e.name, e]));
+    assert.equal(kept.get("tree/alias.txt").type, "symlink");
+    assert.equal(kept.get("tree/sub/up").type, "symlink");
+    assert.equal(kept.has("tree/escape.txt"), false);
+    assert.match(preserve.skipped.find((s) => s.name === "tree/escape.txt").reason, /outside/);
+  } finally {
+    await dispose();
+  }
+});
+
+test("preserved symlinks with long targets keep the announced size exact", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const root = path.join(dir, "p");
+    const deep = path.join(root, "x".repeat(90), "y".repeat(90));
+    await fsp.mkdir(deep, { recursive: true });
+    await fsp.writeFile(path.join(deep, "f"), "f");
+    await fsp.symlink(path.join("x".repeat(90), "y".repeat(90), "f"), path.join(root, "ln"));
+    const { pack, totalSizeTar } = await makeTarPack([root], { symlinks: "preserve" });
+    const buf = await readAll(pack);
+    assert.equal(buf.length, totalSizeTar);
+    const ln = (await listTar(buf)).find((e) => e.name === "p/ln");
+    assert.ok(ln && ln.type === "symlink");
+  } finally {
+    await dispose();
+  }
+});
+
+test("ignore rules: anchoring, directory-only, negation, scoping", () => {
+  const top = parseIgnoreFile("# comment\n*.log\n!keep.log\n/dist\ncache/\n");
+  const sub = parseIgnoreFile("*.tmp\n", "pkg");
+  const rules = [...top, ...sub];
+  assert.equal(isIgnored("a.log", false, rules), true);
+  assert.equal(isIgnored("deep/x.log", false, rules), true);
+  assert.equal(isIgnored("deep/keep.log", false, rules), false);
+  assert.equal(isIgnored("dist", true, rules), true);
+  assert.equal(isIgnored("pkg/dist", true, rules), false);
+  assert.equal(isIgnored("cache", true, rules), true);
+  assert.equal(isIgnored("cache", false, rules), false);
+  assert.equal(isIgnored("pkg/a.tmp", false, rules), true);
+  assert.equal(isIgnored("a.tmp", false, rules), false);
+});
+
+test("scanTree: --include/--exclude on relative paths, .ntignore, optional .gitignore", async () => {
+  const { dir, dispose } = await mkTmpDir();
+  try {
+    const root = path.join(dir, "proj");
+    for (const f of ["src/a.js", "src/a.test.js", "src/lib/b.js", "build/out.bin", "docs/x.md", "debug.log"]) {
+      await fsp.mkdir(path.dirname(path.join(root, f)), { recursive: true });
+      await fsp.writeFile(path.join(root, f), f);
+    }
+    await fsp.writeFile(path.join(root, ".gitignore"), "build/\n*.log\n");
+    await fsp.writeFile(path.join(root, "src", ".ntignore"), "*.test.js\n");
+    const names = async (opts) => (await scanTree([root], opts)).entries.map((e) => e.name);
+
+    const plain = await names({});
+    assert.ok(plain.includes("proj/build/out.bin"));
+    assert.ok(!plain.includes("proj/src/a.test.js"), ".ntignore is always honoured");
+
+    const git = await names({ ignoreFiles: [".ntignore", ".gitignore"] });
+    assert.ok(!git.includes("proj/build/") && !git.includes("proj/debug.log"));
+
+    assert.deepEqual(await names({ include: ["*.js"] }), ["proj/", "proj/src/", "proj/src/a.js", "proj/src/lib/", "proj/src/lib/b.js"]);
+    const ex = await names({ exclude: ["src/lib", "docs"] });
+    assert.ok(!ex.some((n) => n.startsWith("proj/src/lib") || n.startsWith("proj/docs")));
+    assert.ok(ex.includes("proj/src/a.js"));
+  } finally {
+    await dispose();
+  }
+});
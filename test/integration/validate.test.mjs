@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateSendOptions } from "../../src/util/validate.js";
+
+test("stdin: --size is optional in DTLS mode but required with --pq", async () => {
+  await validateSendOptions(["-"], {});
+  await validateSendOptions(["-"], { size: 10 });
+  await assert.rejects(validateSendOptions(["-"], { size: 0 }), { name: "BadArgsError" });
+  await assert.rejects(validateSendOptions(["-"], { pq: true }), { name: "BadArgsError" });
+  await validateSendOptions(["-"], { pq: true, size: 10 });
+});
+
+test("--compress is DTLS-only", async () => {
+  await validateSendOptions(["-"], { compress: "auto" });
+  await assert.rejects(validateSendOptions(["-"], { compress: "gzip", pq: true, size: 10 }), { name: "BadArgsError" });
+});
+
+test("--streams is DTLS-only", async () => {
+  await validateSendOptions(["-"], { streams: 4 });
+  await assert.rejects(validateSendOptions(["-"], { streams: 2, pq: true, size: 10 }), { name: "BadArgsError" });
+});